@@ -0,0 +1,324 @@
+// Persistent player accounts
+// A player picks a unique display name once and gets a session token back. Presenting the
+// token on later connections resumes the same account, so lifetime stats survive reconnects.
+//
+// Storage is pluggable - every backend implements the same small synchronous interface:
+//   load(), get(id), findByName(name), findByTokenHash(hash), save(account), flush(), close()
+// Backends: 'json' (default, a single JSON file) and 'sqlite' (needs `npm install better-sqlite3`).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{3,16}$/;
+const RECENT_SESSIONS_LIMIT = 10; // Session history kept per account
+const FLUSH_DELAY = 2000; // JSON store batches writes for this long (ms)
+
+// Lifetime counters - run stats from Player.getFinalStats() are added to these
+const SUMMED_STATS = ['score', 'discoveries', 'rareItems', 'creatures', 'resourcesStolen', 'resourcesLost'];
+
+function normalizeName(name) {
+    return String(name).trim().toLowerCase();
+}
+
+// Returns null for a valid display name, otherwise the reason it was rejected
+function validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name.trim())) return 'invalid_name';
+    return null;
+}
+
+function generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// Only token hashes are stored - a leaked accounts file can't be used to log in
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function createEmptyStats() {
+    return {
+        score: 0,
+        discoveries: 0,
+        rareItems: 0,
+        creatures: 0,
+        resourcesStolen: 0,
+        resourcesLost: 0,
+        deaths: 0,
+        runs: 0,
+        bestScore: 0,
+        bestSurvivalTime: 0,
+        sessions: 0,
+        totalPlayTime: 0 // Seconds
+    };
+}
+
+function createAccountRecord(name, tokenHash) {
+    const now = Date.now();
+    return {
+        id: `acc_${crypto.randomBytes(8).toString('hex')}`,
+        name: name.trim(),
+        nameKey: normalizeName(name),
+        tokenHash: tokenHash,
+        createdAt: now,
+        lastSeen: now,
+        stats: createEmptyStats(),
+        recentSessions: [],
+        chat: { muted: [], blocked: [] } // Account ids this player doesn't want to hear from
+    };
+}
+
+// Fill in fields added after the account was first stored
+function upgradeAccount(account) {
+    account.stats = Object.assign(createEmptyStats(), account.stats);
+    account.recentSessions = account.recentSessions || [];
+    account.chat = Object.assign({ muted: [], blocked: [] }, account.chat);
+    return account;
+}
+
+// 📄 Single JSON file - fine for a few thousand accounts, rewritten on every flush
+class JsonFileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.accounts = new Map(); // id -> account
+        this.byName = new Map(); // nameKey -> account
+        this.byToken = new Map(); // tokenHash -> account
+        this.flushTimer = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (data.accounts || []).forEach(account => this.index(upgradeAccount(account)));
+    }
+
+    index(account) {
+        this.accounts.set(account.id, account);
+        this.byName.set(account.nameKey, account);
+        this.byToken.set(account.tokenHash, account);
+    }
+
+    get size() {
+        return this.accounts.size;
+    }
+
+    get(id) {
+        return this.accounts.get(id) || null;
+    }
+
+    findByName(name) {
+        return this.byName.get(normalizeName(name)) || null;
+    }
+
+    findByTokenHash(tokenHash) {
+        return this.byToken.get(tokenHash) || null;
+    }
+
+    all() {
+        return Array.from(this.accounts.values());
+    }
+
+    save(account) {
+        this.index(account);
+
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY);
+            this.flushTimer.unref();
+        }
+    }
+
+    // Write to a temp file and rename, so a crash mid-write never truncates the store
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ accounts: this.all() }));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    close() {
+        if (this.flushTimer) this.flush();
+    }
+}
+
+// 🗄️ SQLite - one row per account, the record itself is stored as JSON
+class SqliteStore {
+    constructor(filePath) {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('SQLite account store needs the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        this.db = new Database(filePath);
+    }
+
+    load() {
+        this.db.exec(`CREATE TABLE IF NOT EXISTS accounts (
+            id TEXT PRIMARY KEY,
+            name_key TEXT UNIQUE NOT NULL,
+            token_hash TEXT UNIQUE NOT NULL,
+            data TEXT NOT NULL
+        )`);
+
+        this.selectById = this.db.prepare('SELECT data FROM accounts WHERE id = ?');
+        this.selectByName = this.db.prepare('SELECT data FROM accounts WHERE name_key = ?');
+        this.selectByToken = this.db.prepare('SELECT data FROM accounts WHERE token_hash = ?');
+        this.selectAll = this.db.prepare('SELECT data FROM accounts');
+        this.countAll = this.db.prepare('SELECT COUNT(*) AS count FROM accounts');
+        this.upsert = this.db.prepare(`INSERT INTO accounts (id, name_key, token_hash, data)
+            VALUES (@id, @nameKey, @tokenHash, @data)
+            ON CONFLICT(id) DO UPDATE SET name_key = @nameKey, token_hash = @tokenHash, data = @data`);
+    }
+
+    parse(row) {
+        if (!row) return null;
+        return upgradeAccount(JSON.parse(row.data));
+    }
+
+    get size() {
+        return this.countAll.get().count;
+    }
+
+    get(id) {
+        return this.parse(this.selectById.get(id));
+    }
+
+    findByName(name) {
+        return this.parse(this.selectByName.get(normalizeName(name)));
+    }
+
+    findByTokenHash(tokenHash) {
+        return this.parse(this.selectByToken.get(tokenHash));
+    }
+
+    all() {
+        return this.selectAll.all().map(row => this.parse(row));
+    }
+
+    save(account) {
+        this.upsert.run({
+            id: account.id,
+            nameKey: account.nameKey,
+            tokenHash: account.tokenHash,
+            data: JSON.stringify(account)
+        });
+    }
+
+    flush() {
+        // Every save is already committed
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+function createAccountStore(options = {}) {
+    const type = options.type || 'json';
+
+    switch (type) {
+        case 'json':
+            return new JsonFileStore(options.path);
+        case 'sqlite':
+            return new SqliteStore(options.path);
+        default:
+            throw new Error(`Unknown account store type: ${type}`);
+    }
+}
+
+// Account rules on top of a store - sign-in, run/session bookkeeping
+class AccountManager {
+    constructor(store) {
+        this.store = store;
+    }
+
+    // credentials: { token, name } from the socket handshake
+    // Returns { account, token } (token only when a new one was issued) or { error }
+    authenticate(credentials = {}) {
+        if (credentials.token) {
+            const account = this.store.findByTokenHash(hashToken(credentials.token));
+            if (account) return { account, token: null };
+            // Unknown token (e.g. the store was reset) - fall through and register again
+        }
+
+        let name = credentials.name;
+        if (name === undefined || name === null || name === '') {
+            // No name chosen - register a generated one so the player can still resume later
+            do {
+                name = `Player_${crypto.randomBytes(3).toString('hex')}`;
+            } while (this.store.findByName(name));
+        }
+
+        const nameError = validateName(name);
+        if (nameError) return { error: nameError };
+        if (this.store.findByName(name)) return { error: 'name_taken' };
+
+        const token = generateToken();
+        const account = createAccountRecord(name, hashToken(token));
+        this.store.save(account);
+
+        return { account, token };
+    }
+
+    startSession(account) {
+        account.stats.sessions++;
+        account.lastSeen = Date.now();
+        this.store.save(account);
+    }
+
+    // Add one finished life (death or end of session) to the lifetime stats
+    recordRun(account, runStats, died) {
+        const stats = account.stats;
+        SUMMED_STATS.forEach(field => {
+            stats[field] += runStats[field] || 0;
+        });
+        stats.runs++;
+        if (died) stats.deaths++;
+        stats.bestScore = Math.max(stats.bestScore, runStats.score || 0);
+        stats.bestSurvivalTime = Math.max(stats.bestSurvivalTime, runStats.survivalTime || 0);
+
+        account.lastSeen = Date.now();
+        this.store.save(account);
+    }
+
+    endSession(account, session) {
+        const playTime = Math.floor((session.endedAt - session.startedAt) / 1000);
+        account.stats.totalPlayTime += playTime;
+        account.recentSessions.unshift({
+            startedAt: session.startedAt,
+            endedAt: session.endedAt,
+            playTime: playTime,
+            score: session.score
+        });
+        account.recentSessions = account.recentSessions.slice(0, RECENT_SESSIONS_LIMIT);
+
+        account.lastSeen = session.endedAt;
+        this.store.save(account);
+    }
+
+    // What the owning client gets to see - never the token hash
+    getPublicProfile(account) {
+        return {
+            id: account.id,
+            name: account.name,
+            createdAt: account.createdAt,
+            stats: Object.assign({}, account.stats),
+            recentSessions: account.recentSessions.slice()
+        };
+    }
+}
+
+module.exports = {
+    AccountManager,
+    JsonFileStore,
+    SqliteStore,
+    createAccountStore,
+    validateName,
+    hashToken
+};
@@ -0,0 +1,153 @@
+// Server operations - admin token check and the ban list
+// The admin API itself lives in server.js; this module holds the parts that don't need the
+// game state. Bans are stored in a JSON file so they survive restarts.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BAN_TYPES = ['name', 'ip'];
+const FLUSH_DELAY = 1000; // Ban changes are batched this long before the file is written (ms)
+
+function normalizeValue(type, value) {
+    const text = String(value || '').trim();
+    return type === 'name' ? text.toLowerCase() : text;
+}
+
+// Constant-time comparison, so the token can't be guessed one character at a time
+function tokensMatch(expected, given) {
+    const a = crypto.createHash('sha256').update(String(expected)).digest();
+    const b = crypto.createHash('sha256').update(String(given)).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+// Express middleware - requests need "Authorization: Bearer <token>" (or X-Admin-Token).
+// Without a configured token the admin API stays switched off.
+function requireAdminToken(token) {
+    return (req, res, next) => {
+        if (!token) {
+            res.status(503).json({ error: 'Admin API disabled - set ADMIN_TOKEN to enable it' });
+            return;
+        }
+
+        const authHeader = req.get('authorization') || '';
+        const given = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : req.get('x-admin-token');
+        if (!given || !tokensMatch(token, given)) {
+            res.status(401).json({ error: 'Invalid admin token' });
+            return;
+        }
+        next();
+    };
+}
+
+// Turn a submitted setting into the same kind of value as the current one.
+// Returns { value } or { error }.
+function parseSettingValue(current, raw) {
+    if (typeof current === 'number') {
+        const value = typeof raw === 'number' ? raw : Number(raw);
+        if (!Number.isFinite(value)) return { error: 'must be a number' };
+        return { value };
+    }
+    if (typeof current === 'boolean') {
+        if (raw === true || raw === 'true') return { value: true };
+        if (raw === false || raw === 'false') return { value: false };
+        return { error: 'must be true or false' };
+    }
+    // Strings and unset (null) settings such as the seed
+    if (raw === null || raw === '') return { value: null };
+    if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'must be a string' };
+    return { value: String(raw) };
+}
+
+class BanList {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.bans = new Map(); // "type:value" -> ban
+        this.flushTimer = null;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        (data.bans || []).forEach(ban => this.bans.set(`${ban.type}:${ban.value}`, ban));
+        this.pruneExpired();
+    }
+
+    // duration in ms - 0 or missing bans forever. Returns { ban } or { error }.
+    add(type, value, options = {}) {
+        if (!BAN_TYPES.includes(type)) return { error: `type must be one of ${BAN_TYPES.join(', ')}` };
+        const key = normalizeValue(type, value);
+        if (!key) return { error: `${type} is required` };
+
+        const now = Date.now();
+        const duration = Number(options.duration) || 0;
+        const ban = {
+            type: type,
+            value: key,
+            reason: options.reason || 'Banned by an admin',
+            createdAt: now,
+            expiresAt: duration > 0 ? now + duration : null
+        };
+        this.bans.set(`${type}:${key}`, ban);
+        this.scheduleFlush();
+        return { ban };
+    }
+
+    remove(type, value) {
+        const removed = this.bans.delete(`${type}:${normalizeValue(type, value)}`);
+        if (removed) this.scheduleFlush();
+        return removed;
+    }
+
+    // The ban matching this name or address, or null
+    find(name, ip) {
+        this.pruneExpired();
+        return this.bans.get(`name:${normalizeValue('name', name)}`) ||
+            this.bans.get(`ip:${normalizeValue('ip', ip)}`) || null;
+    }
+
+    list() {
+        this.pruneExpired();
+        return Array.from(this.bans.values()).sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    pruneExpired(now = Date.now()) {
+        let pruned = 0;
+        for (const [key, ban] of this.bans) {
+            if (ban.expiresAt !== null && ban.expiresAt <= now) {
+                this.bans.delete(key);
+                pruned++;
+            }
+        }
+        if (pruned > 0) this.scheduleFlush();
+    }
+
+    scheduleFlush() {
+        if (this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY);
+        this.flushTimer.unref();
+    }
+
+    // Write to a temp file and rename, so a crash mid-write never truncates the list
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ bans: Array.from(this.bans.values()) }, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    close() {
+        if (this.flushTimer) this.flush();
+    }
+}
+
+module.exports = {
+    BanList,
+    requireAdminToken,
+    parseSettingValue,
+    BAN_TYPES
+};
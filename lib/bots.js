@@ -0,0 +1,189 @@
+// Server-controlled bot players
+// Bots are ordinary Players to the rest of the server - they sit in the players map, send
+// movement inputs through the input queue and collection requests through the collection queue.
+// This module holds what makes them bots: difficulty levels and the BotBrain that picks a target
+// and steers towards it. Filling worlds and feeding brains what is around them is up to server.js.
+
+// speed is a share of the anti-cheat speed limit, acceleration stays below its limit (units/s²).
+// valueWeight 0 goes for the nearest object, 1 weighs points as much as distance.
+const DIFFICULTIES = {
+    easy: { speed: 0.45, acceleration: 1500, sightRange: 400, reactionTime: 1500, portalAt: 0.85, stealChance: 0.1, valueWeight: 0 },
+    normal: { speed: 0.7, acceleration: 3000, sightRange: 700, reactionTime: 700, portalAt: 0.7, stealChance: 0.4, valueWeight: 0.5 },
+    hard: { speed: 0.95, acceleration: 5000, sightRange: 1000, reactionTime: 300, portalAt: 0.55, stealChance: 0.8, valueWeight: 1 }
+};
+
+const BOT_NAMES = [
+    'Nova', 'Quasar', 'Pulsar', 'Comet', 'Orbit', 'Vega', 'Sirius', 'Lyra', 'Draco', 'Rigel',
+    'Altair', 'Cosmo', 'Astra', 'Zenith', 'Photon', 'Halo', 'Vortex', 'Eclipse', 'Nebula', 'Ion'
+];
+
+const STEAL_BONUS = 3; // Objects other players are closing in on look this much better to a thief
+const DISTANCE_OFFSET = 50; // Keeps very close objects from outweighing everything else
+const WANDER_ARRIVAL = 50; // A wander point counts as reached this close
+
+function isDifficulty(difficulty) {
+    return Object.prototype.hasOwnProperty.call(DIFFICULTIES, difficulty);
+}
+
+// "Bot Nova" - human names can't contain spaces, so a bot never takes a real player's name.
+// taken(name) says whether a name is in use.
+function pickBotName(taken) {
+    const free = BOT_NAMES.find(name => !taken(`Bot ${name}`));
+    if (free) return `Bot ${free}`;
+
+    let number = 1;
+    while (taken(`Bot ${number}`)) number++;
+    return `Bot ${number}`;
+}
+
+// Stand-in for a Socket.IO socket - the server talks to bots like to anyone else, nothing is sent
+function createBotSocket(id) {
+    return {
+        id: id,
+        connected: false,
+        isBot: true,
+        handshake: { headers: {}, address: null },
+        emit() {},
+        join() {},
+        leave() {},
+        disconnect() {}
+    };
+}
+
+// Bots have no account in the store - this record only lives as long as the bot and is never saved
+function createBotAccount(id, name) {
+    return {
+        id: id,
+        name: name,
+        bot: true,
+        stats: {},
+        chat: { muted: [], blocked: [] }
+    };
+}
+
+function distanceTo(a, b) {
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2) + Math.pow(a.z - b.z, 2));
+}
+
+// The best object to go for - candidates are { id, x, y, z, distance, points, rivals }, where
+// rivals counts other players near the object. Returns null when there is nothing worth having.
+function chooseTarget(candidates, profile, wantsSteal) {
+    let best = null;
+    let bestScore = 0;
+
+    candidates.forEach(candidate => {
+        if (candidate.points <= 0) return;
+
+        let score = Math.pow(candidate.points, profile.valueWeight) / (candidate.distance + DISTANCE_OFFSET);
+        if (wantsSteal && candidate.rivals > 0) score *= STEAL_BONUS;
+        if (score > bestScore) {
+            best = candidate;
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
+
+class BotBrain {
+    constructor(difficulty = 'normal', maxSpeed = 600) {
+        this.difficulty = isDifficulty(difficulty) ? difficulty : 'normal';
+        this.profile = DIFFICULTIES[this.difficulty];
+        this.maxSpeed = maxSpeed * this.profile.speed;
+        this.target = null; // { id, x, y, z, portal } or { x, y, z, wander: true }
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.nextDecisionAt = 0;
+        this.nextClaimAt = 0; // Collection requests are spaced out like a player's clicks
+        this.lastStepAt = null;
+        this.respawnAt = null; // Set once the bot is found dead
+    }
+
+    // Radiation past the difficulty's threshold, or a full hold to bank, sends the bot to a portal
+    wantsPortal(radiationShare, holdFull) {
+        return radiationShare >= this.profile.portalAt || holdFull;
+    }
+
+    // Pick the next target. situation - { position, radiation (0-1), holdFull, objects, portals },
+    // with objects and portals as chooseTarget() candidates. random() is the server's random source.
+    decide(situation, now, random) {
+        this.nextDecisionAt = now + this.profile.reactionTime;
+
+        if (this.wantsPortal(situation.radiation, situation.holdFull) && situation.portals.length > 0) {
+            const portal = situation.portals.reduce((nearest, candidate) => candidate.distance < nearest.distance ? candidate : nearest);
+            this.target = { id: portal.id, x: portal.x, y: portal.y, z: portal.z, portal: true };
+            return this.target;
+        }
+
+        const choice = chooseTarget(situation.objects, this.profile, random() < this.profile.stealChance);
+        if (choice) {
+            this.target = { id: choice.id, x: choice.x, y: choice.y, z: choice.z, portal: false };
+            return this.target;
+        }
+
+        // Nothing in sight - keep drifting, towards the calmer middle of the world, and look again
+        if (this.target && this.target.wander && distanceTo(situation.position, this.target) > WANDER_ARRIVAL) {
+            return this.target;
+        }
+        const range = this.profile.sightRange;
+        this.target = {
+            x: situation.position.x * 0.5 + (random() - 0.5) * range,
+            y: situation.position.y * 0.5 + (random() - 0.5) * range * 0.5,
+            z: situation.position.z * 0.5 + (random() - 0.5) * range,
+            wander: true
+        };
+        return this.target;
+    }
+
+    // Fly towards the target, braking in time to stop on it. Returns the movement since the
+    // last step as an input: { move: { dx, dy, dz }, rotationX, rotationY }
+    steer(position, now) {
+        const dt = this.lastStepAt === null ? 0 : Math.max(0, (now - this.lastStepAt) / 1000);
+        this.lastStepAt = now;
+
+        const desired = { x: 0, y: 0, z: 0 };
+        if (this.target) {
+            const dx = this.target.x - position.x;
+            const dy = this.target.y - position.y;
+            const dz = this.target.z - position.z;
+            const distance = distanceTo(position, this.target);
+            if (distance > 0) {
+                const speed = Math.min(this.maxSpeed, Math.sqrt(2 * this.profile.acceleration * distance));
+                desired.x = dx / distance * speed;
+                desired.y = dy / distance * speed;
+                desired.z = dz / distance * speed;
+            }
+        }
+
+        // Turn within the acceleration limit, so the anti-cheat sees a plausible pilot
+        const change = { x: desired.x - this.velocity.x, y: desired.y - this.velocity.y, z: desired.z - this.velocity.z };
+        const magnitude = Math.sqrt(change.x * change.x + change.y * change.y + change.z * change.z);
+        const scale = magnitude > 0 ? Math.min(1, this.profile.acceleration * dt / magnitude) : 0;
+        this.velocity.x += change.x * scale;
+        this.velocity.y += change.y * scale;
+        this.velocity.z += change.z * scale;
+
+        return {
+            move: { dx: this.velocity.x * dt, dy: this.velocity.y * dt, dz: this.velocity.z * dt },
+            rotationX: 0,
+            rotationY: Math.atan2(-this.velocity.x, -this.velocity.z) // Facing the way it flies
+        };
+    }
+
+    // Stop and think again - after a death, a respawn or a finished trip
+    reset() {
+        this.target = null;
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.nextDecisionAt = 0;
+        this.lastStepAt = null;
+    }
+}
+
+module.exports = {
+    BotBrain,
+    DIFFICULTIES,
+    isDifficulty,
+    pickBotName,
+    chooseTarget,
+    createBotSocket,
+    createBotAccount
+};
@@ -0,0 +1,163 @@
+// Cargo holds and player-to-player trades
+// Objects of a type with "cargo": true (see config/objectTypes.json) are not scored when they are
+// collected - they ride in the player's hold until it is banked at a portal, and a player who
+// dies drops the whole hold for others to pick up. Trades swap items between two holds by type
+// and count, e.g. { rare: 1 } for { discovery: 3 }. Who may trade, and checking a trade again
+// when it is accepted, is up to server.js.
+
+const MAX_TRADE_ITEMS = 50; // Per side - far beyond any hold, just a sanity bound
+
+class CargoHold {
+    constructor(capacity = 10) {
+        this.capacity = capacity;
+        this.items = []; // { type, points } - oldest first, points fixed when collected
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    // Points the hold is worth once banked
+    get value() {
+        return this.items.reduce((sum, item) => sum + item.points, 0);
+    }
+
+    isFull() {
+        return this.items.length >= this.capacity;
+    }
+
+    add(item) {
+        if (this.isFull()) return false;
+        this.items.push({ type: item.type, points: item.points });
+        return true;
+    }
+
+    // Add as many as fit - returns the ones that did not
+    load(items) {
+        const rest = [];
+        items.forEach(item => {
+            if (!this.add(item)) rest.push(item);
+        });
+        return rest;
+    }
+
+    count(type) {
+        return this.items.filter(item => item.type === type).length;
+    }
+
+    // counts - { type: how many }
+    has(counts) {
+        return Object.entries(counts).every(([type, wanted]) => this.count(type) >= wanted);
+    }
+
+    // Remove the oldest items of each type - all of them or, when any are missing, none
+    take(counts) {
+        if (!this.has(counts)) return null;
+
+        const taken = [];
+        Object.entries(counts).forEach(([type, wanted]) => {
+            for (let i = 0; i < this.items.length && wanted > 0;) {
+                if (this.items[i].type === type) {
+                    taken.push(this.items.splice(i, 1)[0]);
+                    wanted--;
+                } else {
+                    i++;
+                }
+            }
+        });
+        return taken;
+    }
+
+    takeAll() {
+        return this.items.splice(0);
+    }
+
+    clear() {
+        this.items = [];
+    }
+
+    toClient() {
+        return {
+            capacity: this.capacity,
+            count: this.items.length,
+            value: this.value,
+            items: countItems(this.items)
+        };
+    }
+}
+
+// { type: how many } for a list of items
+function countItems(items) {
+    const counts = {};
+    items.forEach(item => { counts[item.type] = (counts[item.type] || 0) + 1; });
+    return counts;
+}
+
+function totalCount(counts) {
+    return Object.values(counts).reduce((sum, count) => sum + count, 0);
+}
+
+// Check { type: count } from a client - whole positive counts of types isCargoType() accepts.
+// Returns the cleaned counts, or null when anything is off.
+function parseItemCounts(raw, isCargoType) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+
+    const counts = {};
+    for (const [type, count] of Object.entries(raw)) {
+        if (!isCargoType(type) || !Number.isInteger(count) || count < 1) return null;
+        counts[type] = count;
+    }
+    return totalCount(counts) <= MAX_TRADE_ITEMS ? counts : null;
+}
+
+// Open trade proposals within one world
+class TradeBook {
+    constructor() {
+        this.trades = new Map(); // trade id -> { id, from, to, offer, request, expiresAt }
+        this.nextId = 1;
+    }
+
+    get size() {
+        return this.trades.size;
+    }
+
+    get(tradeId) {
+        return this.trades.get(tradeId) || null;
+    }
+
+    // One open proposal per player - a new one replaces it. Returns { trade, replaced }.
+    propose(from, to, offer, request, expiresAt) {
+        const replaced = Array.from(this.trades.values()).find(trade => trade.from === from) || null;
+        if (replaced) this.trades.delete(replaced.id);
+
+        const trade = { id: this.nextId++, from: from, to: to, offer: offer, request: request, expiresAt: expiresAt };
+        this.trades.set(trade.id, trade);
+        return { trade: trade, replaced: replaced };
+    }
+
+    remove(tradeId) {
+        const trade = this.get(tradeId);
+        if (trade) this.trades.delete(tradeId);
+        return trade;
+    }
+
+    // Every trade the player proposed or was offered
+    involving(player) {
+        return Array.from(this.trades.values()).filter(trade => trade.from === player || trade.to === player);
+    }
+
+    // Remove and return the proposals nobody answered in time
+    takeExpired(now) {
+        const expired = Array.from(this.trades.values()).filter(trade => now >= trade.expiresAt);
+        expired.forEach(trade => this.trades.delete(trade.id));
+        return expired;
+    }
+}
+
+module.exports = {
+    CargoHold,
+    TradeBook,
+    countItems,
+    totalCount,
+    parseItemCounts
+};
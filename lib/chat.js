@@ -0,0 +1,134 @@
+// Chat building blocks - sanitizing, filtering, flood control, scrollback and input parsing
+// Routing (channels, whispers, commands) lives in server.js, which knows about players.
+
+const MAX_LENGTH = 200;
+
+// Strip tags and control characters, collapse whitespace, cap the length and escape what's left.
+// Returns an empty string when nothing sendable remains.
+function sanitizeMessage(text, maxLength = MAX_LENGTH) {
+    if (typeof text !== 'string') return '';
+
+    const cleaned = text
+        .replace(/<[^>]*>/g, '')
+        .replace(/[\u0000-\u001f\u007f\u200b-\u200f\u202a-\u202e]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .substring(0, maxLength);
+
+    return cleaned
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Masks configured words (whole words, any case) with asterisks
+class WordFilter {
+    constructor(words = []) {
+        this.setWords(words);
+    }
+
+    setWords(words) {
+        const escaped = words
+            .map(word => String(word).trim())
+            .filter(word => word.length > 0)
+            .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+        this.pattern = escaped.length > 0 ? new RegExp(`\\b(${escaped.join('|')})\\b`, 'gi') : null;
+    }
+
+    apply(text) {
+        if (!this.pattern) return text;
+        return text.replace(this.pattern, match => '*'.repeat(match.length));
+    }
+}
+
+// Per-player flood detection - too many messages in a window, or the same message repeated
+class FloodGuard {
+    constructor(options = {}) {
+        this.window = options.window || 10000;
+        this.maxMessages = options.maxMessages || 6;
+        this.duplicateWindow = options.duplicateWindow || 30000;
+        this.maxDuplicates = options.maxDuplicates || 2;
+        this.sent = []; // { time, text }
+    }
+
+    // Returns null if the message may be sent, otherwise 'flood' or 'duplicate'
+    check(text, now = Date.now()) {
+        const horizon = now - Math.max(this.window, this.duplicateWindow);
+        this.sent = this.sent.filter(entry => entry.time > horizon);
+
+        const recent = this.sent.filter(entry => entry.time > now - this.window);
+        if (recent.length >= this.maxMessages) return 'flood';
+
+        const normalized = text.toLowerCase();
+        const duplicates = this.sent.filter(entry =>
+            entry.time > now - this.duplicateWindow && entry.text === normalized
+        );
+        if (duplicates.length >= this.maxDuplicates) return 'duplicate';
+
+        this.sent.push({ time: now, text: normalized });
+        return null;
+    }
+}
+
+// Fixed-size ring of recent messages for scrollback on join
+class ChatHistory {
+    constructor(size = 30) {
+        this.size = size;
+        this.messages = [];
+    }
+
+    add(message) {
+        this.messages.push(message);
+        if (this.messages.length > this.size) this.messages.shift();
+    }
+
+    recent(filter) {
+        return filter ? this.messages.filter(filter) : this.messages.slice();
+    }
+}
+
+// Channel shortcuts accepted in front of a message
+const CHANNEL_COMMANDS = {
+    g: 'global',
+    global: 'global',
+    l: 'proximity',
+    local: 'proximity',
+    p: 'proximity',
+    t: 'team',
+    team: 'team'
+};
+
+// Turns raw chat input into { type: 'message', channel, text }, { type: 'whisper', target, text }
+// or { type: 'command', name, args }
+function parseChatInput(input, defaultChannel = 'global') {
+    const text = String(input || '').trim();
+    if (!text.startsWith('/')) {
+        return { type: 'message', channel: defaultChannel, text };
+    }
+
+    const parts = text.substring(1).split(/\s+/);
+    const name = (parts.shift() || '').toLowerCase();
+
+    if (CHANNEL_COMMANDS[name]) {
+        return { type: 'message', channel: CHANNEL_COMMANDS[name], text: parts.join(' ') };
+    }
+
+    if (name === 'w' || name === 'whisper' || name === 'msg') {
+        const target = parts.shift() || '';
+        return { type: 'whisper', target, text: parts.join(' ') };
+    }
+
+    return { type: 'command', name, args: parts };
+}
+
+module.exports = {
+    sanitizeMessage,
+    WordFilter,
+    FloodGuard,
+    ChatHistory,
+    parseChatInput,
+    MAX_LENGTH
+};
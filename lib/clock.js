@@ -0,0 +1,41 @@
+// Game time and randomness
+// server.js reads the time and rolls its dice through one clock instead of calling Date.now()
+// and Math.random() directly. Tests swap in a ManualClock: time only moves when the test
+// advances it, and the seeded RNG gives the same spawns and wanders on every run.
+
+const { createRng } = require('./worldgen');
+
+class SystemClock {
+    now() {
+        return Date.now();
+    }
+
+    random() {
+        return Math.random();
+    }
+}
+
+class ManualClock {
+    constructor(options = {}) {
+        this.time = options.start !== undefined ? options.start : Date.UTC(2025, 0, 6);
+        this.rng = createRng(String(options.seed !== undefined ? options.seed : 'test'));
+    }
+
+    now() {
+        return this.time;
+    }
+
+    random() {
+        return this.rng();
+    }
+
+    advance(ms) {
+        this.time += ms;
+        return this.time;
+    }
+}
+
+module.exports = {
+    SystemClock,
+    ManualClock
+};
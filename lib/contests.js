@@ -0,0 +1,100 @@
+// Lag-compensated contests over collectible objects
+// Every player keeps a short history of server positions. A collect_resource claim is dated
+// back to when the player actually made it (receive time minus their measured latency), and
+// claims on the same object that arrive within a short window are settled together: every
+// claimant is rewound to the moment of the earliest claim and the closest one wins. What a
+// win means - points, steals, captures - is decided in server.js.
+
+// Recent positions of one player, oldest first
+class PositionHistory {
+    constructor(maxAge = 1000) {
+        this.maxAge = maxAge;
+        this.samples = []; // { t, x, y, z }
+    }
+
+    record(t, x, y, z) {
+        this.samples.push({ t: t, x: x, y: y, z: z });
+        while (this.samples.length > 2 && this.samples[1].t < t - this.maxAge) this.samples.shift();
+    }
+
+    // Forget everything - after a teleport or respawn, so nothing is interpolated across the jump
+    clear() {
+        this.samples = [];
+    }
+
+    // Position at time t, interpolated between samples. Null when t is at or after the latest
+    // sample (the current position is the answer) or when there is no history yet.
+    at(t) {
+        const samples = this.samples;
+        if (samples.length === 0 || t >= samples[samples.length - 1].t) return null;
+        if (t <= samples[0].t) return { x: samples[0].x, y: samples[0].y, z: samples[0].z };
+
+        for (let i = samples.length - 1; i > 0; i--) {
+            const from = samples[i - 1];
+            const to = samples[i];
+            if (t >= from.t) {
+                const alpha = to.t === from.t ? 1 : (t - from.t) / (to.t - from.t);
+                return {
+                    x: from.x + (to.x - from.x) * alpha,
+                    y: from.y + (to.y - from.y) * alpha,
+                    z: from.z + (to.z - from.z) * alpha
+                };
+            }
+        }
+        return null;
+    }
+}
+
+// Claims waiting to be settled, grouped by object
+class ClaimBoard {
+    constructor() {
+        this.contests = new Map(); // object id -> { objectId, openedAt, claims: [claim] }
+    }
+
+    get size() {
+        return this.contests.size;
+    }
+
+    // One claim per player and object - a repeated claim keeps the first one
+    add(objectId, claim, now) {
+        let contest = this.contests.get(objectId);
+        if (!contest) {
+            contest = { objectId: objectId, openedAt: now, claims: [] };
+            this.contests.set(objectId, contest);
+        }
+        if (!contest.claims.some(existing => existing.player === claim.player)) contest.claims.push(claim);
+        return contest;
+    }
+
+    // Remove and return the contests whose window has closed
+    takeDue(now, window) {
+        const due = [];
+        this.contests.forEach((contest, objectId) => {
+            if (now - contest.openedAt >= window) {
+                due.push(contest);
+                this.contests.delete(objectId);
+            }
+        });
+        return due;
+    }
+
+    clear() {
+        this.contests.clear();
+    }
+}
+
+// Order claims best first: closest (to the hundredth of a unit), then the earliest estimated
+// client time, then the name - the same claims always give the same winner.
+function rankClaims(claims) {
+    return claims.slice().sort((a, b) =>
+        Math.round(a.distance * 100) - Math.round(b.distance * 100) ||
+        a.clientTime - b.clientTime ||
+        a.player.name.localeCompare(b.player.name)
+    );
+}
+
+module.exports = {
+    PositionHistory,
+    ClaimBoard,
+    rankClaims
+};
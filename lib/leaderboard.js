@@ -0,0 +1,246 @@
+// Durable leaderboards - all-time, daily, weekly and seasonal
+// Every finished life (see recordPlayerRun in server.js) is added to the current period of
+// each board. Entries are per account, so results survive disconnects and restarts.
+//
+// Boards are bucketed by period key:
+//   alltime          -> 'alltime'
+//   daily            -> 'daily:2025-06-01'   (UTC day)
+//   weekly           -> 'weekly:2025-W22'    (ISO week)
+//   season           -> 'season:3'           (fixed-length seasons from seasonEpoch)
+
+const fs = require('fs');
+const path = require('path');
+
+const BOARDS = ['alltime', 'daily', 'weekly', 'season'];
+
+// metric name -> how a run changes the entry's value
+const METRICS = {
+    score: { field: 'score', combine: 'sum' },
+    rareItems: { field: 'rareItems', combine: 'sum' },
+    steals: { field: 'resourcesStolen', combine: 'sum' },
+    survival: { field: 'survivalTime', combine: 'max' } // Longest single life in radiation
+};
+
+// How many old periods of each board are kept before being pruned
+const RETAINED_PERIODS = { daily: 14, weekly: 8, season: 4 };
+const FLUSH_DELAY = 5000; // Writes are batched for this long (ms)
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dailyKey(time) {
+    return `daily:${new Date(time).toISOString().substring(0, 10)}`;
+}
+
+// ISO 8601 week - weeks start on Monday, week 1 holds the year's first Thursday
+function weeklyKey(time) {
+    const date = new Date(time);
+    const day = date.getUTCDay() || 7;
+    const thursday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 4 - day);
+    const year = new Date(thursday).getUTCFullYear();
+    const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS)) + 1;
+    return `weekly:${year}-W${String(week).padStart(2, '0')}`;
+}
+
+class LeaderboardService {
+    constructor(options = {}) {
+        this.filePath = options.path || null; // null keeps everything in memory
+        this.seasonEpoch = options.seasonEpoch || Date.UTC(2025, 0, 1);
+        this.seasonLengthDays = options.seasonLengthDays || 28;
+        this.periods = new Map(); // period key -> Map(account id -> entry)
+        this.sortedCache = new Map(); // 'period|metric' -> sorted entries
+        this.flushTimer = null;
+    }
+
+    load() {
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        for (const [period, entries] of Object.entries(data.periods || {})) {
+            this.periods.set(period, new Map(entries.map(entry => [entry.accountId, entry])));
+        }
+    }
+
+    getSeason(time = Date.now()) {
+        return Math.floor((time - this.seasonEpoch) / (this.seasonLengthDays * DAY_MS)) + 1;
+    }
+
+    getSeasonRange(season) {
+        const start = this.seasonEpoch + (season - 1) * this.seasonLengthDays * DAY_MS;
+        return { start, end: start + this.seasonLengthDays * DAY_MS };
+    }
+
+    // Period key of a board at the given time
+    getPeriodKey(board, time = Date.now()) {
+        switch (board) {
+            case 'alltime': return 'alltime';
+            case 'daily': return dailyKey(time);
+            case 'weekly': return weeklyKey(time);
+            case 'season': return `season:${this.getSeason(time)}`;
+            default: return null;
+        }
+    }
+
+    // Add one finished life to every board's current period
+    recordRun(account, runStats, time = Date.now()) {
+        BOARDS.forEach(board => {
+            const period = this.getPeriodKey(board, time);
+            let entries = this.periods.get(period);
+            if (!entries) {
+                entries = new Map();
+                this.periods.set(period, entries);
+                this.prune(board);
+            }
+
+            let entry = entries.get(account.id);
+            if (!entry) {
+                entry = { accountId: account.id, name: account.name, runs: 0, updatedAt: time, reachedAt: {} };
+                Object.keys(METRICS).forEach(metric => { entry[metric] = 0; });
+                entries.set(account.id, entry);
+            }
+
+            for (const [metric, rule] of Object.entries(METRICS)) {
+                const value = runStats[rule.field] || 0;
+                const updated = rule.combine === 'max' ? Math.max(entry[metric], value) : entry[metric] + value;
+                if (updated !== entry[metric]) {
+                    entry[metric] = updated;
+                    entry.reachedAt[metric] = time; // Tie-break - earlier wins
+                }
+            }
+            entry.name = account.name;
+            entry.runs++;
+            entry.updatedAt = time;
+
+            for (const key of this.sortedCache.keys()) {
+                if (key.startsWith(`${period}|`)) this.sortedCache.delete(key);
+            }
+        });
+
+        this.scheduleFlush();
+    }
+
+    // Drop the oldest periods of a board beyond its retention
+    prune(board) {
+        const limit = RETAINED_PERIODS[board];
+        if (!limit) return;
+
+        const keys = Array.from(this.periods.keys())
+            .filter(key => key.startsWith(`${board}:`))
+            .sort((a, b) => this.periodOrder(a) - this.periodOrder(b));
+
+        while (keys.length > limit) {
+            this.periods.delete(keys.shift());
+        }
+    }
+
+    periodOrder(period) {
+        const value = period.substring(period.indexOf(':') + 1);
+        if (period.startsWith('season:')) return Number(value);
+        if (period.startsWith('weekly:')) {
+            const [year, week] = value.split('-W').map(Number);
+            return year * 100 + week;
+        }
+        return Date.parse(value);
+    }
+
+    // Highest value first - ties go to whoever reached it first
+    getSorted(period, metric) {
+        const cacheKey = `${period}|${metric}`;
+        let sorted = this.sortedCache.get(cacheKey);
+        if (sorted) return sorted;
+
+        const entries = this.periods.get(period);
+        sorted = entries ? Array.from(entries.values()).filter(entry => entry[metric] > 0) : [];
+        sorted.sort((a, b) => b[metric] - a[metric] ||
+            (a.reachedAt[metric] || 0) - (b.reachedAt[metric] || 0) ||
+            a.name.localeCompare(b.name));
+
+        this.sortedCache.set(cacheKey, sorted);
+        return sorted;
+    }
+
+    formatEntry(entry, metric, rank) {
+        return { rank: rank, name: entry.name, value: entry[metric], runs: entry.runs };
+    }
+
+    // One page of a board - { board, period, metric, total, offset, limit, entries }
+    getPage(board, metric, options = {}) {
+        const period = options.period || this.getPeriodKey(board);
+        const sorted = this.getSorted(period, metric);
+        const offset = options.offset || 0;
+        const limit = options.limit || 50;
+
+        return {
+            board: board,
+            period: period,
+            metric: metric,
+            total: sorted.length,
+            offset: offset,
+            limit: limit,
+            entries: sorted.slice(offset, offset + limit).map((entry, index) => this.formatEntry(entry, metric, offset + index + 1))
+        };
+    }
+
+    // An account's position on a board, with a few neighbours for context
+    getRank(board, metric, accountId, options = {}) {
+        const period = options.period || this.getPeriodKey(board);
+        const sorted = this.getSorted(period, metric);
+        const index = sorted.findIndex(entry => entry.accountId === accountId);
+        const around = options.around || 2;
+
+        const result = {
+            board: board,
+            period: period,
+            metric: metric,
+            total: sorted.length,
+            rank: null,
+            value: 0,
+            neighbours: []
+        };
+
+        if (index === -1) return result;
+
+        result.rank = index + 1;
+        result.value = sorted[index][metric];
+        const start = Math.max(0, index - around);
+        result.neighbours = sorted.slice(start, index + around + 1).map((entry, offset) => this.formatEntry(entry, metric, start + offset + 1));
+        return result;
+    }
+
+    // Period keys currently held for a board, newest first
+    listPeriods(board) {
+        return Array.from(this.periods.keys())
+            .filter(key => key === board || key.startsWith(`${board}:`))
+            .sort((a, b) => this.periodOrder(b) - this.periodOrder(a));
+    }
+
+    scheduleFlush() {
+        if (!this.filePath || this.flushTimer) return;
+        this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY);
+        this.flushTimer.unref();
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (!this.filePath) return;
+
+        const periods = {};
+        for (const [period, entries] of this.periods) {
+            periods[period] = Array.from(entries.values());
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ periods }));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    close() {
+        if (this.flushTimer) this.flush();
+    }
+}
+
+module.exports = {
+    LeaderboardService,
+    BOARDS,
+    METRICS
+};
@@ -0,0 +1,51 @@
+// Leveled, structured logging
+// Every line is an event name plus fields, written as one JSON object per line so logs can be
+// filtered and shipped (LOG_FORMAT=json, the default). LOG_FORMAT=pretty prints just the
+// human message - handy while developing. LOG_LEVEL picks the lowest level written.
+//
+//   log.info('resource_collected', `✅ ${name} collected ${type}`, { player: name, type, points })
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+class Logger {
+    constructor(options = {}) {
+        this.level = LEVELS[options.level] || LEVELS.info;
+        this.format = options.format === 'pretty' ? 'pretty' : 'json';
+        this.stream = options.stream || process.stdout;
+        this.errorStream = options.errorStream || process.stderr; // warn and error
+        this.fields = options.fields || {}; // Added to every line
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= this.level;
+    }
+
+    write(level, event, message, fields) {
+        if (!this.isEnabled(level)) return;
+
+        const stream = LEVELS[level] >= LEVELS.warn ? this.errorStream : this.stream;
+        if (this.format === 'pretty') {
+            stream.write(`${message || event}\n`);
+            return;
+        }
+
+        const line = Object.assign({ time: new Date().toISOString(), level: level, event: event }, this.fields, fields);
+        if (message) line.msg = message;
+        stream.write(`${JSON.stringify(line)}\n`);
+    }
+
+    debug(event, message, fields) { this.write('debug', event, message, fields); }
+    info(event, message, fields) { this.write('info', event, message, fields); }
+    warn(event, message, fields) { this.write('warn', event, message, fields); }
+    error(event, message, fields) { this.write('error', event, message, fields); }
+}
+
+function createLogger(options) {
+    return new Logger(options);
+}
+
+module.exports = {
+    Logger,
+    createLogger,
+    LEVELS
+};
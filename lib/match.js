@@ -0,0 +1,85 @@
+// Timed match phases for a world
+//   warmup      - waits for enough players, then counts down; practice only, nothing is scored
+//   round       - the scored part of the match
+//   suddenDeath - radiation climbs faster and portals stop respawning
+//   results     - final standings are shown, then the world is regenerated for the next match
+//
+// The Match only tracks time and phases. server.js reacts to phase changes (respawns,
+// standings, world regeneration) through the value returned by update().
+
+const PHASE_ORDER = ['warmup', 'round', 'suddenDeath', 'results'];
+
+class Match {
+    constructor(options = {}) {
+        this.durations = {
+            warmup: options.warmupDuration || 30000,
+            round: options.roundDuration || 300000,
+            suddenDeath: options.suddenDeathDuration || 60000,
+            results: options.resultsDuration || 15000
+        };
+        this.minPlayers = options.minPlayers || 2;
+        this.suddenDeathRadiationMultiplier = options.suddenDeathRadiationMultiplier || 3;
+
+        this.matchNumber = 1;
+        this.phase = 'warmup';
+        this.phaseStartedAt = Date.now();
+        this.endsAt = null; // null while warmup is waiting for players
+    }
+
+    // Points only count during the round and sudden death
+    isScoring() {
+        return this.phase === 'round' || this.phase === 'suddenDeath';
+    }
+
+    getRadiationMultiplier() {
+        return this.phase === 'suddenDeath' ? this.suddenDeathRadiationMultiplier : 1;
+    }
+
+    enter(phase, now) {
+        this.phase = phase;
+        this.phaseStartedAt = now;
+        this.endsAt = phase === 'warmup' ? null : now + this.durations[phase];
+    }
+
+    // Advance the clock. Returns { from, to } when the phase changed, otherwise null.
+    update(playerCount, now = Date.now()) {
+        const from = this.phase;
+
+        if (this.phase === 'warmup') {
+            if (playerCount < this.minPlayers) {
+                this.endsAt = null; // Not enough players - keep waiting
+                return null;
+            }
+            if (this.endsAt === null) {
+                this.endsAt = now + this.durations.warmup;
+                return { from, to: 'warmup' }; // Countdown started
+            }
+        } else if (playerCount === 0 && this.phase !== 'results') {
+            // Everybody left mid-match - start over
+            this.enter('warmup', now);
+            return { from, to: 'warmup', aborted: true };
+        }
+
+        if (this.endsAt === null || now < this.endsAt) return null;
+
+        if (this.phase === 'results') {
+            this.matchNumber++;
+            this.enter('warmup', now);
+        } else {
+            this.enter(PHASE_ORDER[PHASE_ORDER.indexOf(this.phase) + 1], now);
+        }
+        return { from, to: this.phase };
+    }
+
+    getState(now = Date.now()) {
+        return {
+            phase: this.phase,
+            matchNumber: this.matchNumber,
+            endsAt: this.endsAt,
+            remaining: this.endsAt === null ? null : Math.max(0, this.endsAt - now),
+            minPlayers: this.minPlayers
+        };
+    }
+}
+
+module.exports = { Match };
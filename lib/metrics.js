@@ -0,0 +1,178 @@
+// Prometheus metrics
+// A small registry of counters, gauges and histograms rendered in the Prometheus text format
+// for GET /metrics. Gauges can be read at scrape time through a collect() callback, so
+// values like player counts never need to be kept in sync by hand.
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+// label object -> stable series key, e.g. {type="rare",world="w1"}
+function formatLabels(labels) {
+    const keys = Object.keys(labels || {}).sort();
+    if (keys.length === 0) return '';
+    const pairs = keys.map(key => `${key}="${String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+    return `{${pairs.join(',')}}`;
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+class Metric {
+    constructor(type, name, help) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+    }
+
+    renderHeader() {
+        return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}\n`;
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help) {
+        super('counter', name, help);
+        this.values = new Map(); // label key -> value
+    }
+
+    inc(labels, amount = 1) {
+        const key = formatLabels(labels);
+        this.values.set(key, (this.values.get(key) || 0) + amount);
+    }
+
+    render() {
+        let text = this.renderHeader();
+        this.values.forEach((value, key) => { text += `${this.name}${key} ${formatValue(value)}\n`; });
+        return text;
+    }
+}
+
+// collect() returns a number, or a list of { labels, value } - called on every scrape
+class Gauge extends Metric {
+    constructor(name, help, collect) {
+        super('gauge', name, help);
+        this.collect = collect || null;
+        this.values = new Map();
+    }
+
+    set(labels, value) {
+        this.values.set(formatLabels(labels), value);
+    }
+
+    render() {
+        let text = this.renderHeader();
+        if (this.collect) {
+            const collected = this.collect();
+            const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+            samples.forEach(sample => { text += `${this.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}\n`; });
+        }
+        this.values.forEach((value, key) => { text += `${this.name}${key} ${formatValue(value)}\n`; });
+        return text;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super('histogram', name, help);
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+        this.counts = new Array(this.buckets.length).fill(0);
+        this.sum = 0;
+        this.count = 0;
+    }
+
+    observe(value) {
+        this.sum += value;
+        this.count++;
+        for (let i = 0; i < this.buckets.length; i++) {
+            if (value <= this.buckets[i]) this.counts[i]++;
+        }
+    }
+
+    render() {
+        let text = this.renderHeader();
+        this.buckets.forEach((bucket, i) => {
+            text += `${this.name}_bucket{le="${bucket}"} ${this.counts[i]}\n`;
+        });
+        text += `${this.name}_bucket{le="+Inf"} ${this.count}\n`;
+        text += `${this.name}_sum ${formatValue(this.sum)}\n`;
+        text += `${this.name}_count ${this.count}\n`;
+        return text;
+    }
+}
+
+// Events within the last `window` ms - for "per minute" style gauges
+class SlidingWindow {
+    constructor(window = 60000) {
+        this.window = window;
+        this.times = [];
+    }
+
+    add(now = Date.now()) {
+        this.times.push(now);
+        this.prune(now);
+    }
+
+    prune(now) {
+        while (this.times.length > 0 && now - this.times[0] > this.window) this.times.shift();
+    }
+
+    count(now = Date.now()) {
+        this.prune(now);
+        return this.times.length;
+    }
+}
+
+class MetricsRegistry {
+    constructor(prefix = '') {
+        this.prefix = prefix;
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help) {
+        return this.register(new Counter(this.prefix + name, help));
+    }
+
+    gauge(name, help, collect) {
+        return this.register(new Gauge(this.prefix + name, help, collect));
+    }
+
+    histogram(name, help, buckets) {
+        return this.register(new Histogram(this.prefix + name, help, buckets));
+    }
+
+    // Event loop delay as gauges (seconds) - percentiles since the previous scrape.
+    // The monitor's samples include its own timer interval, which is taken off again.
+    eventLoopLag(name, help, resolution = 20) {
+        const monitor = monitorEventLoopDelay({ resolution: resolution });
+        monitor.enable();
+        const lag = nanoseconds => Math.max(0, nanoseconds / 1e9 - resolution / 1000);
+
+        return this.gauge(name, help, () => {
+            const samples = [
+                { labels: { quantile: '0.5' }, value: lag(monitor.percentile(50)) },
+                { labels: { quantile: '0.99' }, value: lag(monitor.percentile(99)) },
+                { labels: { quantile: '1' }, value: lag(monitor.max) }
+            ];
+            monitor.reset();
+            return samples;
+        });
+    }
+
+    render() {
+        return this.metrics.map(metric => metric.render()).join('');
+    }
+}
+
+module.exports = {
+    MetricsRegistry,
+    SlidingWindow,
+    Counter,
+    Gauge,
+    Histogram
+};
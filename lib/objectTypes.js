@@ -0,0 +1,285 @@
+// Data-driven object types
+// Every collectible is described in config/objectTypes.json (or a .yaml file when js-yaml is
+// installed) - points, collect radius, respawn time, how many spawn, which stat it counts
+// towards, what collecting it does and how it moves. Designers can add types without touching
+// server code; the file is validated on load and can be reloaded while the server runs.
+//
+// Ranges are either a number or { "min": a, "max": b, "integer": true|false } and are rolled
+// per object (or per collection for effects).
+//
+// A type with a "portal" block is a teleporter rather than a pickup - see lib/portals.js.
+// "cargo": true types go into the collector's hold and only score once banked - see lib/cargo.js.
+
+const fs = require('fs');
+const path = require('path');
+
+const STATS = ['discoveries', 'rareItems', 'creatures']; // Player counters a type may increase
+const PLACEMENTS = ['biomes', 'regions', 'hazards']; // See lib/worldgen.js
+const BEHAVIORS = ['static', 'wander', 'flee'];
+const SHAPES = ['sphere', 'box', 'octahedron', 'dodecahedron', 'torus', 'tetrahedron'];
+const BIOMES = ['nebula', 'open', 'void'];
+const PORTAL_DEFAULTS = {
+    networkSize: 2, // Portals linked together - 2 is a plain pair
+    capacity: 5, // Trips through a portal before it collapses until it respawns
+    cooldown: 8000, // ms before the same player can travel again
+    exitDistance: 45 // How far from the destination portal travelers come out
+};
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function isRange(value) {
+    if (isNumber(value)) return true;
+    return !!value && typeof value === 'object' && isNumber(value.min) && isNumber(value.max) && value.min <= value.max;
+}
+
+// Roll a range with the given random source
+function sampleRange(range, rng = Math.random) {
+    if (isNumber(range)) return range;
+    if (range.integer) return range.min + Math.floor(rng() * (range.max - range.min + 1));
+    return range.min + rng() * (range.max - range.min);
+}
+
+// Check one type definition, pushing readable problems. Returns the definition with defaults.
+function validateType(name, raw, problems) {
+    const where = `types.${name}`;
+    const fail = message => problems.push(`${where}${message}`);
+
+    if (!/^[A-Za-z][A-Za-z0-9_]{0,31}$/.test(name)) fail(' - type names are letters, numbers and _ (max 32)');
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        fail(' must be an object');
+        return null;
+    }
+
+    if (!isNumber(raw.points) || raw.points < 0) fail('.points must be a number >= 0');
+    if (!isNumber(raw.collectRadius) || raw.collectRadius <= 0) fail('.collectRadius must be a number > 0');
+    if (!isNumber(raw.respawnTime) || raw.respawnTime < 0) fail('.respawnTime must be a number of ms >= 0');
+    if (!Number.isInteger(raw.spawnCount) || raw.spawnCount < 0) fail('.spawnCount must be a whole number >= 0');
+    if (raw.stat !== undefined && raw.stat !== null && !STATS.includes(raw.stat)) {
+        fail(`.stat must be one of ${STATS.join(', ')} (or null)`);
+    }
+    if (raw.placement !== undefined && !PLACEMENTS.includes(raw.placement)) {
+        fail(`.placement must be one of ${PLACEMENTS.join(', ')}`);
+    }
+    if (raw.respawnInSuddenDeath !== undefined && typeof raw.respawnInSuddenDeath !== 'boolean') {
+        fail('.respawnInSuddenDeath must be true or false');
+    }
+    if (raw.cargo !== undefined && typeof raw.cargo !== 'boolean') fail('.cargo must be true or false');
+
+    const biomeWeights = Object.assign({ nebula: 1, open: 1, void: 1 }, raw.biomeWeights);
+    Object.entries(biomeWeights).forEach(([biome, weight]) => {
+        if (!BIOMES.includes(biome)) fail(`.biomeWeights.${biome} is not a biome (${BIOMES.join(', ')})`);
+        else if (!isNumber(weight) || weight < 0 || weight > 1) fail(`.biomeWeights.${biome} must be between 0 and 1`);
+    });
+
+    const effects = Object.assign({ radiationDelta: 0, scoreMultiplier: 1, scoreMultiplierDuration: 0 }, raw.effects);
+    if (!isRange(effects.radiationDelta)) fail('.effects.radiationDelta must be a number or { min, max }');
+    if (!isNumber(effects.scoreMultiplier) || effects.scoreMultiplier <= 0) fail('.effects.scoreMultiplier must be a number > 0');
+    if (!isNumber(effects.scoreMultiplierDuration) || effects.scoreMultiplierDuration < 0) {
+        fail('.effects.scoreMultiplierDuration must be a number of ms >= 0');
+    }
+
+    const movement = Object.assign({ behavior: 'static' }, raw.movement);
+    if (!BEHAVIORS.includes(movement.behavior)) fail(`.movement.behavior must be one of ${BEHAVIORS.join(', ')}`);
+    if (movement.behavior !== 'static') {
+        if (!isRange(movement.fleeSpeed)) fail('.movement.fleeSpeed must be a number or { min, max }');
+        if (movement.behavior === 'flee' && !isRange(movement.detectionRange)) {
+            fail('.movement.detectionRange must be a number or { min, max }');
+        }
+    }
+
+    const properties = Object.assign({}, raw.properties);
+    Object.entries(properties).forEach(([key, range]) => {
+        if (!isRange(range)) fail(`.properties.${key} must be a number or { min, max }`);
+    });
+
+    const portal = raw.portal ? Object.assign({}, PORTAL_DEFAULTS, raw.portal) : null;
+    if (portal) {
+        if (!Number.isInteger(portal.networkSize) || portal.networkSize < 2) fail('.portal.networkSize must be a whole number >= 2');
+        if (!Number.isInteger(portal.capacity) || portal.capacity < 1) fail('.portal.capacity must be a whole number >= 1');
+        if (!isNumber(portal.cooldown) || portal.cooldown < 0) fail('.portal.cooldown must be a number of ms >= 0');
+        if (!isNumber(portal.exitDistance) || portal.exitDistance < 0) fail('.portal.exitDistance must be a number >= 0');
+    }
+
+    const render = raw.render ? Object.assign({ shape: 'sphere', color: '#ffffff', size: 10 }, raw.render) : null;
+    if (render) {
+        if (!SHAPES.includes(render.shape)) fail(`.render.shape must be one of ${SHAPES.join(', ')}`);
+        if (typeof render.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(render.color)) fail('.render.color must look like #rrggbb');
+        if (!isNumber(render.size) || render.size <= 0) fail('.render.size must be a number > 0');
+    }
+
+    return {
+        name: name,
+        label: typeof raw.label === 'string' ? raw.label : name,
+        points: raw.points,
+        collectRadius: raw.collectRadius,
+        respawnTime: raw.respawnTime,
+        spawnCount: raw.spawnCount,
+        stat: raw.stat || null,
+        placement: raw.placement || 'biomes',
+        biomeWeights: biomeWeights,
+        respawnInSuddenDeath: raw.respawnInSuddenDeath !== false,
+        cargo: raw.cargo === true,
+        effects: effects,
+        movement: movement,
+        properties: properties,
+        portal: portal,
+        render: render
+    };
+}
+
+// Validate a whole config - { types: {...}, world: {...} }. Throws one error listing every problem.
+function validateConfig(raw, source, worldDefaults = {}) {
+    const problems = [];
+    const types = new Map();
+    const world = {};
+
+    if (!raw || typeof raw !== 'object' || !raw.types || typeof raw.types !== 'object') {
+        problems.push('top level needs a "types" object');
+    } else {
+        Object.entries(raw.types).forEach(([name, definition]) => {
+            const type = validateType(name, definition, problems);
+            if (type) types.set(name, type);
+        });
+        if (types.size === 0) problems.push('"types" must define at least one type');
+    }
+
+    // Optional world setting overrides - only known settings, with the same kind of value
+    Object.entries((raw && raw.world) || {}).forEach(([key, value]) => {
+        if (!(key in worldDefaults)) {
+            problems.push(`world.${key} is not a world setting`);
+        } else if (worldDefaults[key] !== null && typeof value !== typeof worldDefaults[key]) {
+            problems.push(`world.${key} must be a ${typeof worldDefaults[key]}`);
+        } else {
+            world[key] = value;
+        }
+    });
+
+    if (problems.length > 0) {
+        const error = new Error(`Invalid object types in ${source}:\n  - ${problems.join('\n  - ')}`);
+        error.problems = problems;
+        throw error;
+    }
+
+    return { types, world };
+}
+
+function readConfigFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.yaml' || extension === '.yml') {
+        let yaml;
+        try {
+            yaml = require('js-yaml');
+        } catch (error) {
+            throw new Error('YAML object types need the js-yaml package (npm install js-yaml)');
+        }
+        return yaml.load(text);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid object types in ${filePath}: ${error.message}`);
+    }
+}
+
+class ObjectTypeRegistry {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.worldDefaults = options.worldDefaults || {};
+        this.types = new Map(); // type name -> definition
+        this.world = {}; // World setting overrides from the file
+        this.version = 0; // Bumped on every successful (re)load
+        this.watching = false;
+    }
+
+    // Read and validate the file - throws on any problem and keeps the current types
+    load() {
+        const config = validateConfig(readConfigFile(this.filePath), this.filePath, this.worldDefaults);
+        this.types = config.types;
+        this.world = config.world;
+        this.version++;
+        return this;
+    }
+
+    // Like load(), but reports instead of throwing - a broken edit never takes the server down
+    reload() {
+        try {
+            this.load();
+            return { ok: true, types: this.names() };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    }
+
+    // Call onChange after the file changes on disk (polled, so it works on every platform)
+    watch(onChange, interval = 2000) {
+        if (this.watching) return;
+        this.watching = true;
+
+        fs.watchFile(this.filePath, { interval: interval, persistent: false }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) onChange();
+        });
+    }
+
+    unwatch() {
+        if (!this.watching) return;
+        fs.unwatchFile(this.filePath);
+        this.watching = false;
+    }
+
+    get(name) {
+        return this.types.get(name) || null;
+    }
+
+    has(name) {
+        return this.types.has(name);
+    }
+
+    names() {
+        return Array.from(this.types.keys());
+    }
+
+    // type -> how many to spawn, for world generation
+    getSpawnCounts() {
+        const counts = {};
+        this.types.forEach((type, name) => { counts[name] = type.spawnCount; });
+        return counts;
+    }
+
+    // type -> { placement, biomeWeights }, for lib/worldgen.js
+    getPlacementRules() {
+        const rules = {};
+        this.types.forEach((type, name) => {
+            rules[name] = { placement: type.placement, biomeWeights: type.biomeWeights };
+        });
+        return rules;
+    }
+
+    // What clients need to show and collect every type
+    toClient() {
+        const types = {};
+        this.types.forEach((type, name) => {
+            types[name] = {
+                label: type.label,
+                points: type.points,
+                collectRadius: type.collectRadius,
+                movement: type.movement.behavior,
+                cargo: type.cargo,
+                portal: type.portal ? { capacity: type.portal.capacity, cooldown: type.portal.cooldown } : null,
+                render: type.render
+            };
+        });
+        return types;
+    }
+}
+
+module.exports = {
+    ObjectTypeRegistry,
+    validateConfig,
+    sampleRange,
+    STATS
+};
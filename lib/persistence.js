@@ -0,0 +1,57 @@
+// World snapshots on disk
+// The running game (worlds, objects with their respawn timers, players mid-life) is written
+// to one JSON file every so often and on shutdown, and read back on startup. What goes into
+// a snapshot is decided by server.js - this module only stores and ages them.
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_VERSION = 1; // Bump when the layout changes - older snapshots are ignored
+
+class SnapshotFile {
+    constructor(filePath, options = {}) {
+        this.filePath = filePath;
+        this.maxAge = options.maxAge || 0; // Older snapshots are not restored (ms, 0 = any age)
+        this.lastSavedAt = null;
+    }
+
+    // Write to a temp file and rename, so a crash mid-write never leaves half a snapshot
+    save(state, now = Date.now()) {
+        const snapshot = Object.assign({ version: SNAPSHOT_VERSION, savedAt: now }, state);
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+        fs.renameSync(tempPath, this.filePath);
+
+        this.lastSavedAt = now;
+        return snapshot;
+    }
+
+    // The stored snapshot, or { error } explaining why there's nothing to restore
+    load(now = Date.now()) {
+        if (!fs.existsSync(this.filePath)) return { error: 'no snapshot' };
+
+        let snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            return { error: `unreadable snapshot (${error.message})` };
+        }
+
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            return { error: `snapshot version ${snapshot && snapshot.version} is not ${SNAPSHOT_VERSION}` };
+        }
+        if (this.maxAge > 0 && now - snapshot.savedAt > this.maxAge) {
+            return { error: `snapshot is ${Math.round((now - snapshot.savedAt) / 60000)} minutes old` };
+        }
+
+        snapshot.downtime = Math.max(0, now - snapshot.savedAt);
+        return { snapshot };
+    }
+}
+
+module.exports = {
+    SnapshotFile,
+    SNAPSHOT_VERSION
+};
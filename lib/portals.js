@@ -0,0 +1,117 @@
+// Ring-portal networks
+// Portals of a type are linked into small networks (pairs by default, see the "portal" block in
+// config/objectTypes.json). Stepping into one sends the traveler to the next open portal of its
+// network. Every trip wears the portal down - after `capacity` trips it collapses until it
+// respawns. Who may travel (cooldowns, contested use) is decided in server.js.
+
+// Tints for the inner ring, so linked portals are recognisable at a glance
+const NETWORK_COLORS = [0x88ff00, 0x00d4ff, 0xff66cc, 0xffcc00, 0xaa66ff, 0xff7744, 0x44ffaa, 0xffffff];
+
+class PortalNetwork {
+    constructor() {
+        this.networks = []; // { id, type, color, members: [WorldObject] }
+        this.links = new Map(); // portal id -> network
+        this.uses = new Map(); // portal id -> trips since it last (re)spawned
+    }
+
+    // Link every portal object. Portals are sorted by their angle around the world center and
+    // dealt round-robin, so the members of a network sit on different sides of the world.
+    // getSettings(type) returns the type's portal block, or null for ordinary objects.
+    build(objects, getSettings) {
+        const byType = new Map();
+        objects.forEach(obj => {
+            if (!getSettings(obj.type)) return;
+            if (!byType.has(obj.type)) byType.set(obj.type, []);
+            byType.get(obj.type).push(obj);
+        });
+
+        this.networks = [];
+        this.links.clear();
+        byType.forEach((portals, type) => {
+            if (portals.length < 2) return; // Nowhere to go
+            portals.sort((a, b) => Math.atan2(a.z, a.x) - Math.atan2(b.z, b.x) || a.id - b.id);
+
+            const count = Math.max(1, Math.floor(portals.length / getSettings(type).networkSize));
+            const networks = [];
+            for (let i = 0; i < count; i++) {
+                const network = {
+                    id: this.networks.length,
+                    type: type,
+                    color: NETWORK_COLORS[this.networks.length % NETWORK_COLORS.length],
+                    members: []
+                };
+                networks.push(network);
+                this.networks.push(network);
+            }
+            portals.forEach((portal, index) => {
+                const network = networks[index % count];
+                network.members.push(portal);
+                this.links.set(portal.id, network);
+            });
+        });
+
+        // Wear carries over for portals that are still here
+        Array.from(this.uses.keys()).forEach(id => {
+            if (!this.links.has(id)) this.uses.delete(id);
+        });
+        return this;
+    }
+
+    has(portalId) {
+        return this.links.has(portalId);
+    }
+
+    // Next portal of the network after this one that isOpen(portal) accepts, or null
+    getDestination(portalId, isOpen = () => true) {
+        const network = this.links.get(portalId);
+        if (!network) return null;
+
+        const members = network.members;
+        const start = members.findIndex(member => member.id === portalId);
+        for (let step = 1; step < members.length; step++) {
+            const candidate = members[(start + step) % members.length];
+            if (isOpen(candidate)) return candidate;
+        }
+        return null;
+    }
+
+    getUses(portalId) {
+        return this.uses.get(portalId) || 0;
+    }
+
+    // Count a trip - returns the portal's trips so far
+    recordUse(portalId) {
+        const uses = this.getUses(portalId) + 1;
+        this.uses.set(portalId, uses);
+        return uses;
+    }
+
+    // A respawned portal starts fresh
+    resetUses(portalId) {
+        this.uses.delete(portalId);
+    }
+
+    // What clients need to tint portals and show where they lead
+    toClient(getSettings) {
+        const portals = [];
+        this.networks.forEach(network => {
+            const capacity = getSettings(network.type).capacity;
+            network.members.forEach(portal => {
+                portals.push({
+                    id: portal.id,
+                    type: portal.type,
+                    network: network.id,
+                    color: network.color,
+                    linkedTo: network.members.filter(member => member !== portal).map(member => member.id),
+                    usesLeft: Math.max(0, capacity - this.getUses(portal.id))
+                });
+            });
+        });
+        return { portals: portals };
+    }
+}
+
+module.exports = {
+    PortalNetwork,
+    NETWORK_COLORS
+};
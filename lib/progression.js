@@ -0,0 +1,218 @@
+// Achievements, daily quests, XP and levels
+// server.js reports what a player does as counters - 'collections', 'collect:<type>', 'steals',
+// 'portalTrips', 'points', 'survivalSeconds', 'highRadiationSeconds' - and Progress turns them
+// into unlocks. Achievements count either within one life or over the account's lifetime,
+// quests over the current UTC day. Both give XP; levels unlock ship colors.
+// Everything but the current life is kept on the account record (account.progress).
+
+const { createRng } = require('./worldgen');
+
+// scope 'life' counts since the last respawn, 'lifetime' across every session
+const ACHIEVEMENTS = [
+    { id: 'first_contact', name: 'First Contact', description: 'Collect your first object', counter: 'collections', target: 1, scope: 'lifetime', xp: 25 },
+    { id: 'collector', name: 'Collector', description: 'Collect 100 objects', counter: 'collections', target: 100, scope: 'lifetime', xp: 150 },
+    { id: 'rare_run', name: 'Rare Run', description: 'Collect 5 rare entities in one life', counter: 'collect:rare', target: 5, scope: 'life', xp: 200 },
+    { id: 'creature_whisperer', name: 'Creature Whisperer', description: 'Encounter 25 space creatures', counter: 'collect:spaceCreature', target: 25, scope: 'lifetime', xp: 150 },
+    { id: 'pickpocket', name: 'Pickpocket', description: 'Win 10 contested objects', counter: 'steals', target: 10, scope: 'lifetime', xp: 150 },
+    { id: 'portal_hopper', name: 'Portal Hopper', description: 'Travel through 5 portals in one life', counter: 'portalTrips', target: 5, scope: 'life', xp: 100 },
+    { id: 'frequent_flyer', name: 'Frequent Flyer', description: 'Travel through 50 portals', counter: 'portalTrips', target: 50, scope: 'lifetime', xp: 200 },
+    { id: 'high_roller', name: 'High Roller', description: 'Score 500 points in one life', counter: 'points', target: 500, scope: 'life', xp: 200 },
+    { id: 'survivor', name: 'Survivor', description: 'Survive 10 minutes in one life', counter: 'survivalSeconds', target: 600, scope: 'life', xp: 150 },
+    { id: 'meltdown', name: 'Meltdown', description: 'Survive 10 minutes above 80% radiation in one life', counter: 'highRadiationSeconds', target: 600, scope: 'life', xp: 400 }
+];
+
+// Three of these are picked for everyone each day
+const DAILY_QUESTS = [
+    { id: 'collect_30', description: 'Collect 30 objects', counter: 'collections', target: 30, xp: 100 },
+    { id: 'discoveries_15', description: 'Find 15 discoveries', counter: 'collect:discovery', target: 15, xp: 100 },
+    { id: 'creatures_5', description: 'Encounter 5 space creatures', counter: 'collect:spaceCreature', target: 5, xp: 120 },
+    { id: 'rare_2', description: 'Capture 2 rare entities', counter: 'collect:rare', target: 2, xp: 150 },
+    { id: 'steals_3', description: 'Win 3 contested objects', counter: 'steals', target: 3, xp: 150 },
+    { id: 'portals_5', description: 'Travel through 5 portals', counter: 'portalTrips', target: 5, xp: 120 },
+    { id: 'points_300', description: 'Score 300 points', counter: 'points', target: 300, xp: 120 },
+    { id: 'survive_15', description: 'Survive 15 minutes in total', counter: 'survivalSeconds', target: 900, xp: 100 },
+    { id: 'hot_2', description: 'Spend 2 minutes above 80% radiation', counter: 'highRadiationSeconds', target: 120, xp: 150 }
+];
+const QUESTS_PER_DAY = 3;
+
+// Cosmetic ship colors and the level that unlocks each
+const SHIP_COLORS = [
+    { id: 'ember', name: 'Ember', color: 0xff7744, level: 2 },
+    { id: 'aurora', name: 'Aurora', color: 0x44ffaa, level: 3 },
+    { id: 'nebula', name: 'Nebula', color: 0xaa66ff, level: 5 },
+    { id: 'solar', name: 'Solar Gold', color: 0xffd93d, level: 8 },
+    { id: 'abyss', name: 'Abyss', color: 0x2244aa, level: 12 },
+    { id: 'prism', name: 'Prism', color: 0xf0f0ff, level: 20 }
+];
+
+const XP_PER_POINT = 0.2; // Play itself is worth a little XP too
+
+// Total XP needed to reach a level - 100 for level 2, then 200, 300, ... more per level
+function xpForLevel(level) {
+    return 50 * (level - 1) * level;
+}
+
+function levelForXp(xp) {
+    let level = 1;
+    while (xpForLevel(level + 1) <= xp) level++;
+    return level;
+}
+
+// UTC day key - quests roll over at midnight UTC for everyone at once
+function getDayKey(now) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// The same quests for every player on a given day
+function getDailyQuests(day) {
+    const rng = createRng(`quests:${day}`);
+    const pool = DAILY_QUESTS.slice();
+    const picked = [];
+    while (picked.length < QUESTS_PER_DAY && pool.length > 0) {
+        picked.push(pool.splice(Math.floor(rng() * pool.length), 1)[0]);
+    }
+    return picked;
+}
+
+function createEmptyProgress() {
+    return {
+        xp: 0,
+        counters: {}, // Lifetime counters
+        achievements: {}, // id -> unlocked at
+        quests: { day: null, counters: {}, completed: [] },
+        color: null // Selected SHIP_COLORS id - null keeps a random color
+    };
+}
+
+class Progress {
+    // Upgrades account.progress in place, so saving the account saves the progress
+    constructor(account, now = Date.now()) {
+        this.account = account;
+        this.data = account.progress = Object.assign(createEmptyProgress(), account.progress);
+        this.life = {}; // Counters since the last respawn
+        this.rollQuests(now);
+    }
+
+    get level() {
+        return levelForXp(this.data.xp);
+    }
+
+    startLife() {
+        this.life = {};
+    }
+
+    // Start the day's quests over once the UTC day changes
+    rollQuests(now) {
+        const day = getDayKey(now);
+        if (this.data.quests.day === day) return false;
+        this.data.quests = { day: day, counters: {}, completed: [] };
+        return true;
+    }
+
+    // Count something the player did. Returns what it unlocked:
+    // [{ kind: 'achievement' | 'quest' | 'level', ... }]
+    record(counter, amount = 1, now = Date.now()) {
+        const unlocks = [];
+        this.rollQuests(now);
+        this.life[counter] = (this.life[counter] || 0) + amount;
+        this.data.counters[counter] = (this.data.counters[counter] || 0) + amount;
+        this.data.quests.counters[counter] = (this.data.quests.counters[counter] || 0) + amount;
+
+        ACHIEVEMENTS.forEach(achievement => {
+            if (achievement.counter !== counter || this.data.achievements[achievement.id]) return;
+            if (this.getAchievementProgress(achievement) < achievement.target) return;
+            this.data.achievements[achievement.id] = now;
+            unlocks.push({ kind: 'achievement', id: achievement.id, name: achievement.name, description: achievement.description, xp: achievement.xp });
+            unlocks.push(...this.addXp(achievement.xp));
+        });
+
+        getDailyQuests(this.data.quests.day).forEach(quest => {
+            if (quest.counter !== counter || this.data.quests.completed.includes(quest.id)) return;
+            if (this.data.quests.counters[counter] < quest.target) return;
+            this.data.quests.completed.push(quest.id);
+            unlocks.push({ kind: 'quest', id: quest.id, description: quest.description, xp: quest.xp });
+            unlocks.push(...this.addXp(quest.xp));
+        });
+
+        if (counter === 'points') unlocks.push(...this.addXp(amount * XP_PER_POINT));
+        return unlocks;
+    }
+
+    // Returns a 'level' unlock for every level gained, with the colors it unlocked
+    addXp(amount) {
+        const before = this.level;
+        this.data.xp += amount;
+        const unlocks = [];
+        for (let level = before + 1; level <= this.level; level++) {
+            unlocks.push({ kind: 'level', level: level, colors: SHIP_COLORS.filter(color => color.level === level).map(color => color.name) });
+        }
+        return unlocks;
+    }
+
+    getAchievementProgress(achievement) {
+        const counters = achievement.scope === 'life' ? this.life : this.data.counters;
+        return counters[achievement.counter] || 0;
+    }
+
+    // Pick an unlocked ship color, or null for a random one. Returns { color } or { error }
+    selectColor(id) {
+        if (id === null) {
+            this.data.color = null;
+            return { color: null };
+        }
+        const choice = SHIP_COLORS.find(color => color.id === id);
+        if (!choice) return { error: 'unknown_color' };
+        if (choice.level > this.level) return { error: 'locked' };
+        this.data.color = choice.id;
+        return { color: choice.color };
+    }
+
+    // The selected color's value, if it is still unlocked
+    getShipColor() {
+        const choice = SHIP_COLORS.find(color => color.id === this.data.color);
+        return choice && choice.level <= this.level ? choice.color : null;
+    }
+
+    // Everything the HUD and the progress panel show
+    toClient(now = Date.now()) {
+        this.rollQuests(now);
+        const level = this.level;
+        return {
+            xp: Math.floor(this.data.xp),
+            level: level,
+            levelXp: xpForLevel(level),
+            nextLevelXp: xpForLevel(level + 1),
+            achievements: ACHIEVEMENTS.map(achievement => ({
+                id: achievement.id,
+                name: achievement.name,
+                description: achievement.description,
+                xp: achievement.xp,
+                target: achievement.target,
+                progress: Math.min(achievement.target, Math.floor(this.getAchievementProgress(achievement))),
+                unlockedAt: this.data.achievements[achievement.id] || null
+            })),
+            quests: getDailyQuests(this.data.quests.day).map(quest => ({
+                id: quest.id,
+                description: quest.description,
+                xp: quest.xp,
+                target: quest.target,
+                progress: Math.min(quest.target, Math.floor(this.data.quests.counters[quest.counter] || 0)),
+                completed: this.data.quests.completed.includes(quest.id)
+            })),
+            questsResetAt: Date.parse(`${this.data.quests.day}T00:00:00Z`) + 24 * 60 * 60 * 1000,
+            colors: SHIP_COLORS.map(color => Object.assign({ unlocked: color.level <= level }, color)),
+            selectedColor: this.data.color
+        };
+    }
+}
+
+module.exports = {
+    Progress,
+    ACHIEVEMENTS,
+    DAILY_QUESTS,
+    SHIP_COLORS,
+    xpForLevel,
+    levelForXp,
+    getDailyQuests,
+    getDayKey
+};
@@ -0,0 +1,179 @@
+// Session replays
+// A recording is one newline-delimited JSON file per world session (a whole match, or a stretch
+// of sandbox play). The first line is a header object, every other line a compact array:
+//
+//   ["objects", t, [object, ...]]          objects present when recording started
+//   ["p", t, [[index, x, y, z, rotY], ...]] players that moved since the previous frame
+//   ["o", t, [[objectId, x, y, z], ...]]    mobile objects that moved
+//   ["e", t, type, data]                    join, leave, collect, steal, chat, death, respawn,
+//                                           object_respawn, object_add, object_remove
+//   ["end", t, { reason }]
+//
+// t is milliseconds since the recording started. Players are referred to by the index given
+// in their "join" event. The viewer in public/index.html plays these files back.
+
+const fs = require('fs');
+const path = require('path');
+
+const REPLAY_VERSION = 1;
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+class ReplayRecorder {
+    // header: { world, generation, objectTypes, tickInterval } - written as the first line
+    constructor(directory, header, options = {}) {
+        this.startedAt = options.now || Date.now();
+        this.id = `${header.world.id}-${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}`;
+        this.filePath = path.join(directory, `${this.id}.ndjson`);
+        this.flushEvery = options.flushEvery || 20; // Lines buffered before they're written
+        this.lines = [];
+        this.playerIndexes = new Map(); // player name -> index used in frames
+        this.lastPositions = new Map(); // index -> "x,y,z,rotY" of the previous frame
+        this.finished = false;
+
+        fs.mkdirSync(directory, { recursive: true });
+        this.fd = fs.openSync(this.filePath, 'w');
+        this.write(Object.assign({ replay: REPLAY_VERSION, id: this.id, startedAt: this.startedAt }, header));
+    }
+
+    get duration() {
+        return Date.now() - this.startedAt;
+    }
+
+    time(now = Date.now()) {
+        return now - this.startedAt;
+    }
+
+    write(line) {
+        this.lines.push(JSON.stringify(line));
+        if (this.lines.length >= this.flushEvery) this.flush();
+    }
+
+    flush() {
+        if (this.lines.length === 0 || this.finished) return;
+        fs.writeSync(this.fd, `${this.lines.join('\n')}\n`);
+        this.lines = [];
+    }
+
+    record(type, data, now) {
+        if (this.finished) return;
+        this.write(['e', this.time(now), type, data]);
+    }
+
+    recordObjects(objects, now) {
+        this.write(['objects', this.time(now), objects]);
+    }
+
+    // Give a player an index (announcing it with a "join" event) the first time they're seen
+    join(player, now) {
+        let index = this.playerIndexes.get(player.name);
+        if (index === undefined) {
+            index = this.playerIndexes.size;
+            this.playerIndexes.set(player.name, index);
+        }
+        this.lastPositions.delete(index);
+        this.record('join', { i: index, name: player.name, color: player.color, team: player.team || null }, now);
+        return index;
+    }
+
+    leave(player, now) {
+        if (!this.playerIndexes.has(player.name)) return;
+        this.record('leave', { i: this.playerIndexes.get(player.name) }, now);
+    }
+
+    // One tick of player positions - only players that moved are written
+    recordPlayers(players, now) {
+        if (this.finished) return;
+
+        const moved = [];
+        players.forEach(player => {
+            const index = this.playerIndexes.has(player.name) ? this.playerIndexes.get(player.name) : this.join(player, now);
+            const entry = [index, round(player.x), round(player.y), round(player.z), Math.round(player.rotationY * 100) / 100];
+            const key = entry.slice(1).join(',');
+            if (this.lastPositions.get(index) === key) return;
+
+            this.lastPositions.set(index, key);
+            moved.push(entry);
+        });
+
+        if (moved.length > 0) this.write(['p', this.time(now), moved]);
+    }
+
+    recordMovingObjects(objects, now) {
+        if (this.finished || objects.length === 0) return;
+        this.write(['o', this.time(now), objects.map(obj => [obj.id, round(obj.x), round(obj.y), round(obj.z)])]);
+    }
+
+    finish(reason, now) {
+        if (this.finished) return null;
+
+        this.write(['end', this.time(now), { reason: reason }]);
+        this.flush();
+        this.finished = true;
+        fs.closeSync(this.fd);
+        return { id: this.id, path: this.filePath, duration: this.time(now) };
+    }
+}
+
+// Finished and running recordings, newest first: { id, world, startedAt, updatedAt, size }
+function listReplays(directory) {
+    if (!fs.existsSync(directory)) return [];
+
+    return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.ndjson'))
+        .map(file => {
+            const filePath = path.join(directory, file);
+            const stats = fs.statSync(filePath);
+            const header = readHeader(filePath);
+            return {
+                id: path.basename(file, '.ndjson'),
+                world: header ? header.world : null,
+                startedAt: header ? header.startedAt : stats.birthtimeMs,
+                updatedAt: stats.mtimeMs,
+                size: stats.size
+            };
+        })
+        .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// The header is the first line - read just enough of the file to get it
+function readHeader(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(16384);
+        const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        const firstLine = buffer.toString('utf8', 0, bytes).split('\n')[0];
+        return JSON.parse(firstLine);
+    } catch (error) {
+        return null;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Delete the oldest recordings beyond maxFiles
+function pruneReplays(directory, maxFiles) {
+    const replays = listReplays(directory);
+    replays.slice(maxFiles).forEach(replay => {
+        fs.unlinkSync(path.join(directory, `${replay.id}.ndjson`));
+    });
+    return Math.max(0, replays.length - maxFiles);
+}
+
+// Path of a recording by id, or null for ids that could escape the directory
+function getReplayPath(directory, id) {
+    if (!ID_PATTERN.test(String(id))) return null;
+    const filePath = path.join(directory, `${id}.ndjson`);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+module.exports = {
+    ReplayRecorder,
+    listReplays,
+    pruneReplays,
+    getReplayPath,
+    REPLAY_VERSION
+};
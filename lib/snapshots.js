@@ -0,0 +1,152 @@
+// Delta-compressed game_state snapshots
+// Every client gets a sequence of snapshots. Each one is diffed against the last snapshot
+// the client acknowledged, so only entities that entered, changed or left its area of
+// interest are sent. Unknown or stale baselines fall back to a full snapshot.
+//
+// Entity keys are 'p:<playerId>' and 'o:<objectId>'. Records use short field names and
+// quantized integers to keep payloads small - see quantizePlayer / quantizeObject.
+
+const HISTORY_LIMIT = 32; // Snapshots kept per client while waiting for acks
+const POSITION_SCALE = 10; // Positions are sent in 0.1 unit steps
+const ROTATION_SCALE = 100; // Rotations are sent in 0.01 radian steps
+
+// Fields that never change for an entity - only sent when it enters
+// (player colors are dynamic - they change when a player joins or leaves a team)
+const STATIC_FIELDS = new Set(['n', 'b', 't', 'h', 'tc', 'mv']);
+// Mobile objects stream their positions through creature_updates instead
+const POSITION_FIELDS = new Set(['x', 'y', 'z']);
+
+function quantize(value, scale) {
+    return Math.round(value * scale);
+}
+
+function quantizePlayer(player) {
+    const record = {
+        n: player.name,
+        c: player.color,
+        x: quantize(player.x, POSITION_SCALE),
+        y: quantize(player.y, POSITION_SCALE),
+        z: quantize(player.z, POSITION_SCALE),
+        rx: quantize(player.rotationX, ROTATION_SCALE),
+        ry: quantize(player.rotationY, ROTATION_SCALE),
+        s: player.score,
+        r: Math.round(player.radiationLevel),
+        a: player.alive ? 1 : 0
+    };
+
+    if (player.isBot) record.b = 1; // Server-controlled, see lib/bots.js
+    return record;
+}
+
+function quantizeObject(obj) {
+    const record = {
+        t: obj.type,
+        x: quantize(obj.x, POSITION_SCALE),
+        y: quantize(obj.y, POSITION_SCALE),
+        z: quantize(obj.z, POSITION_SCALE),
+        cp: obj.competingPlayers.length
+    };
+
+    if (obj.hue !== undefined) record.h = Math.round(obj.hue * 1000) / 1000;
+    if (obj.tentacleCount !== undefined) record.tc = obj.tentacleCount;
+    if (obj.isMobile()) record.mv = 1;
+
+    return record;
+}
+
+// Dynamic fields of `current` that differ from `previous`, or null when nothing changed
+function diffRecord(previous, current) {
+    let changes = null;
+
+    for (const field of Object.keys(current)) {
+        if (STATIC_FIELDS.has(field)) continue;
+        if (current.mv && POSITION_FIELDS.has(field)) continue;
+
+        if (previous[field] !== current[field]) {
+            if (!changes) changes = {};
+            changes[field] = current[field];
+        }
+    }
+
+    return changes;
+}
+
+// Per-client snapshot history and ack tracking
+class SnapshotTracker {
+    constructor() {
+        this.sequence = 0;
+        this.ackedSequence = 0;
+        this.history = new Map(); // sequence -> Map(entity key -> record)
+    }
+
+    acknowledge(sequence) {
+        if (!this.history.has(sequence) || sequence <= this.ackedSequence) return false;
+
+        this.ackedSequence = sequence;
+        // Anything older than the new baseline can never be used again
+        for (const seq of this.history.keys()) {
+            if (seq < sequence) this.history.delete(seq);
+        }
+        return true;
+    }
+
+    // Forget all baselines - the next snapshot will be a full resync
+    reset() {
+        this.ackedSequence = 0;
+        this.history.clear();
+    }
+
+    // Build the next snapshot for the given interest set (Map of entity key -> record)
+    build(entities) {
+        const sequence = ++this.sequence;
+        const baseline = this.history.get(this.ackedSequence);
+        const snapshot = {
+            seq: sequence,
+            baseline: baseline ? this.ackedSequence : 0,
+            full: !baseline,
+            entered: [],
+            changed: [],
+            left: []
+        };
+
+        for (const [key, record] of entities) {
+            const previous = baseline && baseline.get(key);
+
+            if (!previous) {
+                snapshot.entered.push(Object.assign({ k: key }, record));
+                continue;
+            }
+
+            const changes = diffRecord(previous, record);
+            if (changes) {
+                snapshot.changed.push(Object.assign({ k: key }, changes));
+            }
+        }
+
+        if (baseline) {
+            for (const key of baseline.keys()) {
+                if (!entities.has(key)) snapshot.left.push(key);
+            }
+        }
+
+        this.history.set(sequence, entities);
+
+        // A client that stops acking can't hold unbounded history - drop the oldest
+        // (if that was the acked baseline, the next snapshot becomes a full resync)
+        while (this.history.size > HISTORY_LIMIT) {
+            const oldest = this.history.keys().next().value;
+            this.history.delete(oldest);
+            if (oldest === this.ackedSequence) this.ackedSequence = 0;
+        }
+
+        return snapshot;
+    }
+}
+
+module.exports = {
+    SnapshotTracker,
+    quantizePlayer,
+    quantizeObject,
+    POSITION_SCALE,
+    ROTATION_SCALE
+};
@@ -0,0 +1,147 @@
+// Uniform grid spatial index for fast proximity queries
+// The world is wide but flat (about 600 units tall), so cells only split the X/Z plane
+// and Y is handled by the exact distance check.
+// Items need an `id` and numeric `x`, `y`, `z` - the grid reads them on insert/update.
+
+const KEY_OFFSET = 32768; // Keeps cell coordinates positive for numeric keys
+const KEY_STRIDE = 65536;
+
+class SpatialGrid {
+    constructor(cellSize = 250) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // cell key -> Set of items
+        this.itemCells = new Map(); // item id -> cell key
+    }
+
+    get size() {
+        return this.itemCells.size;
+    }
+
+    cellCoord(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    cellKey(cx, cz) {
+        return (cx + KEY_OFFSET) * KEY_STRIDE + (cz + KEY_OFFSET);
+    }
+
+    keyFor(item) {
+        return this.cellKey(this.cellCoord(item.x), this.cellCoord(item.z));
+    }
+
+    has(item) {
+        return this.itemCells.has(item.id);
+    }
+
+    insert(item) {
+        if (this.itemCells.has(item.id)) {
+            this.update(item);
+            return;
+        }
+
+        const key = this.keyFor(item);
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = new Set();
+            this.cells.set(key, cell);
+        }
+        cell.add(item);
+        this.itemCells.set(item.id, key);
+    }
+
+    remove(item) {
+        const key = this.itemCells.get(item.id);
+        if (key === undefined) return false;
+
+        const cell = this.cells.get(key);
+        if (cell) {
+            cell.delete(item);
+            if (cell.size === 0) this.cells.delete(key);
+        }
+        this.itemCells.delete(item.id);
+        return true;
+    }
+
+    // Call after an item moved - only touches the map when it crossed a cell border
+    update(item) {
+        const oldKey = this.itemCells.get(item.id);
+        if (oldKey === undefined) {
+            this.insert(item);
+            return;
+        }
+
+        const newKey = this.keyFor(item);
+        if (newKey === oldKey) return;
+
+        const oldCell = this.cells.get(oldKey);
+        if (oldCell) {
+            oldCell.delete(item);
+            if (oldCell.size === 0) this.cells.delete(oldKey);
+        }
+
+        let newCell = this.cells.get(newKey);
+        if (!newCell) {
+            newCell = new Set();
+            this.cells.set(newKey, newCell);
+        }
+        newCell.add(item);
+        this.itemCells.set(item.id, newKey);
+    }
+
+    clear() {
+        this.cells.clear();
+        this.itemCells.clear();
+    }
+
+    // Calls callback(item, distance) for every item within radius of the point
+    forEachInRadius(x, y, z, radius, callback) {
+        const radiusSq = radius * radius;
+        const minX = this.cellCoord(x - radius);
+        const maxX = this.cellCoord(x + radius);
+        const minZ = this.cellCoord(z - radius);
+        const maxZ = this.cellCoord(z + radius);
+
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cz = minZ; cz <= maxZ; cz++) {
+                const cell = this.cells.get(this.cellKey(cx, cz));
+                if (!cell) continue;
+
+                for (const item of cell) {
+                    const dx = item.x - x;
+                    const dy = item.y - y;
+                    const dz = item.z - z;
+                    const distanceSq = dx * dx + dy * dy + dz * dz;
+                    if (distanceSq <= radiusSq) {
+                        callback(item, Math.sqrt(distanceSq));
+                    }
+                }
+            }
+        }
+    }
+
+    // Returns [{ item, distance }] for every item within radius of the point
+    queryRadius(x, y, z, radius) {
+        const results = [];
+        this.forEachInRadius(x, y, z, radius, (item, distance) => {
+            results.push({ item, distance });
+        });
+        return results;
+    }
+
+    // Closest item within radius that passes the optional filter, or null
+    findNearest(x, y, z, radius, filter) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        this.forEachInRadius(x, y, z, radius, (item, distance) => {
+            if (distance < nearestDistance && (!filter || filter(item))) {
+                nearest = item;
+                nearestDistance = distance;
+            }
+        });
+
+        return nearest;
+    }
+}
+
+module.exports = { SpatialGrid };
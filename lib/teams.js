@@ -0,0 +1,117 @@
+// Squads within a world
+// Players create a team, others join it by name. Members share a team color, a team score
+// and (with shared credit on) never steal from each other. Routing - who gets told what -
+// lives in server.js.
+
+const TEAM_NAME_PATTERN = /^[A-Za-z0-9 _-]{2,16}$/;
+
+// Distinct, bright colors handed out in order as teams are created
+const TEAM_COLORS = [0xff6b6b, 0x4ecdc4, 0xffd93d, 0x9b59b6, 0x45b7d1, 0xf39c12, 0x2ecc71, 0xff9ff3];
+
+class Team {
+    constructor(id, name, color) {
+        this.id = id;
+        this.name = name;
+        this.color = color;
+        this.members = new Set(); // Player objects - survive reconnects, unlike socket ids
+        this.createdAt = Date.now();
+    }
+
+    get size() {
+        return this.members.size;
+    }
+
+    // Sum of the members' current scores (or match scores while a match is running)
+    getScore(field = 'score') {
+        let total = 0;
+        for (const member of this.members) total += member[field] || 0;
+        return total;
+    }
+
+    toJSON(field) {
+        return {
+            id: this.id,
+            name: this.name,
+            color: this.color,
+            members: Array.from(this.members).map(member => member.name),
+            score: this.getScore(field)
+        };
+    }
+}
+
+class TeamManager {
+    constructor(options = {}) {
+        this.maxTeamSize = options.maxTeamSize || 4;
+        this.maxTeams = options.maxTeams || TEAM_COLORS.length;
+        this.teams = new Map(); // team id -> Team
+        this.nextId = 1;
+    }
+
+    get(teamId) {
+        return this.teams.get(teamId) || null;
+    }
+
+    findByName(name) {
+        const key = String(name || '').trim().toLowerCase();
+        return Array.from(this.teams.values()).find(team => team.name.toLowerCase() === key) || null;
+    }
+
+    // Returns { team } or { error }
+    create(player, name) {
+        const teamName = String(name || '').trim();
+        if (!TEAM_NAME_PATTERN.test(teamName)) return { error: 'invalid_team_name' };
+        if (this.findByName(teamName)) return { error: 'team_name_taken' };
+        if (this.teams.size >= this.maxTeams) return { error: 'too_many_teams' };
+
+        const team = new Team(`t${this.nextId++}`, teamName, this.pickColor());
+        this.teams.set(team.id, team);
+        return this.join(player, team);
+    }
+
+    // Returns { team, previous } or { error }
+    join(player, team) {
+        if (!team) return { error: 'team_not_found' };
+        if (team.members.has(player)) return { error: 'already_in_team' };
+        if (team.size >= this.maxTeamSize) return { error: 'team_full' };
+
+        const previous = this.leave(player);
+        team.members.add(player);
+        player.team = team.id;
+        return { team, previous };
+    }
+
+    // Remove the player from their team. Empty teams are disbanded.
+    // Returns the team they left (or null).
+    leave(player) {
+        const team = this.get(player.team);
+        player.team = null;
+        if (!team) return null;
+
+        team.members.delete(player);
+        if (team.size === 0) this.teams.delete(team.id);
+        return team;
+    }
+
+    areTeammates(a, b) {
+        return !!a.team && a.team === b.team;
+    }
+
+    // First palette color not used by a live team
+    pickColor() {
+        const used = new Set(Array.from(this.teams.values()).map(team => team.color));
+        return TEAM_COLORS.find(color => !used.has(color)) || TEAM_COLORS[this.teams.size % TEAM_COLORS.length];
+    }
+
+    // Highest team score first
+    list(field) {
+        return Array.from(this.teams.values())
+            .map(team => team.toJSON(field))
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+    }
+}
+
+module.exports = {
+    Team,
+    TeamManager,
+    TEAM_COLORS
+};
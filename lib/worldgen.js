@@ -0,0 +1,289 @@
+// Seeded procedural world layout
+// The same seed always gives the same world - biomes, hazard belts and object positions.
+// This file is shared: server.js places objects with it, and the browser loads it as
+// /worldgen.js to draw a backdrop that matches the server's world.
+//
+//   biomes        - 3D value noise splits space into nebula clusters (rich in discoveries),
+//                   open space and sparse voids
+//   hazard belts  - spheres of extra radiation; rare entities live inside them
+//   placement     - every type follows one rule (see DEFAULT_PLACEMENT):
+//                   'regions' - at least one per region of a regionsPerSide x regionsPerSide grid,
+//                               never inside a belt, so every part of the world can reach one
+//                   'hazards' - inside the hazard belts
+//                   'biomes'  - anywhere, kept with the type's per-biome probability
+
+(function (exports) {
+    // Defaults for every generation setting - World settings override them
+    const GENERATION_DEFAULTS = {
+        worldSize: 2500,
+        worldHeight: 600,
+        biomeScale: 900, // Size of one noise feature - bigger means larger nebulae and voids
+        nebulaThreshold: 0.6, // Noise above this is nebula
+        voidThreshold: 0.4, // Noise below this is void
+        hazardBelts: 4,
+        hazardRadius: [180, 320],
+        hazardMultiplier: 2.5, // Radiation gain inside a belt
+        safeRadius: 400, // No belts this close to the spawn area
+        regionsPerSide: 3,
+        minObjectSpacing: 40,
+        minPortalSpacing: 350,
+        placementAttempts: 40
+    };
+
+    // Placement rule per type when the caller has none - biomeWeights is how likely a
+    // candidate spot in each biome is kept. The server passes rules from config/objectTypes.json.
+    const DEFAULT_PLACEMENT = {
+        discovery: { placement: 'biomes', biomeWeights: { nebula: 1, open: 0.3, void: 0.05 } },
+        exploding: { placement: 'biomes', biomeWeights: { nebula: 0.6, open: 0.6, void: 0.15 } },
+        spaceCreature: { placement: 'biomes', biomeWeights: { nebula: 0.5, open: 1, void: 0.4 } },
+        rare: { placement: 'hazards' },
+        ringPortal: { placement: 'regions' }
+    };
+    const PLACEMENT_ORDER = ['regions', 'hazards', 'biomes']; // Most constrained first
+
+    // 32-bit hash of any seed value (strings and numbers alike)
+    function hashSeed(seed) {
+        const text = String(seed);
+        let hash = 1779033703 ^ text.length;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+            hash = (hash << 13) | (hash >>> 19);
+        }
+        hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+        hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+        return (hash ^ (hash >>> 16)) >>> 0;
+    }
+
+    // mulberry32 - small, fast and good enough for placement
+    function createRng(seed) {
+        let state = hashSeed(seed);
+        return function () {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function randomSeed() {
+        return Math.floor(Math.random() * 0xffffffff).toString(36);
+    }
+
+    // 3D value noise on a hashed lattice, summed over a few octaves - returns 0..1
+    function createNoise(seed) {
+        const rng = createRng(`${seed}:noise`);
+        const table = new Float32Array(256);
+        const perm = new Uint8Array(512);
+        for (let i = 0; i < 256; i++) {
+            table[i] = rng();
+            perm[i] = i;
+        }
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            const swap = perm[i];
+            perm[i] = perm[j];
+            perm[j] = swap;
+        }
+        for (let i = 0; i < 256; i++) perm[i + 256] = perm[i];
+
+        const lattice = (x, y, z) => table[perm[perm[perm[x & 255] + (y & 255)] + (z & 255)]];
+        const smooth = t => t * t * (3 - 2 * t);
+        const lerp = (a, b, t) => a + (b - a) * t;
+
+        function valueNoise(x, y, z) {
+            const x0 = Math.floor(x), y0 = Math.floor(y), z0 = Math.floor(z);
+            const tx = smooth(x - x0), ty = smooth(y - y0), tz = smooth(z - z0);
+
+            const c00 = lerp(lattice(x0, y0, z0), lattice(x0 + 1, y0, z0), tx);
+            const c10 = lerp(lattice(x0, y0 + 1, z0), lattice(x0 + 1, y0 + 1, z0), tx);
+            const c01 = lerp(lattice(x0, y0, z0 + 1), lattice(x0 + 1, y0, z0 + 1), tx);
+            const c11 = lerp(lattice(x0, y0 + 1, z0 + 1), lattice(x0 + 1, y0 + 1, z0 + 1), tx);
+            return lerp(lerp(c00, c10, ty), lerp(c01, c11, ty), tz);
+        }
+
+        return function (x, y, z, octaves = 3) {
+            let total = 0;
+            let amplitude = 1;
+            let frequency = 1;
+            let range = 0;
+            for (let i = 0; i < octaves; i++) {
+                total += valueNoise(x * frequency, y * frequency, z * frequency) * amplitude;
+                range += amplitude;
+                amplitude *= 0.5;
+                frequency *= 2;
+            }
+            return total / range;
+        };
+    }
+
+    function distance(a, b) {
+        const dx = a.x - b.x, dy = a.y - b.y, dz = a.z - b.z;
+        return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    }
+
+    // Biomes and hazard belts for a seed - no objects yet
+    function createLayout(seed, options) {
+        const settings = Object.assign({}, GENERATION_DEFAULTS, options);
+        const noise = createNoise(seed);
+        const rng = createRng(`${seed}:hazards`);
+        const half = settings.worldSize / 2;
+
+        const hazards = [];
+        for (let i = 0; i < settings.hazardBelts; i++) {
+            // Somewhere between the spawn area and the edge, at any angle
+            const angle = rng() * Math.PI * 2;
+            const reach = settings.safeRadius + settings.hazardRadius[1] + rng() * Math.max(0, half - settings.safeRadius - settings.hazardRadius[1]);
+            hazards.push({
+                x: Math.round(Math.cos(angle) * reach),
+                y: Math.round((rng() - 0.5) * settings.worldHeight * 0.5),
+                z: Math.round(Math.sin(angle) * reach),
+                radius: Math.round(settings.hazardRadius[0] + rng() * (settings.hazardRadius[1] - settings.hazardRadius[0])),
+                multiplier: settings.hazardMultiplier
+            });
+        }
+
+        function density(x, y, z) {
+            return noise(x / settings.biomeScale, y / settings.biomeScale, z / settings.biomeScale);
+        }
+
+        function biomeAt(x, y, z) {
+            const value = density(x, y, z);
+            if (value >= settings.nebulaThreshold) return 'nebula';
+            if (value <= settings.voidThreshold) return 'void';
+            return 'open';
+        }
+
+        function hazardAt(x, y, z) {
+            const point = { x, y, z };
+            return hazards.find(belt => distance(point, belt) <= belt.radius) || null;
+        }
+
+        // Biome of every cell of a coarse grid - used by clients to draw nebula clouds
+        function sampleBiomes(step) {
+            const samples = [];
+            for (let x = -half + step / 2; x < half; x += step) {
+                for (let y = -settings.worldHeight / 2 + step / 2; y < settings.worldHeight / 2; y += step) {
+                    for (let z = -half + step / 2; z < half; z += step) {
+                        samples.push({ x, y, z, biome: biomeAt(x, y, z), density: density(x, y, z) });
+                    }
+                }
+            }
+            return samples;
+        }
+
+        return { seed, settings, hazards, biomeAt, hazardAt, density, sampleBiomes };
+    }
+
+    // Object positions for a layout. counts: { type: how many }, rules: { type: { placement, biomeWeights } }
+    // options.existing - objects already in the world (kept apart from, not returned)
+    // options.salt     - varies the random stream, e.g. when topping up a world with new types
+    // Returns [{ type, x, y, z, biome }]
+    function placeObjects(layout, counts, rules = DEFAULT_PLACEMENT, options = {}) {
+        const settings = layout.settings;
+        const rng = createRng(`${layout.seed}:objects${options.salt ? `:${options.salt}` : ''}`);
+        const half = settings.worldSize / 2;
+        const placed = (options.existing || []).map(object => ({ type: object.type, x: object.x, y: object.y, z: object.z }));
+        const created = [];
+        const ruleFor = type => rules[type] || { placement: 'biomes' };
+
+        const randomIn = (min, max) => min + rng() * (max - min);
+        const randomPoint = () => ({
+            x: randomIn(-half, half),
+            y: randomIn(-settings.worldHeight / 2, settings.worldHeight / 2),
+            z: randomIn(-half, half)
+        });
+
+        function spacedOut(point, type) {
+            const spreadOut = ruleFor(type).placement === 'regions';
+            return placed.every(other => {
+                const spacing = spreadOut && other.type === type ? settings.minPortalSpacing : settings.minObjectSpacing;
+                return distance(point, other) >= spacing;
+            });
+        }
+
+        // Draw candidates until one passes `accept` and the spacing rules. Falls back to the
+        // last candidate, so a crowded world still gets every object.
+        function place(type, candidate, accept) {
+            let point = candidate();
+            for (let attempt = 0; attempt < settings.placementAttempts; attempt++) {
+                if (accept(point) && spacedOut(point, type)) break;
+                point = candidate();
+            }
+            const object = {
+                type,
+                x: Math.round(point.x * 10) / 10,
+                y: Math.round(point.y * 10) / 10,
+                z: Math.round(point.z * 10) / 10,
+                biome: layout.biomeAt(point.x, point.y, point.z)
+            };
+            placed.push(object);
+            created.push(object);
+            return object;
+        }
+
+        const outsideBelts = point => !layout.hazardAt(point.x, point.y, point.z);
+
+        // 'regions' - one per region first, then the rest anywhere outside the belts
+        function placeInRegions(type, count) {
+            const regionSize = settings.worldSize / settings.regionsPerSide;
+            for (let rx = 0; rx < settings.regionsPerSide; rx++) {
+                for (let rz = 0; rz < settings.regionsPerSide; rz++) {
+                    const inRegion = () => ({
+                        x: -half + (rx + randomIn(0.2, 0.8)) * regionSize,
+                        y: randomIn(-settings.worldHeight / 4, settings.worldHeight / 4),
+                        z: -half + (rz + randomIn(0.2, 0.8)) * regionSize
+                    });
+                    place(type, inRegion, outsideBelts);
+                }
+            }
+            for (let i = settings.regionsPerSide * settings.regionsPerSide; i < count; i++) {
+                place(type, randomPoint, outsideBelts);
+            }
+        }
+
+        // 'hazards' - spread over the belts (anywhere if there are none)
+        function placeInHazards(type, count) {
+            for (let i = 0; i < count; i++) {
+                const belt = layout.hazards[i % Math.max(1, layout.hazards.length)];
+                const inBelt = belt ? () => {
+                    const angle = rng() * Math.PI * 2;
+                    const tilt = Math.acos(2 * rng() - 1);
+                    const reach = Math.cbrt(rng()) * belt.radius;
+                    return {
+                        x: belt.x + reach * Math.sin(tilt) * Math.cos(angle),
+                        y: belt.y + reach * Math.cos(tilt),
+                        z: belt.z + reach * Math.sin(tilt) * Math.sin(angle)
+                    };
+                } : randomPoint;
+                place(type, inBelt, () => true);
+            }
+        }
+
+        // 'biomes' - kept with the type's probability for the biome it lands in
+        function placeInBiomes(type, count) {
+            const weights = Object.assign({ nebula: 1, open: 1, void: 1 }, ruleFor(type).biomeWeights);
+            for (let i = 0; i < count; i++) {
+                place(type, randomPoint, point => rng() < weights[layout.biomeAt(point.x, point.y, point.z)]);
+            }
+        }
+
+        const placers = { regions: placeInRegions, hazards: placeInHazards, biomes: placeInBiomes };
+        PLACEMENT_ORDER.forEach(placement => {
+            Object.keys(counts).forEach(type => {
+                if (counts[type] > 0 && ruleFor(type).placement === placement) placers[placement](type, counts[type]);
+            });
+        });
+
+        return created;
+    }
+
+    exports.GENERATION_DEFAULTS = GENERATION_DEFAULTS;
+    exports.DEFAULT_PLACEMENT = DEFAULT_PLACEMENT;
+    exports.hashSeed = hashSeed;
+    exports.createRng = createRng;
+    exports.randomSeed = randomSeed;
+    exports.createNoise = createNoise;
+    exports.createLayout = createLayout;
+    exports.placeObjects = placeObjects;
+})(typeof module !== 'undefined' && module.exports ? module.exports : (window.WorldGen = {}));
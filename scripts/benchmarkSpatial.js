@@ -0,0 +1,134 @@
+// Spatial index benchmark - compares the old linear scans with SpatialGrid
+// Simulates one broadcastWorldState pass: every player queries nearby players and objects,
+// plus a collection's competitor check and an id lookup per player.
+//
+// Usage: node scripts/benchmarkSpatial.js [players] [objects] [worldSize]
+
+const { SpatialGrid } = require('../lib/spatialGrid');
+
+const PLAYER_COUNT = parseInt(process.argv[2], 10) || 200;
+const OBJECT_COUNT = parseInt(process.argv[3], 10) || 5000;
+const WORLD_SIZE = parseInt(process.argv[4], 10) || 10000;
+const VIEW_RANGE = 1000;
+const STEAL_RADIUS = 100;
+const CELL_SIZE = 250;
+const ITERATIONS = 20;
+
+function randomPosition() {
+    return {
+        x: (Math.random() - 0.5) * WORLD_SIZE,
+        y: (Math.random() - 0.5) * 600,
+        z: (Math.random() - 0.5) * WORLD_SIZE
+    };
+}
+
+const players = [];
+for (let i = 0; i < PLAYER_COUNT; i++) {
+    players.push(Object.assign({ id: `player_${i}` }, randomPosition()));
+}
+
+const objects = [];
+for (let i = 0; i < OBJECT_COUNT; i++) {
+    objects.push(Object.assign({ id: i + 1 }, randomPosition()));
+}
+
+// Old approach - linear scans with Math.sqrt/Math.pow and Array.find
+function linearPass() {
+    let found = 0;
+
+    players.forEach(player => {
+        players.forEach(other => {
+            if (other.id === player.id) return;
+            const distance = Math.sqrt(
+                Math.pow(other.x - player.x, 2) +
+                Math.pow(other.y - player.y, 2) +
+                Math.pow(other.z - player.z, 2)
+            );
+            if (distance <= VIEW_RANGE) found++;
+        });
+
+        objects.forEach(obj => {
+            const distance = Math.sqrt(
+                Math.pow(obj.x - player.x, 2) +
+                Math.pow(obj.y - player.y, 2) +
+                Math.pow(obj.z - player.z, 2)
+            );
+            if (distance <= VIEW_RANGE) found++;
+        });
+
+        const target = objects.find(o => o.id === (found % OBJECT_COUNT) + 1);
+        players.forEach(other => {
+            const distance = Math.sqrt(
+                Math.pow(target.x - other.x, 2) +
+                Math.pow(target.y - other.y, 2) +
+                Math.pow(target.z - other.z, 2)
+            );
+            if (distance <= STEAL_RADIUS) found++;
+        });
+    });
+
+    return found;
+}
+
+// New approach - uniform grid plus id -> object Map
+const playerGrid = new SpatialGrid(CELL_SIZE);
+const objectGrid = new SpatialGrid(CELL_SIZE);
+const objectsById = new Map();
+players.forEach(player => playerGrid.insert(player));
+objects.forEach(obj => {
+    objectGrid.insert(obj);
+    objectsById.set(obj.id, obj);
+});
+
+function gridPass() {
+    let found = 0;
+
+    players.forEach(player => {
+        playerGrid.forEachInRadius(player.x, player.y, player.z, VIEW_RANGE, other => {
+            if (other.id !== player.id) found++;
+        });
+
+        objectGrid.forEachInRadius(player.x, player.y, player.z, VIEW_RANGE, () => {
+            found++;
+        });
+
+        const target = objectsById.get((found % OBJECT_COUNT) + 1);
+        playerGrid.forEachInRadius(target.x, target.y, target.z, STEAL_RADIUS, () => {
+            found++;
+        });
+    });
+
+    return found;
+}
+
+// Keeping the index current costs something too - move every player once per pass
+function movePlayers() {
+    players.forEach(player => {
+        player.x += (Math.random() - 0.5) * 20;
+        player.z += (Math.random() - 0.5) * 20;
+        playerGrid.update(player);
+    });
+}
+
+function measure(label, pass) {
+    pass(); // Warm up
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < ITERATIONS; i++) {
+        pass();
+    }
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6 / ITERATIONS;
+    console.log(`${label.padEnd(28)} ${elapsedMs.toFixed(2).padStart(10)} ms per pass`);
+    return elapsedMs;
+}
+
+console.log(`📊 Spatial index benchmark: ${PLAYER_COUNT} players, ${OBJECT_COUNT} objects, world ${WORLD_SIZE} units`);
+console.log(`   View range ${VIEW_RANGE}, steal radius ${STEAL_RADIUS}, cell size ${CELL_SIZE}, ${ITERATIONS} iterations\n`);
+
+const linearMs = measure('Linear scan', linearPass);
+const gridMs = measure('SpatialGrid', gridPass);
+const gridWithMovesMs = measure('SpatialGrid + player moves', () => {
+    movePlayers();
+    return gridPass();
+});
+
+console.log(`\n🚀 Speedup: ${(linearMs / gridMs).toFixed(1)}x (${(linearMs / gridWithMovesMs).toFixed(1)}x including index updates)`);
@@ -1,30 +1,48 @@
-// Broadcast world state to all players
-function broadcastWorldState() {
-    console.log(`📡 Broadcasting world state to ${Object.keys(players).length} players`);
-    
-    for (const [playerId, player] of Object.entries(players)) {
-        const nearbyPlayers = getNearbyPlayers(playerId, player.x, player.y, player.z);
-        const nearbyObjects = getNearbyObjects(playerId, player.x, player.y, player.z);
-        
-        player.socket.emit('game_state', {
-            players: nearbyPlayers,
-            objects: nearbyObjects,
-            totalPlayers: Object.keys(players).length,
-            yourStats: {
-                score: player.score,
-                discoveries: player.discoveries,
-                rareItems: player.rareItems,
-                creatures: player.creatures,
-                radiationLevel: player.radiationLevel,
-                resourcesStolen: player.resourcesStolen,
-                resourcesLost: player.resourcesLost
-            }
-        });
+// Broadcast world state to all players in a world
+function broadcastWorldState(world) {
+    for (const player of Object.values(world.players)) {
+        if (!player.isBot) sendSnapshot(player);
     }
 }const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const { SpatialGrid } = require('./lib/spatialGrid');
+const { SnapshotTracker, quantizePlayer, quantizeObject } = require('./lib/snapshots');
+const { AccountManager, createAccountStore, hashToken } = require('./lib/accountStore');
+const { LeaderboardService, BOARDS, METRICS } = require('./lib/leaderboard');
+const { sanitizeMessage, WordFilter, FloodGuard, ChatHistory, parseChatInput } = require('./lib/chat');
+const { Match } = require('./lib/match');
+const { TeamManager } = require('./lib/teams');
+const worldgen = require('./lib/worldgen');
+const { ObjectTypeRegistry, sampleRange } = require('./lib/objectTypes');
+const { BanList, requireAdminToken, parseSettingValue } = require('./lib/admin');
+const { SnapshotFile } = require('./lib/persistence');
+const { createLogger } = require('./lib/logger');
+const { MetricsRegistry, SlidingWindow } = require('./lib/metrics');
+const { ReplayRecorder, listReplays, pruneReplays, getReplayPath } = require('./lib/replay');
+const { SystemClock } = require('./lib/clock');
+const { PortalNetwork } = require('./lib/portals');
+const { PositionHistory, ClaimBoard, rankClaims } = require('./lib/contests');
+const { Progress } = require('./lib/progression');
+const { CargoHold, TradeBook, countItems, totalCount, parseItemCounts } = require('./lib/cargo');
+const { BotBrain, DIFFICULTIES, isDifficulty, pickBotName, createBotSocket, createBotAccount } = require('./lib/bots');
+const fs = require('fs');
+
+// 📜 LOGGING - JSON lines by default; LOG_FORMAT=pretty prints the plain messages while developing
+const LOGGING = {
+    level: process.env.LOG_LEVEL || 'info', // debug, info, warn or error
+    format: process.env.LOG_FORMAT || 'json' // 'json' or 'pretty'
+};
+
+const log = createLogger(LOGGING);
+
+// ⏱️ Game time and dice - tests swap in a ManualClock (lib/clock.js) with setClock()
+let clock = new SystemClock();
+
+function setClock(next) {
+    clock = next;
+}
 
 const app = express();
 const server = http.createServer(app);
@@ -38,84 +56,693 @@ const io = socketIo(server, {
 // Serve static files
 app.use(express.static('public'));
 
+// 🌌 The world generator runs in the browser too, so clients draw backdrops matching the seed
+app.get('/worldgen.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'worldgen.js'));
+});
+
+// 📈 Prometheus scrape endpoint - see METRICS_SETTINGS below
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+});
+
 // Test endpoint
 app.get('/test', (req, res) => {
     res.json({
         status: 'Server is running',
         players: Object.keys(players).length,
-        worldObjects: worldObjects.length,
+        worlds: worlds.size,
+        worldObjects: Array.from(worlds.values()).reduce((total, world) => total + world.objects.length, 0),
         time: new Date().toISOString()
     });
 });
 
-// 🔧 WORLD SETTINGS - ADJUST THESE VALUES
+// 🏆 Leaderboard API - GET /api/leaderboard?board=weekly&metric=steals&limit=50&offset=0
+// Optional `period` picks an older period (see /api/leaderboard/periods)
+function parseLeaderboardQuery(req, res) {
+    const board = req.query.board || 'alltime';
+    const metric = req.query.metric || 'score';
+    const period = req.query.period;
+    
+    if (!BOARDS.includes(board)) {
+        res.status(400).json({ error: `Unknown board - use one of: ${BOARDS.join(', ')}` });
+        return null;
+    }
+    if (!METRICS[metric]) {
+        res.status(400).json({ error: `Unknown metric - use one of: ${Object.keys(METRICS).join(', ')}` });
+        return null;
+    }
+    if (period && period !== board && !period.startsWith(`${board}:`)) {
+        res.status(400).json({ error: `Period ${period} does not belong to the ${board} board` });
+        return null;
+    }
+    
+    return { board, metric, period };
+}
+
+app.get('/api/leaderboard', (req, res) => {
+    const query = parseLeaderboardQuery(req, res);
+    if (!query) return;
+    
+    const limit = Math.min(LEADERBOARDS.maxLimit, Math.max(1, parseInt(req.query.limit, 10) || LEADERBOARDS.defaultLimit));
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const offset = req.query.offset !== undefined ? Math.max(0, parseInt(req.query.offset, 10) || 0) : (page - 1) * limit;
+    
+    res.json(leaderboards.getPage(query.board, query.metric, { period: query.period, limit, offset }));
+});
+
+// "My rank" - by ?name=... or by the player's session token (Authorization: Bearer <token>)
+app.get('/api/leaderboard/rank', (req, res) => {
+    const query = parseLeaderboardQuery(req, res);
+    if (!query) return;
+    
+    const authHeader = req.get('authorization') || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    const account = token ? accountStore.findByTokenHash(hashToken(token)) :
+        req.query.name ? accountStore.findByName(req.query.name) : null;
+    
+    if (!account) {
+        res.status(404).json({ error: 'Player not found' });
+        return;
+    }
+    
+    const rank = leaderboards.getRank(query.board, query.metric, account.id, { period: query.period });
+    rank.name = account.name;
+    res.json(rank);
+});
+
+// 🌐 Lobby - open public worlds (private worlds are only reachable by code)
+app.get('/api/worlds', (req, res) => {
+    res.json({ worlds: getLobby(null) });
+});
+
+// 🎬 Replays - recorded sessions, newest first, and the recordings themselves (NDJSON)
+app.get('/api/replays', (req, res) => {
+    res.json({ replays: REPLAYS.enabled ? listReplays(REPLAYS.directory) : [] });
+});
+
+app.get('/api/replays/:id', (req, res) => {
+    const filePath = REPLAYS.enabled ? getReplayPath(REPLAYS.directory, req.params.id) : null;
+    if (!filePath) {
+        res.status(404).json({ error: 'Replay not found' });
+        return;
+    }
+    
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.sendFile(filePath);
+});
+
+app.get('/api/leaderboard/periods', (req, res) => {
+    const query = parseLeaderboardQuery(req, res);
+    if (!query) return;
+    
+    res.json({
+        board: query.board,
+        current: leaderboards.getPeriodKey(query.board),
+        periods: leaderboards.listPeriods(query.board)
+    });
+});
+
+// 🔧 WORLD SETTINGS - defaults, the "world" section of the object types file overrides them
+// (how many of each object spawn is set per type in that file)
 const WORLD_SETTINGS = {
-    discoveries: 60,
-    explodingCreatures: 40,
-    rareEntities: 15,
-    spaceCreatures: 20,
-    ringPortals: 12,
     worldSize: 2500,
+    worldHeight: 600,
+    seed: process.env.WORLD_SEED || null, // Fixed generation seed - unset picks a new one every generation
+    hazardBelts: 4, // High-radiation belts where rare entities live
+    hazardMultiplier: 2.5, // Radiation gain inside a belt
+    regionsPerSide: 3, // Every region of this grid gets at least one portal
+    minObjectSpacing: 40,
+    minPortalSpacing: 350,
     respawnDelay: 30000, // 30 seconds to respawn collected objects
-    stealRadius: 100, // Distance within which players can compete for resources
+    stealRadius: 100, // Teammates within this distance share a collection
+    captureTime: 0, // Channel time (ms) a contested object needs before it is taken - 0 takes it at once
+    radiationRate: 1.2, // Base radiation gained per second (scaled by RADIATION_ZONES)
+    maxRadiation: 100, // Radiation level at which a player dies
+    spatialCellSize: 250, // Spatial index cell size - roughly a quarter of the view range
+    interestRange: 1000, // Players receive snapshot entities within this range
+};
+
+// ⏱️ GAME LOOP SETTINGS - the world only advances on fixed ticks
+const GAME_LOOP = {
+    tickRate: 20, // Ticks per second
+    tickInterval: 50, // 1000 / tickRate
+    snapshotEveryTicks: 2, // game_state 10 times per second
+    creatureBroadcastEveryTicks: 4, // creature_updates 5 times per second
+    radiationUpdateEveryTicks: 10, // radiation_update twice per second
+    respawnCheckEveryTicks: 20, // Object respawns once per second
+    cleanupEveryTicks: 100, // Inactive player cleanup every 5 seconds
+    maxInputsPerTick: 8, // Inputs processed per player per tick - the rest waits
+    maxQueuedInputs: 32, // Oldest inputs are dropped beyond this
+    maxCatchUpTicks: 5 // Ticks run at most per timer callback after a stall
+};
+
+// 🏁 CONTEST SETTINGS - fair steals on slow connections, see lib/contests.js
+const CONTESTS = {
+    claimWindow: 100, // Claims on one object arriving within this window are settled together (ms)
+    maxRewind: 300, // Latency compensation stops here - slower connections get no more help (ms)
+    historyDuration: 1000, // Position history kept per player (ms)
+    latencyProbeEveryTicks: 40, // Round-trip measurement every 2 seconds
+    latencySmoothing: 0.2 // Weight of the newest measurement in the latency estimate
+};
+
+// 🏅 PROGRESSION SETTINGS - achievements, daily quests and levels, see lib/progression.js
+const PROGRESSION = {
+    updateEveryTicks: 20, // Survival and radiation time are counted once per second
+    syncEveryTicks: 100, // Time-based progress reaches the client every 5 seconds
+    highRadiation: 0.8 // Share of maxRadiation that counts as high radiation
+};
+
+// 📦 CARGO SETTINGS - carried items are only worth points once banked, see lib/cargo.js
+const CARGO = {
+    capacity: 10, // Items a hold carries
+    bankRange: 80, // Holds can be banked this close to a portal without traveling
+    podType: 'cargoPod', // Object type a dead player's hold is dropped as
+    podLifetime: 120000, // Dropped cargo drifts off after this long (ms)
+    tradeRange: 150, // Players trade only within this distance
+    tradeTimeout: 30000, // Unanswered proposals lapse after this long (ms)
+    updateEveryTicks: 20 // Pod and proposal timeouts once a second
+};
+
+// 👁️ SPECTATOR SETTINGS - watchers that never spawn, see class Spectator
+const SPECTATORS = {
+    snapshotEveryTicks: 10, // spectator_state twice per second - a fifth of the game_state rate
+    chatChannel: 'spectators', // Spectator chat never reaches players
+    deadTimeout: 300000 // Dead players who neither respawn nor spectate are made spectators after this long (ms)
+};
+
+// 🤖 BOT SETTINGS - server-controlled players for quiet worlds, see lib/bots.js
+const BOTS = {
+    minPlayers: parseInt(process.env.BOT_MIN_PLAYERS || '3', 10), // Public worlds with people in them are topped up to this many players
+    roomMinPlayers: 4, // Private rooms only get bots when created with a difficulty - then up to this many
+    difficulty: isDifficulty(process.env.BOT_DIFFICULTY) ? process.env.BOT_DIFFICULTY : 'normal',
+    balanceEveryTicks: 40, // One bot joins (or the extra ones leave) every 2 seconds
+    respawnDelay: 3000, // Dead bots fly again after this long (ms)
+    claimInterval: 250, // Collection requests are at least this far apart (ms)
+    claimReach: 0.9, // Share of collectRadius a bot closes to before claiming - movement lags a tick
+    rivalRange: 150 // Other players this close to an object make it worth stealing
+};
+
+// ☢️ Radiation zones - deep space is more hostile than the spawn area
+// Players further than maxDistance from the origin fall through to the next zone
+const RADIATION_ZONES = [
+    { name: 'safe', maxDistance: 400, multiplier: 0.5 },
+    { name: 'inner', maxDistance: 900, multiplier: 1.0 },
+    { name: 'outer', maxDistance: 1500, multiplier: 1.5 },
+    { name: 'deep', maxDistance: Infinity, multiplier: 2.2 }
+];
+
+// 🛡️ ANTI-CHEAT SETTINGS - movement validation and per-socket rate limits
+const ANTI_CHEAT = {
+    maxSpeed: 600, // Units per second (client max is ~3.5 units/frame with boost)
+    speedTolerance: 1.25, // Headroom for frame timing and network jitter
+    moveBurstSeconds: 1.0, // Movement budget that can build up during lag spikes
+    maxAcceleration: 8000, // Units per second² between two updates
+    minSampleInterval: 100, // Shortest interval (ms) used for acceleration checks
+    boundsMargin: 200, // Extra room beyond worldSize / 2 before clamping
+    violationDecay: 10000, // One violation is forgiven every 10 seconds
+    shadowFlagThreshold: 10, // Offenders above this are silently ignored
+    kickThreshold: 25, // Offenders above this are disconnected
+    rateLimits: {
+        collect_resource: { capacity: 10, refillPerSecond: 5 },
+        chat_message: { capacity: 5, refillPerSecond: 1 },
+        trade_propose: { capacity: 3, refillPerSecond: 0.5 }
+    }
 };
 
-// Shared world state - all objects exist on server
-let worldObjects = [];
-let objectIdCounter = 0;
+// 🐙 CREATURE AI SETTINGS - creatures are simulated by the server only
+const CREATURE_AI = {
+    broadcastRange: 800, // Players only receive creatures within this range
+    frameRate: 60, // fleeSpeed is in units per client frame - convert with this
+    wanderSpeedFactor: 0.25, // Idle wandering speed relative to fleeSpeed
+    wanderChangeMin: 2000, // Idle creatures pick a new direction every 2-5 seconds
+    wanderChangeMax: 5000
+};
+
+// 🪪 ACCOUNT SETTINGS - identity and lifetime stats outlive the socket
+const ACCOUNTS = {
+    storeType: process.env.ACCOUNT_STORE || 'json', // 'json' or 'sqlite'
+    storePath: process.env.ACCOUNT_STORE_PATH || path.join(__dirname, 'data', 'accounts.json'),
+    reconnectGracePeriod: 30000 // A dropped player is held this long before the session ends (ms)
+};
+
+const accountStore = createAccountStore({ type: ACCOUNTS.storeType, path: ACCOUNTS.storePath });
+accountStore.load();
+const accounts = new AccountManager(accountStore);
+
+// 🏆 LEADERBOARD SETTINGS - every finished life counts towards each board
+const LEADERBOARDS = {
+    storePath: process.env.LEADERBOARD_STORE_PATH || path.join(__dirname, 'data', 'leaderboards.json'),
+    seasonEpoch: Date.UTC(2025, 0, 6), // Season 1 starts on this Monday
+    seasonLengthDays: 28,
+    defaultLimit: 50,
+    maxLimit: 100
+};
+
+const leaderboards = new LeaderboardService({
+    path: LEADERBOARDS.storePath,
+    seasonEpoch: LEADERBOARDS.seasonEpoch,
+    seasonLengthDays: LEADERBOARDS.seasonLengthDays
+});
+leaderboards.load();
+
+// 🛠️ ADMIN SETTINGS - the HTTP admin API (/api/admin) and the page at /admin
+const ADMIN = {
+    token: process.env.ADMIN_TOKEN || null, // Unset disables the admin API
+    banStorePath: process.env.BAN_STORE_PATH || path.join(__dirname, 'data', 'bans.json'),
+    trustProxy: process.env.TRUST_PROXY === 'true', // Take player addresses from X-Forwarded-For
+    readOnlySettings: ['spatialCellSize'], // Baked into each world's spatial index
+    maxSpawnCount: 50,
+    maxBroadcastLength: 300
+};
+
+const bans = new BanList(ADMIN.banStorePath);
+bans.load();
+
+// 💾 PERSISTENCE SETTINGS - worlds and players survive restarts and deploys
+const PERSISTENCE = {
+    enabled: process.env.WORLD_SNAPSHOTS !== 'false',
+    path: process.env.WORLD_SNAPSHOT_PATH || path.join(__dirname, 'data', 'worldSnapshot.json'),
+    saveInterval: parseInt(process.env.WORLD_SNAPSHOT_INTERVAL, 10) || 60000, // Periodic save (ms)
+    maxAge: parseInt(process.env.WORLD_SNAPSHOT_MAX_AGE, 10) || 6 * 60 * 60 * 1000, // Older snapshots start a fresh world
+    restoreGracePeriod: 120000, // Restored players have this long to reconnect (ms)
+    shutdownWarning: parseInt(process.env.SHUTDOWN_WARNING, 10) || 3000, // Players are warned this long before the sockets close
+    shutdownTimeout: 10000 // Exit anyway if connections don't close by then (ms)
+};
+
+const worldSnapshots = new SnapshotFile(PERSISTENCE.path, { maxAge: PERSISTENCE.maxAge });
+
+// 🎬 REPLAYS - every match (or stretch of sandbox play) is recorded to its own file for the
+// replay viewer, so disputed steals can be watched again with both distances
+const REPLAYS = {
+    enabled: process.env.REPLAYS !== 'false',
+    directory: process.env.REPLAY_DIR || path.join(__dirname, 'data', 'replays'),
+    maxDuration: 15 * 60 * 1000, // Long sandbox sessions are split into recordings of this length (ms)
+    maxFiles: parseInt(process.env.REPLAY_MAX_FILES, 10) || 200 // Oldest recordings are deleted beyond this
+};
+
+// 📈 METRICS - served at /metrics. Gauges read the live state on every scrape.
+const METRICS_SETTINGS = {
+    prefix: 'ethereal_',
+    snapshotSampleEvery: 10, // Measure the size of every Nth snapshot - serializing costs time
+    tickBuckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25], // Seconds
+    snapshotBuckets: [256, 512, 1024, 2048, 4096, 8192, 16384, 32768, 65536] // Bytes
+};
+
+const metrics = new MetricsRegistry(METRICS_SETTINGS.prefix);
+const stealWindow = new SlidingWindow(60000);
+
+metrics.gauge('players', 'Players by connection state', () => [
+    { labels: { state: 'connected' }, value: Object.values(players).filter(player => !player.isBot).length },
+    { labels: { state: 'held' }, value: disconnectedPlayers.size },
+    { labels: { state: 'bot' }, value: Object.values(players).filter(player => player.isBot).length }
+]);
+metrics.gauge('spectators', 'Connected spectators', () => Object.keys(spectators).length);
+metrics.gauge('worlds', 'Open world instances', () => worlds.size);
+metrics.gauge('world_objects', 'World objects by type and state, across all worlds', () => {
+    const counts = new Map();
+    for (const world of worlds.values()) {
+        world.objects.forEach(obj => {
+            const key = `${obj.type}:${obj.available}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+    }
+    return Array.from(counts, ([key, value]) => {
+        const [type, available] = key.split(':');
+        return { labels: { type: type, state: available === 'true' ? 'available' : 'collected' }, value: value };
+    });
+});
+metrics.gauge('steals_per_minute', 'Resources stolen in the last 60 seconds', () => stealWindow.count());
+metrics.eventLoopLag('event_loop_lag_seconds', 'Event loop delay since the previous scrape');
+
+const collectionsTotal = metrics.counter('collections_total', 'Successful collections by object type');
+const stealsTotal = metrics.counter('steals_total', 'Stolen collections by object type');
+const contestsTotal = metrics.counter('contests_total', 'Contested claims by outcome (settled, captured, interrupted)');
+const portalTripsTotal = metrics.counter('portal_trips_total', 'Portal trips by outcome (traveled, stolen, collapsed)');
+const unlocksTotal = metrics.counter('progression_unlocks_total', 'Achievements, quests and levels unlocked by kind');
+const cargoBankedTotal = metrics.counter('cargo_banked_points_total', 'Points banked from cargo holds at portals');
+const tradesTotal = metrics.counter('trades_total', 'Trades by outcome (completed, declined, expired, ...)');
+const socketEventsTotal = metrics.counter('socket_events_total', 'Socket.IO events by direction (broadcasts count once)');
+const connectionsTotal = metrics.counter('connections_total', 'Socket connections accepted');
+const snapshotsTotal = metrics.counter('snapshots_sent_total', 'game_state snapshots sent');
+const spectatorSnapshotsTotal = metrics.counter('spectator_snapshots_sent_total', 'spectator_state snapshots sent');
+const tickDuration = metrics.histogram('tick_duration_seconds', 'Time spent running one game tick', METRICS_SETTINGS.tickBuckets);
+const snapshotBytes = metrics.histogram('snapshot_bytes', 'Serialized size of sampled game_state snapshots', METRICS_SETTINGS.snapshotBuckets);
+
+// Flush pending account, leaderboard and ban writes on the way out
+process.on('exit', () => {
+    accountStore.close();
+    leaderboards.close();
+    bans.close();
+});
+
+// 💬 CHAT SETTINGS
+const CHAT = {
+    maxLength: 200, // Characters after sanitizing
+    proximityRange: 600, // Local channel reaches players within this range
+    scrollbackSize: 30, // Global messages sent to players when they join
+    floodWindow: 10000, // More than floodMaxMessages in this window is a flood (ms)
+    floodMaxMessages: 6,
+    duplicateWindow: 30000, // The same message more than maxDuplicates times in this window (ms)
+    maxDuplicates: 2,
+    floodMuteDuration: 30000, // Flooders are muted this long (ms)
+    wordFilterPath: process.env.CHAT_WORD_FILTER_PATH || path.join(__dirname, 'config', 'chatFilter.json')
+};
+
+// Words from the filter file plus any extra from CHAT_WORD_FILTER (comma separated)
+function loadChatWordFilter() {
+    let words = [];
+    if (fs.existsSync(CHAT.wordFilterPath)) {
+        words = JSON.parse(fs.readFileSync(CHAT.wordFilterPath, 'utf8')).words || [];
+    }
+    if (process.env.CHAT_WORD_FILTER) {
+        words = words.concat(process.env.CHAT_WORD_FILTER.split(','));
+    }
+    return words;
+}
+
+const chatWordFilter = new WordFilter(loadChatWordFilter());
+
+// 🌐 WORLD INSTANCE SETTINGS - public worlds are filled by the matchmaker, private ones by code
+const WORLDS = {
+    maxPlayers: 20, // Public worlds fill up to this before the matchmaker opens another
+    privateMaxPlayers: 10,
+    maxWorlds: 20, // Hard cap on concurrent instances
+    emptyWorldTimeout: 60000, // Empty worlds (except the default one) close after this (ms)
+    codeLength: 6,
+    codeAlphabet: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789' // No 0/O or 1/I mix-ups
+};
+
+// ⏱️ MATCH SETTINGS - timed rounds with warmup, sudden death and results
+const MATCH = {
+    defaultMode: process.env.GAME_MODE === 'sandbox' ? 'sandbox' : 'match', // Mode of new worlds: 'match' or 'sandbox'
+    minPlayers: Number(process.env.MATCH_MIN_PLAYERS) || 2, // Warmup countdown starts once this many people have joined - bots don't count
+    warmupDuration: Number(process.env.MATCH_WARMUP) || 30000, // ms
+    roundDuration: Number(process.env.MATCH_ROUND) || 300000, // 5 minutes
+    suddenDeathDuration: Number(process.env.MATCH_SUDDEN_DEATH) || 60000,
+    resultsDuration: Number(process.env.MATCH_RESULTS) || 15000,
+    suddenDeathRadiationMultiplier: 3, // Radiation climbs this much faster in sudden death
+    stateBroadcastEveryTicks: 20 // Countdown resync for clients (1 second)
+};
+
+// 👥 TEAM SETTINGS - squads inside a world
+const TEAMS = {
+    maxTeamSize: 4,
+    shareCredit: process.env.TEAM_SHARE_CREDIT !== 'false', // Teammates split collections instead of stealing from each other
+    radarEveryTicks: 20 // Teammate positions for the radar, whatever the distance (1 second)
+};
 
-// Player storage
+// World instances - each owns its objects and players, see class World
+const worlds = new Map(); // world id -> World
+let worldIdCounter = 0;
+let objectIdCounter = 0; // Shared by all worlds so ids never collide on a client that switches
+
+// Player storage - every connected player, whatever world they are in
 const players = {};
+const disconnectedPlayers = new Map(); // account id -> Player waiting out the reconnect grace period
+const spectators = {}; // socket id -> Spectator, whatever world they watch
 
-// Object types and their properties
-const OBJECT_TYPES = {
-    discovery: { points: 10, collectRadius: 30, respawnTime: 30000 },
-    exploding: { points: 15, collectRadius: 25, respawnTime: 45000 },
-    rare: { points: 50, collectRadius: 20, respawnTime: 120000 }, // 2 minutes for rare
-    spaceCreature: { points: 25, collectRadius: 35, respawnTime: 60000 },
-    ringPortal: { points: 5, collectRadius: 30, respawnTime: 180000 } // 3 minutes for portals
+// 📦 OBJECT TYPES - points, respawn, spawn counts, effects and movement come from a config file
+const OBJECT_TYPES_SETTINGS = {
+    path: process.env.OBJECT_TYPES_PATH || path.join(__dirname, 'config', 'objectTypes.json'),
+    watch: process.env.OBJECT_TYPES_WATCH !== 'false', // Reload when the file changes
+    watchInterval: 2000 // ms
 };
 
+const BUILTIN_WORLD_SETTINGS = Object.assign({}, WORLD_SETTINGS);
+const adminSettings = {}; // Changed at runtime through the admin API - kept across type reloads
+const objectTypes = new ObjectTypeRegistry(OBJECT_TYPES_SETTINGS.path, { worldDefaults: BUILTIN_WORLD_SETTINGS });
+try {
+    objectTypes.load();
+} catch (error) {
+    log.error('object_types_invalid', `❌ ${error.message}`, { path: OBJECT_TYPES_SETTINGS.path });
+    process.exit(1);
+}
+Object.assign(WORLD_SETTINGS, objectTypes.world);
+log.info('object_types_loaded', `📦 Loaded ${objectTypes.names().length} object types from ${OBJECT_TYPES_SETTINGS.path}: ${objectTypes.names().join(', ')}`, { path: OBJECT_TYPES_SETTINGS.path, types: objectTypes.names() });
+
+// Token bucket rate limiter - one per socket and event
+class RateLimiter {
+    constructor(capacity, refillPerSecond) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.lastRefill = clock.now();
+    }
+
+    tryConsume() {
+        const now = clock.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.lastRefill = now;
+
+        if (this.tokens < 1) return false;
+        this.tokens--;
+        return true;
+    }
+}
+
 // Player class with competitive features
 class Player {
-    constructor(id, socket) {
+    constructor(id, socket, account) {
         this.id = id;
         this.socket = socket;
-        this.name = `Player_${id.substring(0, 6)}`;
-        this.x = (Math.random() - 0.5) * 100; // Spawn closer together for competition
-        this.y = (Math.random() - 0.5) * 100;
-        this.z = (Math.random() - 0.5) * 100;
+        this.account = account;
+        this.name = account.name;
+        this.x = (clock.random() - 0.5) * 100; // Spawn closer together for competition
+        this.y = (clock.random() - 0.5) * 100;
+        this.z = (clock.random() - 0.5) * 100;
         this.rotationX = 0;
         this.rotationY = 0;
-        this.color = Math.floor(Math.random() * 0xffffff);
+        this.ip = socket ? getClientAddress(socket) : null; // No socket for players restored from a snapshot
+        this.progress = new Progress(account, clock.now()); // Achievements, quests and XP - saved with the account
+        this.progressDirty = false; // Progress changed since the last progression update
+        this.randomColor = Math.floor(clock.random() * 0xffffff); // Until a ship color is picked
+        this.baseColor = this.getShipColor();
+        this.color = this.baseColor; // Team color while in a team
         this.radiationLevel = 0;
         this.score = 0;
         this.discoveries = 0;
         this.rareItems = 0;
         this.creatures = 0;
-        this.lastUpdate = Date.now();
+        this.lastUpdate = clock.now();
         this.lastBroadcast = 0; // For throttling broadcasts
-        this.joinTime = Date.now();
+        this.joinTime = clock.now();
+        this.snapshots = new SnapshotTracker(); // Delta baselines for game_state
+        this.inputQueue = []; // Movement inputs waiting for the next tick
+        this.lastProcessedInput = 0; // Highest input sequence applied by the server
+        this.positionHistory = new PositionHistory(CONTESTS.historyDuration); // For rewinding contests
+        this.latency = 0; // One-way latency estimate (ms) from latency probes
+        this.latencyProbe = null; // { id, sentAt } of the probe awaiting an answer
+
+        // Life tracking - radiation is simulated by the server only
+        this.alive = true;
+        this.lifeStartTime = clock.now();
+        this.diedAt = null;
+        this.deaths = 0;
+        this.runRecorded = false; // Current life already added to the account stats
+        this.sessionScore = 0; // Points across every life this session
+        this.graceTimer = null;
+        this.kicked = false;
+        this.team = null; // Team id within the player's world - see TeamManager
+        this.matchScore = 0; // Points scored during the current match, across lives
+        this.scoreBoost = null; // { multiplier, until } from an object's scoreMultiplier effect
+        this.portalCooldownUntil = 0; // No portal trips before this time
+        this.cargo = new CargoHold(CARGO.capacity); // Collected items waiting to be banked
+        this.world = null; // Set by World.addPlayer
+        this.isBot = false; // Server-controlled - see addBot
+        this.brain = null; // BotBrain of a bot
         
+        // Chat moderation
+        this.chatMutedUntil = 0;
+        this.floodGuard = new FloodGuard({
+            window: CHAT.floodWindow,
+            maxMessages: CHAT.floodMaxMessages,
+            duplicateWindow: CHAT.duplicateWindow,
+            maxDuplicates: CHAT.maxDuplicates
+        });
+
         // Competition tracking
         this.resourcesStolen = 0;
         this.resourcesLost = 0;
         this.nearbyPlayers = [];
+
+        // Anti-cheat tracking
+        this.lastMoveTime = clock.now();
+        this.moveBudget = ANTI_CHEAT.maxSpeed * ANTI_CHEAT.moveBurstSeconds;
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.violations = 0;
+        this.lastViolationDecay = clock.now();
+        this.shadowFlagged = false;
+        this.rateLimiters = {};
+        for (const [event, limit] of Object.entries(ANTI_CHEAT.rateLimits)) {
+            this.rateLimiters[event] = new RateLimiter(limit.capacity, limit.refillPerSecond);
+        }
     }
 
+    // Expects data that already passed validateMovement()
     update(data) {
-        this.x = data.x || this.x;
-        this.y = data.y || this.y;
-        this.z = data.z || this.z;
-        this.rotationX = data.rotationX || this.rotationX;
-        this.rotationY = data.rotationY || this.rotationY;
-        this.radiationLevel = Math.min(100, (data.radiationLevel || this.radiationLevel));
-        this.lastUpdate = Date.now();
+        // Dead players wait for respawn - ignore stale movement
+        if (!this.alive) return;
+
+        this.x = Number.isFinite(data.x) ? data.x : this.x;
+        this.y = Number.isFinite(data.y) ? data.y : this.y;
+        this.z = Number.isFinite(data.z) ? data.z : this.z;
+        this.rotationX = Number.isFinite(data.rotationX) ? data.rotationX : this.rotationX;
+        this.rotationY = Number.isFinite(data.rotationY) ? data.rotationY : this.rotationY;
+        this.lastUpdate = clock.now();
+        this.world.playerGrid.update(this);
+    }
+
+    // Record a cheat violation, forgiving old ones over time
+    addViolation(reason) {
+        const now = clock.now();
+        const forgiven = Math.floor((now - this.lastViolationDecay) / ANTI_CHEAT.violationDecay);
+        if (forgiven > 0) {
+            this.violations = Math.max(0, this.violations - forgiven);
+            this.lastViolationDecay += forgiven * ANTI_CHEAT.violationDecay;
+        }
+
+        this.violations++;
+        log.warn('player_violation', `🛡️ ${this.name} violation: ${reason} (${this.violations} active)`, { player: this.name, reason: reason, violations: this.violations });
+
+        if (!this.shadowFlagged && this.violations >= ANTI_CHEAT.shadowFlagThreshold) {
+            this.shadowFlagged = true;
+            log.warn('player_shadow_flagged', `🚩 ${this.name} shadow-flagged for repeated violations`, { player: this.name, violations: this.violations });
+        }
+
+        return this.violations;
+    }
+
+    checkRateLimit(event) {
+        const limiter = this.rateLimiters[event];
+        if (!limiter || limiter.tryConsume()) return true;
+
+        this.addViolation(`rate limit exceeded for ${event}`);
+        return false;
+    }
+
+    // Advance radiation exposure by deltaMs, returns true if the player just died
+    updateRadiation(deltaMs, multiplier = 1) {
+        if (!this.alive) return false;
+
+        const settings = this.world.settings;
+        const zone = getRadiationZone(this.x, this.y, this.z);
+        const hazard = this.world.layout.hazardAt(this.x, this.y, this.z);
+        const gain = settings.radiationRate * zone.multiplier * (hazard ? hazard.multiplier : 1) * multiplier * (deltaMs / 1000);
+        this.radiationLevel = Math.min(settings.maxRadiation, this.radiationLevel + gain);
+        this.radiationZone = hazard ? 'hazard' : zone.name;
+
+        return this.radiationLevel >= settings.maxRadiation;
+    }
+
+    getSurvivalTime() {
+        return Math.floor((clock.now() - this.lifeStartTime) / 1000);
+    }
+
+    // The unlocked ship color the player picked, or their random one
+    getShipColor() {
+        const shipColor = this.progress.getShipColor();
+        return shipColor === null ? this.randomColor : shipColor;
+    }
+
+    getFinalStats() {
+        return {
+            score: this.score,
+            discoveries: this.discoveries,
+            rareItems: this.rareItems,
+            creatures: this.creatures,
+            resourcesStolen: this.resourcesStolen,
+            resourcesLost: this.resourcesLost,
+            survivalTime: this.getSurvivalTime()
+        };
+    }
+
+    // Start a fresh life - keeps identity (id, name, color) but resets the run
+    respawn() {
+        this.x = (clock.random() - 0.5) * 100;
+        this.y = (clock.random() - 0.5) * 100;
+        this.z = (clock.random() - 0.5) * 100;
+        this.rotationX = 0;
+        this.rotationY = 0;
+        this.radiationLevel = 0;
+        this.radiationZone = null;
+        this.score = 0;
+        this.discoveries = 0;
+        this.rareItems = 0;
+        this.creatures = 0;
+        this.resourcesStolen = 0;
+        this.resourcesLost = 0;
+        this.alive = true;
+        this.lifeStartTime = clock.now();
+        this.runRecorded = false;
+        this.scoreBoost = null;
+        this.portalCooldownUntil = 0;
+        this.positionHistory.clear();
+        this.progress.startLife();
+        this.cargo.clear(); // Already dropped where the last life ended
+        this.lastUpdate = clock.now();
+        this.lastMoveTime = clock.now();
+        this.moveBudget = ANTI_CHEAT.maxSpeed * ANTI_CHEAT.moveBurstSeconds;
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.world.playerGrid.update(this);
+    }
+
+    getScoreMultiplier(now = clock.now()) {
+        if (!this.scoreBoost || now > this.scoreBoost.until) return 1;
+        return this.scoreBoost.multiplier;
     }
 
     addScore(points, reason) {
         this.score += points;
-        console.log(`💰 ${this.name} earned ${points} points for ${reason} (Total: ${this.score})`);
+        if (this.world.match && this.world.match.isScoring()) this.matchScore += points;
+        log.debug('score_earned', `💰 ${this.name} earned ${points} points for ${reason} (Total: ${this.score})`, { player: this.name, points: points, reason: reason, score: this.score });
+    }
+
+    // 💾 The current life and session, for world snapshots. Times are stored as ages, so the
+    // clocks stop while the server is down.
+    toSnapshot(now) {
+        return {
+            accountId: this.account.id,
+            worldId: this.world.id,
+            ip: this.ip,
+            x: this.x,
+            y: this.y,
+            z: this.z,
+            rotationX: this.rotationX,
+            rotationY: this.rotationY,
+            baseColor: this.baseColor,
+            radiationLevel: this.radiationLevel,
+            score: this.score,
+            matchScore: this.matchScore,
+            discoveries: this.discoveries,
+            rareItems: this.rareItems,
+            creatures: this.creatures,
+            resourcesStolen: this.resourcesStolen,
+            resourcesLost: this.resourcesLost,
+            deaths: this.deaths,
+            alive: this.alive,
+            runRecorded: this.runRecorded,
+            sessionScore: this.sessionScore,
+            progressLife: this.progress.life,
+            cargo: this.cargo.items,
+            lifeAge: now - this.lifeStartTime,
+            sessionAge: now - this.joinTime
+        };
+    }
+
+    restore(data, now) {
+        ['ip', 'x', 'y', 'z', 'rotationX', 'rotationY', 'baseColor', 'radiationLevel', 'score', 'matchScore',
+            'discoveries', 'rareItems', 'creatures', 'resourcesStolen', 'resourcesLost', 'deaths', 'alive',
+            'runRecorded', 'sessionScore'].forEach(field => {
+            if (data[field] !== undefined) this[field] = data[field];
+        });
+        this.color = this.baseColor;
+        this.progress.life = data.progressLife || {};
+        this.cargo.load(data.cargo || []);
+        this.lifeStartTime = now - data.lifeAge;
+        this.joinTime = now - data.sessionAge;
     }
 
     toJSON() {
@@ -134,15 +761,46 @@ class Player {
             rareItems: this.rareItems,
             creatures: this.creatures,
             resourcesStolen: this.resourcesStolen,
-            resourcesLost: this.resourcesLost
+            resourcesLost: this.resourcesLost,
+            alive: this.alive,
+            bot: this.isBot
         };
     }
 }
 
+// Spectator - watches a world without spawning. Has no position on the server, so it is not on
+// anyone's radar, and is not counted in totalPlayers or the leaderboard. The client flies a free
+// camera or follows a player (see followPlayer) on the spectator_state stream.
+class Spectator {
+    constructor(id, socket, account) {
+        this.id = id;
+        this.socket = socket;
+        this.account = account;
+        this.name = account.name;
+        this.world = null; // Set by World.addSpectator
+        this.following = null; // Id of the player whose camera the client follows - null flies freely
+        this.snapshots = new SnapshotTracker(); // Delta baselines for spectator_state
+        this.joinTime = clock.now();
+        
+        // Chat moderation - the same limits as players
+        this.chatMutedUntil = 0;
+        this.floodGuard = new FloodGuard({
+            window: CHAT.floodWindow,
+            maxMessages: CHAT.floodMaxMessages,
+            duplicateWindow: CHAT.duplicateWindow,
+            maxDuplicates: CHAT.maxDuplicates
+        });
+        const chatLimit = ANTI_CHEAT.rateLimits.chat_message;
+        this.chatLimiter = new RateLimiter(chatLimit.capacity, chatLimit.refillPerSecond);
+    }
+}
+
 // World object class
 class WorldObject {
-    constructor(type, x, y, z) {
+    // rng - the generator's seeded random source, so a seed reproduces every object exactly
+    constructor(type, x, y, z, rng = () => clock.random()) {
         this.id = ++objectIdCounter;
+        this.world = null; // Set by World.addObject
         this.type = type;
         this.x = x;
         this.y = y;
@@ -151,37 +809,183 @@ class WorldObject {
         this.collectedBy = null;
         this.collectedAt = null;
         this.competingPlayers = []; // Players trying to collect this
+        this.capture = null; // { player, endsAt, rivals, ... } while a contested capture channels
+        this.contents = null; // Items of a dropped cargo pod - see dropCargo()
+        this.expiresAt = null; // Cargo pods drift off at this time
+        
+        // 📦 Per-object properties (hue, tentacleCount, ...) and movement come from the type config
+        const definition = objectTypes.get(type);
+        for (const [key, range] of Object.entries(definition.properties)) {
+            this[key] = sampleRange(range, rng);
+        }
+        this.movement = definition.movement.behavior; // Fixed for the object's lifetime, even across reloads
         
-        // Type-specific properties
-        if (type === 'exploding') {
-            this.hue = Math.random();
-        } else if (type === 'spaceCreature') {
-            this.tentacleCount = 3 + Math.floor(Math.random() * 5);
-            this.fleeSpeed = 0.7 + Math.random() * 0.2; // 🔧 Slower flee speed (0.7-0.9 vs player 1.0-2.0)
-            this.detectionRange = 80 + Math.random() * 40;
+        if (this.isMobile()) {
+            this.fleeSpeed = sampleRange(definition.movement.fleeSpeed, rng); // Units per client frame - players move 1.0-2.0
+            this.detectionRange = this.movement === 'flee' ? sampleRange(definition.movement.detectionRange, rng) : 0;
             this.fleeing = false;
             this.fleeDirection = { x: 0, y: 0, z: 0 };
-            this.lastTrajectoryUpdate = Date.now();
-        } else if (type === 'rare') {
-            this.fleeSpeed = 0.6; // 🔧 Rare entities also slower
+            this.lastTrajectoryUpdate = clock.now();
+            this.velocity = { x: 0, y: 0, z: 0 };
+            this.nextWanderChange = 0;
+            this.moved = false;
+        }
+    }
+
+    // Types with a 'wander' or 'flee' movement behavior move - everything else is static
+    isMobile() {
+        return this.movement !== 'static';
+    }
+
+    // Advance one AI step: flee from the nearest player in range, otherwise wander
+    simulate(deltaSeconds, nearestPlayer, now) {
+        const fleeSpeed = this.fleeSpeed * CREATURE_AI.frameRate;
+        
+        if (nearestPlayer) {
+            const dx = this.x - nearestPlayer.x;
+            const dy = this.y - nearestPlayer.y;
+            const dz = this.z - nearestPlayer.z;
+            const length = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1;
+            
+            this.fleeing = true;
+            this.fleeDirection = { x: dx / length, y: dy / length, z: dz / length };
+            this.velocity = {
+                x: this.fleeDirection.x * fleeSpeed,
+                y: this.fleeDirection.y * fleeSpeed,
+                z: this.fleeDirection.z * fleeSpeed
+            };
+        } else {
+            if (this.fleeing || now >= this.nextWanderChange) {
+                const wanderSpeed = fleeSpeed * CREATURE_AI.wanderSpeedFactor;
+                const angle = clock.random() * Math.PI * 2;
+                const pitch = (clock.random() - 0.5) * 0.5;
+                this.velocity = {
+                    x: Math.cos(angle) * Math.cos(pitch) * wanderSpeed,
+                    y: Math.sin(pitch) * wanderSpeed,
+                    z: Math.sin(angle) * Math.cos(pitch) * wanderSpeed
+                };
+                this.nextWanderChange = now + CREATURE_AI.wanderChangeMin +
+                    clock.random() * (CREATURE_AI.wanderChangeMax - CREATURE_AI.wanderChangeMin);
+            }
+            this.fleeing = false;
+        }
+        
+        this.x += this.velocity.x * deltaSeconds;
+        this.y += this.velocity.y * deltaSeconds;
+        this.z += this.velocity.z * deltaSeconds;
+        
+        // Stay inside the world - bounce off the edges
+        const bound = this.world.settings.worldSize / 2;
+        const verticalBound = this.world.settings.worldHeight / 2;
+        if (Math.abs(this.x) > bound) {
+            this.x = Math.sign(this.x) * bound;
+            this.velocity.x = -this.velocity.x;
         }
+        if (Math.abs(this.y) > verticalBound) {
+            this.y = Math.sign(this.y) * verticalBound;
+            this.velocity.y = -this.velocity.y;
+        }
+        if (Math.abs(this.z) > bound) {
+            this.z = Math.sign(this.z) * bound;
+            this.velocity.z = -this.velocity.z;
+        }
+        
+        this.lastTrajectoryUpdate = now;
+        this.moved = true;
+        this.world.objectGrid.update(this);
+    }
+
+    // Compact trajectory tuple: [id, x, y, z, vx, vy, vz, fleeing]
+    toTrajectory() {
+        return [
+            this.id,
+            Math.round(this.x * 10) / 10,
+            Math.round(this.y * 10) / 10,
+            Math.round(this.z * 10) / 10,
+            Math.round(this.velocity.x * 10) / 10,
+            Math.round(this.velocity.y * 10) / 10,
+            Math.round(this.velocity.z * 10) / 10,
+            this.fleeing ? 1 : 0
+        ];
     }
 
     // Check if object should respawn
     checkRespawn() {
+        const definition = objectTypes.get(this.type);
+        if (!definition) return false;
+        
+        // ⏱️ Some types (portals) stay gone in sudden death
+        const match = this.world.match;
+        if (!definition.respawnInSuddenDeath && match && match.phase === 'suddenDeath') return false;
+        
         if (!this.available && this.collectedAt) {
-            const respawnTime = OBJECT_TYPES[this.type].respawnTime;
-            if (Date.now() - this.collectedAt > respawnTime) {
-                this.available = true;
-                this.collectedBy = null;
-                this.collectedAt = null;
-                this.competingPlayers = [];
-                console.log(`🔄 ${this.type} ${this.id} respawned at (${Math.round(this.x)}, ${Math.round(this.y)}, ${Math.round(this.z)})`);
+            if (clock.now() - this.collectedAt > definition.respawnTime) {
+                this.respawn();
+                log.debug('object_respawned', `🔄 ${this.type} ${this.id} respawned at (${Math.round(this.x)}, ${Math.round(this.y)}, ${Math.round(this.z)})`, { world: this.world.id, type: this.type, objectId: this.id });
                 return true;
             }
         }
         return false;
     }
+    
+    // 💾 Position, rolled properties and respawn timer for world snapshots
+    toSnapshot(now) {
+        const data = {
+            id: this.id,
+            type: this.type,
+            x: this.x,
+            y: this.y,
+            z: this.z,
+            available: this.available,
+            collectedBy: this.collectedBy,
+            collectedAgo: this.collectedAt ? now - this.collectedAt : null, // Respawn timers pause during downtime
+            movement: this.movement,
+            properties: {}
+        };
+        Object.keys(objectTypes.get(this.type).properties).forEach(key => { data.properties[key] = this[key]; });
+        if (this.isMobile()) {
+            data.fleeSpeed = this.fleeSpeed;
+            data.detectionRange = this.detectionRange;
+        }
+        if (this.contents) {
+            data.contents = this.contents;
+            data.expiresIn = this.expiresAt - now;
+        }
+        return data;
+    }
+    
+    // Call before World.addObject - availability decides whether it enters the spatial index
+    restore(data, now) {
+        this.id = data.id;
+        this.available = data.available;
+        this.collectedBy = data.collectedBy;
+        this.collectedAt = data.collectedAgo === null ? null : now - data.collectedAgo;
+        Object.assign(this, data.properties);
+        if (this.isMobile() && data.fleeSpeed !== undefined) {
+            this.fleeSpeed = data.fleeSpeed;
+            this.detectionRange = data.detectionRange;
+        }
+        if (data.contents) {
+            this.contents = data.contents;
+            this.expiresAt = now + data.expiresIn;
+        }
+    }
+    
+    // Make a collected object available again right away
+    respawn() {
+        this.available = true;
+        this.collectedBy = null;
+        this.collectedAt = null;
+        this.competingPlayers = [];
+        this.capture = null;
+        this.world.objectGrid.insert(this);
+        
+        // A worn-out portal comes back with all its trips - everyone's usesLeft has to follow
+        if (this.world.portals.has(this.id)) {
+            this.world.portals.resetUses(this.id);
+            this.world.emit('portal_sync', getPortalSync(this.world));
+        }
+    }
 
     toJSON() {
         return {
@@ -199,498 +1003,3628 @@ class WorldObject {
     }
 }
 
-// Generate initial world
-function generateWorld() {
-    console.log('🌍 Generating competitive world...');
-    worldObjects = [];
-    objectIdCounter = 0;
+// 🌍 One world instance - its own objects, players, settings and chat scrollback
+// Each world is a Socket.IO room, so its broadcasts never reach other worlds.
+class World {
+    constructor(id, options = {}) {
+        this.id = id;
+        this.name = options.name || `World ${id}`;
+        this.isPrivate = !!options.isPrivate;
+        this.code = options.code || null; // Join code, private worlds only
+        this.isDefault = !!options.isDefault; // Never closed, even when empty
+        this.maxPlayers = options.maxPlayers || (this.isPrivate ? WORLDS.privateMaxPlayers : WORLDS.maxPlayers);
+        this.customSettings = Object.assign({}, options.settings); // Kept on top of WORLD_SETTINGS across reloads
+        this.settings = Object.assign({}, WORLD_SETTINGS, this.customSettings);
+        this.mode = options.mode === 'sandbox' || options.mode === 'match' ? options.mode : MATCH.defaultMode;
+        this.match = this.mode === 'match' ? new Match(MATCH) : null; // null in endless sandbox worlds
+        this.room = `world:${id}`;
+        this.seed = null; // Seed of the current generation - see generate()
+        this.layout = null; // Biomes and hazard belts of the current generation
+        this.createdAt = clock.now();
+        this.emptySince = clock.now();
 
-    // Create discoveries
-    for (let i = 0; i < WORLD_SETTINGS.discoveries; i++) {
-        worldObjects.push(new WorldObject(
-            'discovery',
-            (Math.random() - 0.5) * WORLD_SETTINGS.worldSize,
-            (Math.random() - 0.5) * 600,
-            (Math.random() - 0.5) * WORLD_SETTINGS.worldSize
-        ));
+        this.objects = [];
+        this.objectsById = new Map(); // id -> WorldObject
+        this.objectGrid = new SpatialGrid(this.settings.spatialCellSize); // Available objects only
+        this.players = {}; // socket id -> Player
+        this.playerGrid = new SpatialGrid(this.settings.spatialCellSize);
+        this.spectators = {}; // socket id -> Spectator - watching, not playing
+        this.pendingCollections = []; // collect_resource requests waiting for the next tick
+        this.claims = new ClaimBoard(); // Claims gathering rivals before they are settled
+        this.captures = new Set(); // Objects being channeled - see WORLD_SETTINGS.captureTime
+        this.chatHistory = new ChatHistory(CHAT.scrollbackSize);
+        this.teams = new TeamManager({ maxTeamSize: TEAMS.maxTeamSize });
+        this.portals = new PortalNetwork(); // Links between this world's portals
+        this.trades = new TradeBook(); // Open trade proposals between players in this world
+        this.replay = null; // ReplayRecorder while a session is being recorded
+        // Bots top the world up to minPlayers while people are in it - see balanceBots
+        this.bots = Object.assign({
+            minPlayers: this.isPrivate ? 0 : BOTS.minPlayers,
+            difficulty: BOTS.difficulty
+        }, options.bots);
     }
 
-    // Create exploding creatures
-    for (let i = 0; i < WORLD_SETTINGS.explodingCreatures; i++) {
-        worldObjects.push(new WorldObject(
-            'exploding',
-            (Math.random() - 0.5) * WORLD_SETTINGS.worldSize,
-            (Math.random() - 0.5) * 600,
-            (Math.random() - 0.5) * WORLD_SETTINGS.worldSize
-        ));
+    get playerCount() {
+        return Object.keys(this.players).length;
     }
 
-    // Create rare entities
-    for (let i = 0; i < WORLD_SETTINGS.rareEntities; i++) {
-        worldObjects.push(new WorldObject(
-            'rare',
-            (Math.random() - 0.5) * WORLD_SETTINGS.worldSize,
-            (Math.random() - 0.5) * 600,
-            (Math.random() - 0.5) * WORLD_SETTINGS.worldSize
-        ));
+    get botCount() {
+        return Object.values(this.players).filter(player => player.isBot).length;
     }
 
-    // Create space creatures
-    for (let i = 0; i < WORLD_SETTINGS.spaceCreatures; i++) {
-        worldObjects.push(new WorldObject(
-            'spaceCreature',
-            (Math.random() - 0.5) * WORLD_SETTINGS.worldSize,
-            (Math.random() - 0.5) * 600,
-            (Math.random() - 0.5) * WORLD_SETTINGS.worldSize
-        ));
+    get humanCount() {
+        return this.playerCount - this.botCount;
     }
 
-    // Create ring portals
-    for (let i = 0; i < WORLD_SETTINGS.ringPortals; i++) {
-        worldObjects.push(new WorldObject(
-            'ringPortal',
-            (Math.random() - 0.5) * WORLD_SETTINGS.worldSize,
-            (Math.random() - 0.5) * 600,
-            (Math.random() - 0.5) * WORLD_SETTINGS.worldSize
-        ));
+    get spectatorCount() {
+        return Object.keys(this.spectators).length;
     }
 
-    console.log(`✅ Generated world with ${worldObjects.length} objects`);
-}
+    // Bots never take a seat from a person - they leave to make room
+    isFull() {
+        return this.humanCount >= this.maxPlayers;
+    }
 
-// Get nearby players for competition
-function getNearbyPlayers(excludeId, x, y, z, range = 1000) {
-    const nearby = [];
-    const excludedPlayerName = players[excludeId] ? players[excludeId].name : 'unknown';
-    
-    for (const [id, player] of Object.entries(players)) {
-        if (id === excludeId) continue;
-        
-        const distance = Math.sqrt(
-            Math.pow(player.x - x, 2) +
-            Math.pow(player.y - y, 2) +
-            Math.pow(player.z - z, 2)
-        );
-        
-        if (distance <= range) {
-            const playerData = player.toJSON();
-            playerData.distance = Math.round(distance);
-            nearby.push(playerData);
-        }
+    emit(event, data) {
+        socketEventsTotal.inc({ direction: 'out', event: event });
+        io.to(this.room).emit(event, data);
     }
-    
-    return nearby;
-}
 
-// Get available world objects near player
-function getNearbyObjects(playerId, x, y, z, range = 1000) {
-    const nearby = [];
-    
-    worldObjects.forEach(obj => {
-        const distance = Math.sqrt(
-            Math.pow(obj.x - x, 2) +
-            Math.pow(obj.y - y, 2) +
-            Math.pow(obj.z - z, 2)
-        );
-        
-        if (distance <= range) {
-            const objData = obj.toJSON();
-            objData.distance = Math.round(distance);
-            nearby.push(objData);
-        }
-    });
-    
-    return nearby;
-}
+    addPlayer(player) {
+        player.world = this;
+        this.players[player.id] = player;
+        this.playerGrid.insert(player);
+        player.socket.join(this.room);
+        if (this.replay) this.replay.join(player);
+    }
 
-// Handle resource collection with competition
-function handleResourceCollection(playerId, objectId) {
-    const player = players[playerId];
-    const obj = worldObjects.find(o => o.id === objectId);
-    
-    if (!player || !obj || !obj.available) {
+    removePlayer(player) {
+        if (this.players[player.id] !== player) return;
+
+        delete this.players[player.id];
+        this.playerGrid.remove(player);
+        player.socket.leave(this.room);
+        if (this.replay) this.replay.leave(player);
+        if (this.playerCount === 0) this.emptySince = clock.now();
+    }
+
+    // Spectators share the world's room, so they hear its broadcasts (joins, deaths, leaderboards)
+    addSpectator(spectator) {
+        spectator.world = this;
+        this.spectators[spectator.id] = spectator;
+        spectator.socket.join(this.room);
+    }
+
+    removeSpectator(spectator) {
+        if (this.spectators[spectator.id] !== spectator) return;
+
+        delete this.spectators[spectator.id];
+        spectator.socket.leave(this.room);
+    }
+
+    // Register an object with the world, its id lookup and the spatial index
+    addObject(obj) {
+        obj.world = this;
+        this.objects.push(obj);
+        this.objectsById.set(obj.id, obj);
+        if (obj.available) this.objectGrid.insert(obj);
+    }
+    
+    // Take an object out for good - emptied or expired cargo pods
+    removeObject(obj) {
+        const index = this.objects.indexOf(obj);
+        if (index === -1) return;
+        this.objects.splice(index, 1);
+        this.objectsById.delete(obj.id);
+        this.objectGrid.remove(obj);
+        obj.available = false;
+    }
+
+    // Generate the world from a seed - the same seed always gives the same world
+    generate(seed = this.settings.seed || worldgen.randomSeed()) {
+        log.debug('world_generating', `🌍 Generating ${this.name} (seed ${seed})...`, { world: this.id, seed: String(seed) });
+        this.objects = [];
+        this.objectsById.clear();
+        this.objectGrid.clear();
+        this.seed = String(seed);
+        this.layout = worldgen.createLayout(this.seed, this.getGeneration().settings);
+
+        const rng = worldgen.createRng(`${this.seed}:properties`);
+        worldgen.placeObjects(this.layout, objectTypes.getSpawnCounts(), objectTypes.getPlacementRules()).forEach(placement => {
+            this.addObject(new WorldObject(placement.type, placement.x, placement.y, placement.z, rng));
+        });
+        this.linkPortals();
+
+        log.info('world_generated', `✅ Generated ${this.name} with ${this.objects.length} objects and ${this.layout.hazards.length} hazard belts`, { world: this.id, seed: this.seed, objects: this.objects.length, hazards: this.layout.hazards.length });
+    }
+
+    // 💾 Everything needed to bring this world back after a restart
+    toSnapshot(now) {
+        return {
+            id: this.id,
+            name: this.name,
+            isPrivate: this.isPrivate,
+            code: this.code,
+            isDefault: this.isDefault,
+            maxPlayers: this.maxPlayers,
+            settings: this.customSettings,
+            mode: this.mode,
+            seed: this.seed,
+            matchNumber: this.match ? this.match.matchNumber : null,
+            bots: this.bots,
+            objects: this.objects.map(obj => obj.toSnapshot(now)),
+            portalUses: Array.from(this.portals.uses) // [portal id, trips] - wear survives restarts
+        };
+    }
+    
+    // Rebuild the layout from the saved seed and put every saved object back.
+    // Objects of types removed from the config since the save are dropped.
+    restore(data, now) {
+        this.objects = [];
+        this.objectsById.clear();
+        this.objectGrid.clear();
+        this.seed = data.seed;
+        this.layout = worldgen.createLayout(this.seed, this.getGeneration().settings);
+        if (this.match && data.matchNumber) this.match.matchNumber = data.matchNumber;
+        
+        data.objects.forEach(saved => {
+            if (!objectTypes.has(saved.type)) return;
+            const obj = new WorldObject(saved.type, saved.x, saved.y, saved.z);
+            obj.restore(saved, now);
+            this.addObject(obj);
+        });
+        this.portals.uses = new Map(data.portalUses || []);
+        this.linkPortals();
+    }
+    
+    // 🌀 Relink every portal - call after objects are added or removed in bulk
+    linkPortals() {
+        this.portals.build(this.objects, getPortalSettings);
+    }
+    
+    // What clients need to rebuild the layout (biomes, belts) for their backdrop
+    getGeneration() {
+        const settings = {};
+        Object.keys(worldgen.GENERATION_DEFAULTS).forEach(key => {
+            if (this.settings[key] !== undefined) settings[key] = this.settings[key];
+        });
+        return { seed: this.seed, settings: settings };
+    }
+
+    getMatchState() {
+        return this.match ? this.match.getState(clock.now()) : null;
+    }
+
+    // Final match ranking - points scored across every life during the round
+    getMatchStandings() {
+        return Object.values(this.players)
+            .sort((a, b) => b.matchScore - a.matchScore || a.name.localeCompare(b.name))
+            .map((player, index) => ({
+                rank: index + 1,
+                name: player.name,
+                bot: player.isBot,
+                team: getTeamName(player),
+                score: player.matchScore,
+                alive: player.alive,
+                deaths: player.deaths
+            }));
+    }
+
+    // Live ranking of the players currently in this world, with their team's total
+    getLeaderboard() {
+        return Object.values(this.players)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 10)
+            .map((player, index) => ({
+                rank: index + 1,
+                name: player.name,
+                bot: player.isBot,
+                team: getTeamName(player),
+                teamScore: player.team ? this.teams.get(player.team).getScore() : null,
+                score: player.score,
+                discoveries: player.discoveries,
+                rareItems: player.rareItems,
+                creatures: player.creatures,
+                resourcesStolen: player.resourcesStolen,
+                resourcesLost: player.resourcesLost,
+                survivalTime: player.getSurvivalTime()
+            }));
+    }
+
+    // Lobby entry - the join code is only shown to the world's own players
+    getSummary(includeCode) {
+        return {
+            id: this.id,
+            name: this.name,
+            isPrivate: this.isPrivate,
+            code: includeCode ? this.code : undefined,
+            players: this.playerCount,
+            bots: this.botCount,
+            spectators: this.spectatorCount,
+            maxPlayers: this.maxPlayers,
+            seed: this.seed,
+            mode: this.mode,
+            matchPhase: this.match ? this.match.phase : null
+        };
+    }
+}
+
+// Get nearby players for competition
+function getNearbyPlayers(world, excludeId, x, y, z, range = 1000) {
+    const nearby = [];
+    
+    world.playerGrid.forEachInRadius(x, y, z, range, (player, distance) => {
+        if (player.id === excludeId) return;
+        
+        const playerData = player.toJSON();
+        playerData.distance = Math.round(distance);
+        nearby.push(playerData);
+    });
+    
+    return nearby;
+}
+
+// Get available world objects near player
+function getNearbyObjects(world, x, y, z, range = 1000) {
+    const nearby = [];
+    
+    world.objectGrid.forEachInRadius(x, y, z, range, (obj, distance) => {
+        const objData = obj.toJSON();
+        objData.distance = Math.round(distance);
+        nearby.push(objData);
+    });
+    
+    return nearby;
+}
+
+// Collect everything a player should know about, keyed for snapshot diffing
+function buildInterestSet(player) {
+    const entities = new Map();
+    const world = player.world;
+    const range = world.settings.interestRange;
+    
+    world.playerGrid.forEachInRadius(player.x, player.y, player.z, range, other => {
+        if (other.id !== player.id) entities.set(`p:${other.id}`, quantizePlayer(other));
+    });
+    
+    world.objectGrid.forEachInRadius(player.x, player.y, player.z, range, obj => {
+        entities.set(`o:${obj.id}`, quantizeObject(obj));
+    });
+    
+    return entities;
+}
+
+// Send a delta snapshot against the player's last acknowledged baseline
+function sendSnapshot(player) {
+    const snapshot = player.snapshots.build(buildInterestSet(player));
+    
+    snapshot.tick = serverTick;
+    snapshot.ackInput = player.lastProcessedInput;
+    snapshot.you = {
+        x: Math.round(player.x * 100) / 100,
+        y: Math.round(player.y * 100) / 100,
+        z: Math.round(player.z * 100) / 100
+    };
+    snapshot.totalPlayers = player.world.playerCount;
+    snapshot.yourStats = {
+        score: player.score,
+        discoveries: player.discoveries,
+        rareItems: player.rareItems,
+        creatures: player.creatures,
+        radiationLevel: player.radiationLevel,
+        resourcesStolen: player.resourcesStolen,
+        resourcesLost: player.resourcesLost,
+        matchScore: player.world.match ? player.matchScore : undefined
+    };
+    
+    player.socket.emit('game_state', snapshot);
+    player.lastBroadcast = clock.now();
+    
+    snapshotsTotal.inc();
+    if (snapshot.seq % METRICS_SETTINGS.snapshotSampleEvery === 0) {
+        snapshotBytes.observe(Buffer.byteLength(JSON.stringify(snapshot)));
+    }
+}
+
+// Validate a client movement update against speed, acceleration and world bounds
+// Returns the accepted state and, if the client must be corrected, the reason why
+// Inputs carry either a relative `move` ({ dx, dy, dz }) or an absolute position (x, y, z)
+function validateMovement(player, data, now = clock.now()) {
+    const elapsed = Math.max(0, now - player.lastMoveTime);
+    const bound = player.world.settings.worldSize / 2 + ANTI_CHEAT.boundsMargin;
+    const current = { x: player.x, y: player.y, z: player.z };
+    
+    const requested = data.move ? {
+        x: current.x + Number(data.move.dx),
+        y: current.y + Number(data.move.dy),
+        z: current.z + Number(data.move.dz)
+    } : {
+        x: Number(data.x),
+        y: Number(data.y),
+        z: Number(data.z)
+    };
+    
+    const state = {
+        x: current.x,
+        y: current.y,
+        z: current.z,
+        rotationX: Number.isFinite(Number(data.rotationX)) ? Number(data.rotationX) : player.rotationX,
+        rotationY: Number.isFinite(Number(data.rotationY)) ? Number(data.rotationY) : player.rotationY
+    };
+    
+    if (!Number.isFinite(requested.x) || !Number.isFinite(requested.y) || !Number.isFinite(requested.z)) {
+        return { state, violation: 'invalid position', correction: true };
+    }
+    
+    // Refill the movement budget for the time since the last update
+    player.moveBudget = Math.min(
+        ANTI_CHEAT.maxSpeed * ANTI_CHEAT.moveBurstSeconds * ANTI_CHEAT.speedTolerance,
+        player.moveBudget + ANTI_CHEAT.maxSpeed * ANTI_CHEAT.speedTolerance * (elapsed / 1000)
+    );
+    player.lastMoveTime = Math.max(player.lastMoveTime, now);
+    
+    const dx = requested.x - current.x;
+    const dy = requested.y - current.y;
+    const dz = requested.z - current.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    
+    if (distance > player.moveBudget) {
+        player.velocity = { x: 0, y: 0, z: 0 };
+        return { state, violation: `speed (${Math.round(distance)} units, budget ${Math.round(player.moveBudget)})`, correction: true };
+    }
+    
+    // Acceleration check - sampled over at least minSampleInterval to ignore packet bunching
+    const sampleSeconds = Math.max(elapsed, ANTI_CHEAT.minSampleInterval) / 1000;
+    const velocity = { x: dx / sampleSeconds, y: dy / sampleSeconds, z: dz / sampleSeconds };
+    const acceleration = Math.sqrt(
+        Math.pow(velocity.x - player.velocity.x, 2) +
+        Math.pow(velocity.y - player.velocity.y, 2) +
+        Math.pow(velocity.z - player.velocity.z, 2)
+    ) / sampleSeconds;
+    
+    if (acceleration > ANTI_CHEAT.maxAcceleration) {
+        player.velocity = { x: 0, y: 0, z: 0 };
+        return { state, violation: `acceleration (${Math.round(acceleration)} units/s²)`, correction: true };
+    }
+    
+    player.moveBudget -= distance;
+    player.velocity = velocity;
+    
+    // Clamp to world bounds - not a violation, the edge of space is just solid
+    state.x = Math.max(-bound, Math.min(bound, requested.x));
+    state.y = Math.max(-bound, Math.min(bound, requested.y));
+    state.z = Math.max(-bound, Math.min(bound, requested.z));
+    
+    const clamped = state.x !== requested.x || state.y !== requested.y || state.z !== requested.z;
+    return { state, violation: null, correction: clamped };
+}
+
+// Consume a rate limit token, kicking players who keep flooding
+function checkSocketRateLimit(player, event) {
+    if (player.checkRateLimit(event)) return true;
+    
+    if (player.violations >= ANTI_CHEAT.kickThreshold) {
+        kickPlayer(player, `Flooding ${event}`);
+    }
+    return false;
+}
+
+// Disconnect a player who keeps breaking the rules
+function kickPlayer(player, reason) {
+    if (player.isBot) {
+        removeBot(player, reason);
+        return;
+    }
+    
+    log.warn('player_kicked', `👢 Kicking ${player.name}: ${reason}`, { player: player.name, reason: reason });
+    player.kicked = true; // No reconnect grace period
+    player.socket.emit('kicked', { reason: reason });
+    player.socket.disconnect(true);
+}
+
+// Find the radiation zone for a position (zones are sorted by distance from origin)
+function getRadiationZone(x, y, z) {
+    const distanceFromOrigin = Math.sqrt(x * x + y * y + z * z);
+    return RADIATION_ZONES.find(zone => distanceFromOrigin <= zone.maxDistance) ||
+        RADIATION_ZONES[RADIATION_ZONES.length - 1];
+}
+
+// Why a player can't collect an object right now, as a failed result - null if they can
+function getCollectionFailure(player, obj) {
+    if (!player || players[player.id] !== player || !obj || !obj.available || obj.world !== player.world || !objectTypes.has(obj.type)) {
+        return { success: false, reason: 'Object not available' };
+    }
+
+    if (!player.alive) {
+        return { success: false, reason: 'Player is dead' };
+    }
+
+    const world = player.world;
+    if (world.match && world.match.phase === 'results') {
+        return { success: false, reason: 'Match is over' };
+    }
+    
+    if ((objectTypes.get(obj.type).cargo || obj.contents) && player.cargo.isFull()) {
+        return { success: false, reason: 'Cargo hold full' };
+    }
+    
+    return null;
+}
+
+function distanceBetween(a, b) {
+    return Math.sqrt(
+        Math.pow(a.x - b.x, 2) +
+        Math.pow(a.y - b.y, 2) +
+        Math.pow(a.z - b.z, 2)
+    );
+}
+
+// Collect an object right away - a contest with a single claim, no window and no rewind
+function handleResourceCollection(playerId, objectId) {
+    const player = players[playerId];
+    const obj = player && player.world.objectsById.get(objectId);
+    
+    const failure = getCollectionFailure(player, obj);
+    if (failure) return failure;
+    
+    const distance = distanceBetween(obj, player);
+    if (distance > objectTypes.get(obj.type).collectRadius) {
+        return { success: false, reason: 'Too far away' };
+    }
+    
+    const now = clock.now();
+    return settleContest(player.world, obj, [{ player: player, receivedAt: now, clientTime: now, distance: distance }]).get(player);
+}
+
+// 🏁 Settle the claims on one object. Every claimant is rewound to the earliest claim's client
+// time and the closest wins (see rankClaims). Returns player -> result for everyone involved.
+function settleContest(world, obj, claims) {
+    const results = new Map();
+    const now = clock.now();
+    
+    const valid = claims.filter(claim => {
+        const failure = getCollectionFailure(claim.player, obj);
+        if (failure) results.set(claim.player, failure);
+        return !failure;
+    });
+    if (valid.length === 0) return results;
+    
+    if (valid.length > 1) rewindClaims(obj, valid, now);
+    const inReach = keepClaimsInReach(obj, valid, results);
+    if (inReach.length === 0) return results;
+    
+    const ranked = rankClaims(inReach);
+    const winner = ranked[0];
+    const teammates = ranked.slice(1).filter(claim => TEAMS.shareCredit && world.teams.areTeammates(winner.player, claim.player));
+    const rivals = ranked.slice(1).filter(claim => !teammates.includes(claim));
+    const contest = ranked.length > 1 ? {
+        winner: winner.player.name,
+        claims: ranked.map(claim => ({
+            name: claim.player.name,
+            distance: Math.round(claim.distance * 100) / 100,
+            rewind: Math.round(claim.rewind)
+        }))
+    } : null;
+    teammates.forEach(claim => results.set(claim.player, { success: false, reason: 'teammate', collectedBy: winner.player.name, contest: contest }));
+    
+    // ⏳ Contested objects may need a channel first. A running capture goes on if its holder wins
+    // again and passes to the challenger otherwise - either way its earlier rivals stay beaten.
+    const capture = obj.capture;
+    if (capture) {
+        rivals.push(...capture.rivals.filter(claim => claim.player !== winner.player && !rivals.some(rival => rival.player === claim.player)));
+        if (capture.player !== winner.player) interruptCapture(world, obj, 'challenged', winner.player);
+        else capture.rivals = rivals;
+    }
+    if (obj.capture || (rivals.length > 0 && world.settings.captureTime > 0)) {
+        if (!obj.capture) startCapture(world, obj, winner, rivals, contest);
+        
+        results.set(winner.player, {
+            success: false,
+            reason: 'capturing',
+            objectId: obj.id,
+            remaining: obj.capture.endsAt - now,
+            contest: contest
+        });
+        rivals.forEach(claim => results.set(claim.player, {
+            success: false,
+            reason: 'contested',
+            objectId: obj.id,
+            capturedBy: winner.player.name,
+            thiefDistance: Math.round(winner.distance),
+            yourDistance: Math.round(claim.distance),
+            contest: contest
+        }));
+        return results;
+    }
+    
+    awardCollection(world, obj, winner, rivals, contest).forEach((result, player) => results.set(player, result));
+    return results;
+}
+
+// ⏪ Where was everyone when the first claimant made their claim? A player's own position
+// reaches the server one latency late, so their sample is taken that much later too.
+function rewindClaims(obj, claims, now) {
+    const reference = Math.min(...claims.map(claim => claim.clientTime));
+    claims.forEach(claim => {
+        const sampleTime = Math.min(now, reference + (claim.receivedAt - claim.clientTime));
+        claim.position = claim.player.positionHistory.at(sampleTime) || { x: claim.player.x, y: claim.player.y, z: claim.player.z };
+        claim.distance = distanceBetween(obj, claim.position);
+        claim.rewind = now - sampleTime;
+    });
+}
+
+// Claimants are ranked where they were when they claimed - whoever was out of reach there drops out
+function keepClaimsInReach(obj, claims, results) {
+    const collectRadius = objectTypes.get(obj.type).collectRadius;
+    return claims.filter(claim => {
+        if (claim.distance <= collectRadius) return true;
+        results.set(claim.player, { success: false, reason: 'Too far away' });
+        return false;
+    });
+}
+
+// Give an object to the winner of its contest - losing claimants count it as stolen
+function awardCollection(world, obj, winner, rivals, contest) {
+    const results = new Map();
+    const player = winner.player;
+    const definition = objectTypes.get(obj.type);
+    
+    // Nearby teammates get an even share (TEAMS.shareCredit) - they never compete. A cargo
+    // share needs room in the teammate's own hold.
+    const teammates = [];
+    if (TEAMS.shareCredit) {
+        world.playerGrid.forEachInRadius(obj.x, obj.y, obj.z, world.settings.stealRadius, otherPlayer => {
+            if (otherPlayer === player || !otherPlayer.alive || !world.teams.areTeammates(player, otherPlayer)) return;
+            if (definition.cargo && otherPlayer.cargo.isFull()) return;
+            teammates.push(otherPlayer);
+        });
+    }
+    
+    const points = Math.round(definition.points * player.getScoreMultiplier());
+    const share = Math.floor(points / (teammates.length + 1));
+    const ownPoints = points - share * teammates.length;
+    // 📦 Cargo is only worth its points once banked - for the helping teammates too
+    if (definition.cargo) player.cargo.add({ type: obj.type, points: ownPoints });
+    else player.addScore(ownPoints, `${rivals.length > 0 ? 'stealing' : 'collecting'} ${obj.type}`);
+    if (share > 0) {
+        teammates.forEach(teammate => {
+            if (definition.cargo) {
+                teammate.cargo.add({ type: obj.type, points: share });
+                sendCargo(teammate);
+            } else {
+                teammate.addScore(share, `helping ${player.name} collect ${obj.type}`);
+                recordProgress(teammate, 'points', share);
+            }
+        });
+    }
+    
+    // Mark object as collected
+    obj.available = false;
+    obj.collectedBy = player.id;
+    obj.collectedAt = clock.now();
+    world.objectGrid.remove(obj);
+    if (obj.contents) loadCargoPod(player, obj);
+    if (definition.cargo || obj.contents) sendCargo(player);
+
+    // Update player stats
+    if (definition.stat) player[definition.stat]++;
+
+    const { radiationReduction, radiationChanged } = applyObjectEffects(player, definition);
+    
+    recordProgress(player, 'collections');
+    recordProgress(player, `collect:${obj.type}`);
+    if (!definition.cargo) recordProgress(player, 'points', ownPoints);
+    if (rivals.length > 0) recordProgress(player, 'steals');
+    
+    if (rivals.length > 0) {
+        // Beaten claimants - the closest of them is the one it was stolen from
+        const victim = rivals[0];
+        player.resourcesStolen++;
+        rivals.forEach(claim => {
+            claim.player.resourcesLost++;
+            results.set(claim.player, {
+                success: false,
+                reason: 'stolen',
+                objectId: obj.id,
+                stolenBy: player.name,
+                thiefDistance: Math.round(winner.distance),
+                yourDistance: Math.round(claim.distance),
+                contest: contest
+            });
+        });
+        
+        world.emit('resource_stolen', {
+            objectId: obj.id,
+            objectType: obj.type,
+            thief: player.name,
+            victim: victim.player.name,
+            points: points,
+            position: { x: obj.x, y: obj.y, z: obj.z }
+        });
+
+        log.info('resource_stolen', `🏴‍☠️ ${player.name} stole ${obj.type} from ${victim.player.name}! (+${points} points)`, { world: world.id, thief: player.name, victim: victim.player.name, type: obj.type, points: points, claims: rivals.length + 1 });
+        const position = claim => claim.position || { x: claim.player.x, y: claim.player.y, z: claim.player.z };
+        recordReplay(world, 'steal', {
+            objectId: obj.id,
+            type: obj.type,
+            thief: player.name,
+            victim: victim.player.name,
+            points: points,
+            thiefDistance: Math.round(winner.distance * 100) / 100,
+            victimDistance: Math.round(victim.distance * 100) / 100,
+            thiefPosition: [position(winner).x, position(winner).y, position(winner).z],
+            victimPosition: [position(victim).x, position(victim).y, position(victim).z],
+            objectPosition: [obj.x, obj.y, obj.z]
+        });
+        stealsTotal.inc({ type: obj.type });
+        stealWindow.add();
+    } else {
+        world.emit('resource_collected', {
+            objectId: obj.id,
+            objectType: obj.type,
+            collector: player.name,
+            points: points,
+            radiationReduction: radiationReduction,
+            position: { x: obj.x, y: obj.y, z: obj.z },
+            competitorCount: 0,
+            sharedWith: teammates.map(teammate => teammate.name)
+        });
+
+        collectionsTotal.inc({ type: obj.type });
+        recordReplay(world, 'collect', {
+            objectId: obj.id,
+            type: obj.type,
+            player: player.name,
+            points: points,
+            distance: Math.round(winner.distance * 100) / 100,
+            competitors: 0,
+            sharedWith: teammates.map(teammate => teammate.name)
+        });
+        log.info('resource_collected', `✅ ${player.name} collected ${obj.type} (+${points} points)`, { world: world.id, player: player.name, type: obj.type, points: points });
+    }
+    
+    results.set(player, {
+        success: true,
+        objectId: obj.id,
+        points: points,
+        radiationReduction: radiationReduction,
+        radiationChanged: radiationChanged,
+        radiationLevel: player.radiationLevel,
+        competitorCount: rivals.length,
+        contest: contest,
+        stowed: definition.cargo
+    });
+    return results;
+}
+
+// ⏳ Capture - the contest winner channels for captureTime and must stay within reach
+function startCapture(world, obj, winner, rivals, contest) {
+    const now = clock.now();
+    obj.capture = {
+        player: winner.player,
+        claim: winner,
+        rivals: rivals,
+        contest: contest,
+        startedAt: now,
+        endsAt: now + world.settings.captureTime
+    };
+    world.captures.add(obj);
+    
+    world.emit('capture_started', {
+        objectId: obj.id,
+        objectType: obj.type,
+        player: winner.player.name,
+        rivals: rivals.map(claim => claim.player.name),
+        duration: world.settings.captureTime
+    });
+    log.debug('capture_started', `⏳ ${winner.player.name} is capturing ${obj.type} ${obj.id} against ${rivals.length} rivals`, { world: world.id, player: winner.player.name, objectId: obj.id, rivals: rivals.length });
+}
+
+function interruptCapture(world, obj, reason, by = null) {
+    const capture = obj.capture;
+    obj.capture = null;
+    world.captures.delete(obj);
+    
+    world.emit('capture_interrupted', {
+        objectId: obj.id,
+        objectType: obj.type,
+        player: capture.player.name,
+        reason: reason,
+        by: by ? by.name : null
+    });
+    contestsTotal.inc({ outcome: 'interrupted' });
+    recordReplay(world, 'capture_interrupted', { objectId: obj.id, player: capture.player.name, reason: reason, by: by ? by.name : null });
+    log.debug('capture_interrupted', `✋ ${capture.player.name} lost the capture of ${obj.type} ${obj.id} (${reason})`, { world: world.id, player: capture.player.name, objectId: obj.id, reason: reason });
+}
+
+// Finish or break off running captures - once per tick
+function updateCaptures(world) {
+    if (world.captures.size === 0) return;
+    const now = clock.now();
+    
+    Array.from(world.captures).forEach(obj => {
+        const capturer = obj.capture.player;
+        const definition = objectTypes.get(obj.type);
+        
+        let reason = null;
+        if (!obj.available || world.objectsById.get(obj.id) !== obj || !definition) reason = 'gone';
+        else if (players[capturer.id] !== capturer || capturer.world !== world) reason = 'left';
+        else if (!capturer.alive) reason = 'died';
+        else if (distanceBetween(obj, capturer) > definition.collectRadius) reason = 'moved';
+        
+        if (reason) {
+            interruptCapture(world, obj, reason);
+            return;
+        }
+        if (now < obj.capture.endsAt) return;
+        
+        const capture = obj.capture;
+        obj.capture = null;
+        world.captures.delete(obj);
+        // Rivals who since died or left no longer count as beaten
+        const rivals = capture.rivals.filter(claim => !getCollectionFailure(claim.player, obj));
+        contestsTotal.inc({ outcome: 'captured' });
+        sendContestResults(world, obj, awardCollection(world, obj, capture.claim, rivals, capture.contest));
+    });
+}
+
+// 📦 On-collect effects - radiation change (portals cleanse) and timed score multipliers
+function applyObjectEffects(player, definition) {
+    const effects = definition.effects;
+    const radiationDelta = sampleRange(effects.radiationDelta, () => clock.random());
+    const radiationBefore = player.radiationLevel;
+    player.radiationLevel = Math.min(player.world.settings.maxRadiation, Math.max(0, player.radiationLevel + radiationDelta));
+    
+    if (effects.scoreMultiplier !== 1 && effects.scoreMultiplierDuration > 0) {
+        player.scoreBoost = { multiplier: effects.scoreMultiplier, until: clock.now() + effects.scoreMultiplierDuration };
+        player.socket.emit('score_boost', {
+            multiplier: effects.scoreMultiplier,
+            duration: effects.scoreMultiplierDuration,
+            source: definition.label
+        });
+    }
+    
+    return {
+        radiationReduction: Math.max(0, radiationBefore - player.radiationLevel),
+        radiationChanged: player.radiationLevel !== radiationBefore
+    };
+}
+
+function getPortalSettings(type) {
+    const definition = objectTypes.get(type);
+    return definition ? definition.portal : null;
+}
+
+// Why a player can't step into a portal right now, as a failed result - null if they can
+function getPortalFailure(player, portal) {
+    if (!player || players[player.id] !== player || !portal || !portal.available || portal.world !== player.world || !getPortalSettings(portal.type)) {
         return { success: false, reason: 'Object not available' };
     }
+    
+    if (!player.alive) {
+        return { success: false, reason: 'Player is dead' };
+    }
+    
+    const world = player.world;
+    if (world.match && world.match.phase === 'results') {
+        return { success: false, reason: 'Match is over' };
+    }
+    
+    const now = clock.now();
+    if (player.portalCooldownUntil > now) {
+        return { success: false, reason: 'cooldown', portalId: portal.id, retryIn: player.portalCooldownUntil - now };
+    }
+    
+    if (!world.portals.getDestination(portal.id, candidate => candidate.available)) {
+        return { success: false, reason: 'no_destination', portalId: portal.id };
+    }
+    
+    return null;
+}
+
+// 🌀 Step into a portal right away - a portal contest with a single claim, like
+// handleResourceCollection. Returns the result for the player who asked.
+function handlePortalUse(playerId, objectId) {
+    const player = players[playerId];
+    const portal = player && player.world.objectsById.get(objectId);
+    
+    const failure = getPortalFailure(player, portal);
+    if (failure) return failure;
+    
+    const distance = distanceBetween(portal, player);
+    if (distance > objectTypes.get(portal.type).collectRadius) {
+        return { success: false, reason: 'Too far away' };
+    }
+    
+    const now = clock.now();
+    return settlePortalContest(player.world, portal, [{ player: player, receivedAt: now, clientTime: now, distance: distance }]).get(player);
+}
+
+// 🌀 Settle the claims on one portal - ranked like settleContest, but the winner is moved to
+// the next open portal of the network instead of picking the object up. Only players who asked
+// to travel take part; everyone else stays where they are. Returns player -> result.
+function settlePortalContest(world, portal, claims) {
+    const results = new Map();
+    const now = clock.now();
+    const definition = objectTypes.get(portal.type);
+    
+    const valid = claims.filter(claim => {
+        const failure = getPortalFailure(claim.player, portal);
+        if (failure) results.set(claim.player, failure);
+        return !failure;
+    });
+    if (valid.length === 0) return results;
+    
+    if (valid.length > 1) rewindClaims(portal, valid, now);
+    const inReach = keepClaimsInReach(portal, valid, results);
+    if (inReach.length === 0) return results;
+    
+    const ranked = rankClaims(inReach);
+    const winner = ranked[0];
+    const player = winner.player;
+    const teammates = ranked.slice(1).filter(claim => world.teams.areTeammates(player, claim.player));
+    const rivals = ranked.slice(1).filter(claim => !teammates.includes(claim));
+    
+    const destination = world.portals.getDestination(portal.id, candidate => candidate.available);
+    const trip = travelThroughPortal(player, portal, destination, definition, ranked.length - 1);
+    results.set(player, trip);
+    teammates.forEach(claim => results.set(claim.player, { success: false, reason: 'teammate', portalId: portal.id, usedBy: player.name }));
+    
+    if (rivals.length > 0) {
+        // Beaten claimants - the closest of them is the one the trip was stolen from
+        const victim = rivals[0].player;
+        player.resourcesStolen++;
+        recordProgress(player, 'steals');
+        rivals.forEach(claim => {
+            claim.player.resourcesLost++;
+            results.set(claim.player, {
+                success: false,
+                reason: 'stolen',
+                portalId: portal.id,
+                stolenBy: player.name,
+                thiefDistance: Math.round(winner.distance),
+                yourDistance: Math.round(claim.distance)
+            });
+        });
+        
+        world.emit('portal_stolen', {
+            portalId: portal.id,
+            thief: player.name,
+            victim: victim.name,
+            points: trip.points
+        });
+        
+        log.info('portal_stolen', `🏴‍☠️ ${player.name} took the portal from under ${victim.name}`, { world: world.id, thief: player.name, victim: victim.name, portal: portal.id, claims: ranked.length });
+        portalTripsTotal.inc({ outcome: 'stolen' });
+        stealWindow.add();
+    } else {
+        log.info('portal_used', `🌀 ${player.name} traveled from portal ${portal.id} to ${destination.id}`, { world: world.id, player: player.name, from: portal.id, to: destination.id });
+        portalTripsTotal.inc({ outcome: 'traveled' });
+    }
+    
+    recordReplay(world, 'portal', {
+        player: player.name,
+        victim: rivals.length > 0 ? rivals[0].player.name : undefined,
+        from: portal.id,
+        to: destination.id,
+        position: [player.x, player.y, player.z],
+        collapsed: trip.usesLeft === 0
+    });
+    
+    return results;
+}
+
+// Move a traveler out of the destination portal, score the trip and wear the entry portal down
+function travelThroughPortal(traveler, portal, destination, definition, competitorCount) {
+    const world = traveler.world;
+    const settings = definition.portal;
+    const now = clock.now();
+    const banked = bankCargo(traveler, portal);
+    
+    // Come out a little way from the destination ring, in a random horizontal direction
+    const angle = clock.random() * Math.PI * 2;
+    const bound = world.settings.worldSize / 2;
+    traveler.x = Math.max(-bound, Math.min(bound, destination.x + Math.cos(angle) * settings.exitDistance));
+    traveler.y = destination.y;
+    traveler.z = Math.max(-bound, Math.min(bound, destination.z + Math.sin(angle) * settings.exitDistance));
+    traveler.velocity = { x: 0, y: 0, z: 0 }; // A jump, not movement - keep it out of the anti-cheat samples
+    traveler.lastMoveTime = now;
+    traveler.portalCooldownUntil = now + settings.cooldown;
+    traveler.positionHistory.clear();
+    world.playerGrid.update(traveler);
+    
+    const points = Math.round(definition.points * traveler.getScoreMultiplier());
+    traveler.addScore(points, `traveling through ${portal.type}`);
+    if (definition.stat) traveler[definition.stat]++;
+    const effects = applyObjectEffects(traveler, definition);
+    recordProgress(traveler, 'portalTrips');
+    recordProgress(traveler, 'points', points);
+    
+    // ⏳ Worn out - the portal collapses until it respawns
+    const uses = world.portals.recordUse(portal.id);
+    if (uses >= settings.capacity) {
+        portal.available = false;
+        portal.collectedBy = traveler.id;
+        portal.collectedAt = now;
+        world.objectGrid.remove(portal);
+        world.emit('portal_removed', { portalId: portal.id, usedBy: traveler.name, reason: 'collapsed' });
+        log.info('portal_collapsed', `💥 Portal ${portal.id} collapsed after ${uses} trips`, { world: world.id, portal: portal.id, trips: uses });
+        portalTripsTotal.inc({ outcome: 'collapsed' });
+    }
+    
+    return {
+        success: true,
+        portalId: portal.id,
+        destinationId: destination.id,
+        x: traveler.x,
+        y: traveler.y,
+        z: traveler.z,
+        seq: traveler.lastProcessedInput, // Inputs after this one still apply on top of the new position
+        points: points,
+        radiationLevel: traveler.radiationLevel,
+        radiationReduction: effects.radiationReduction,
+        competitorCount: competitorCount,
+        usesLeft: Math.max(0, settings.capacity - uses),
+        cooldown: settings.cooldown,
+        banked: banked ? banked.points : 0
+    };
+}
+
+// 🏅 Count something towards the player's achievements and quests, and announce what it unlocked.
+// Unlocks and event counters reach the client at once, time counters with the next sync.
+function recordProgress(player, counter, amount = 1, sync = true) {
+    if (amount <= 0 || player.isBot) return;
+    const unlocks = player.progress.record(counter, amount, clock.now());
+    player.progressDirty = true;
+    
+    unlocks.forEach(unlock => {
+        player.socket.emit('progression_unlocked', unlock);
+        unlocksTotal.inc({ kind: unlock.kind });
+        if (unlock.kind === 'level') {
+            log.info('level_up', `⭐ ${player.name} reached level ${unlock.level}`, { player: player.name, level: unlock.level });
+        } else {
+            log.info(`${unlock.kind}_unlocked`, `🏅 ${player.name} completed ${unlock.name || unlock.description} (+${unlock.xp} XP)`, { player: player.name, id: unlock.id, xp: unlock.xp });
+            recordReplay(player.world, unlock.kind, { player: player.name, id: unlock.id, name: unlock.name || unlock.description });
+        }
+    });
+    if (unlocks.length > 0) accountStore.save(player.account);
+    if (sync || unlocks.length > 0) sendProgression(player);
+}
+
+function sendProgression(player) {
+    player.progressDirty = false;
+    if (player.socket && player.socket.connected) player.socket.emit('progression', player.progress.toClient(clock.now()));
+}
+
+// Pick an unlocked ship color, or go back to a random one with null. Teams keep their color
+// until the player leaves.
+function selectShipColor(player, colorId) {
+    const result = player.progress.selectColor(colorId);
+    if (result.error) {
+        player.socket.emit('progression_error', { reason: result.error, colorId: colorId });
+        return false;
+    }
+    
+    player.baseColor = player.getShipColor();
+    if (!player.team) player.color = player.baseColor;
+    accountStore.save(player.account);
+    sendProgression(player);
+    return true;
+}
+
+// ⏱️ Once a second - survival and high-radiation time for every living player
+function updateProgression(world, sync) {
+    const highRadiation = world.settings.maxRadiation * PROGRESSION.highRadiation;
+    for (const player of Object.values(world.players)) {
+        if (player.alive) {
+            recordProgress(player, 'survivalSeconds', 1, false);
+            if (player.radiationLevel >= highRadiation) recordProgress(player, 'highRadiationSeconds', 1, false);
+        }
+        if (sync && player.progressDirty) sendProgression(player);
+    }
+}
+
+// Link state of every portal in the world - at join, and whenever the links change
+function getPortalSync(world) {
+    return world.portals.toClient(getPortalSettings);
+}
+
+// 📦 What is in the player's hold - after every change
+function sendCargo(player) {
+    if (player.socket && player.socket.connected) player.socket.emit('cargo', Object.assign({ bankRange: CARGO.bankRange, podType: CARGO.podType }, player.cargo.toClient()));
+}
+
+function isCargoType(type) {
+    const definition = objectTypes.get(type);
+    return !!definition && definition.cargo;
+}
+
+// Turn the whole hold into points - on every portal trip, or near a portal on request
+function bankCargo(player, portal) {
+    if (player.cargo.size === 0) return null;
+    
+    const items = player.cargo.takeAll();
+    const points = items.reduce((sum, item) => sum + item.points, 0);
+    player.addScore(points, `banking ${items.length} items`);
+    recordProgress(player, 'points', points);
+    
+    const banked = { portalId: portal.id, count: items.length, items: countItems(items), points: points, score: player.score };
+    player.socket.emit('cargo_banked', banked);
+    sendCargo(player);
+    
+    log.info('cargo_banked', `🏦 ${player.name} banked ${items.length} items for ${points} points`, { world: player.world.id, player: player.name, items: items.length, points: points });
+    recordReplay(player.world, 'bank', { player: player.name, items: items.length, points: points });
+    cargoBankedTotal.inc({}, points);
+    return banked;
+}
+
+// bank_cargo from a client - no trip, so no cooldown, but the portal must be open and close by
+function handleBankRequest(playerId, portalId) {
+    const player = players[playerId];
+    const portal = player && player.world.objectsById.get(portalId);
+    const definition = portal && objectTypes.get(portal.type);
+    
+    if (!player || !portal || !portal.available || !definition || !definition.portal) {
+        return { success: false, reason: 'Object not available' };
+    }
+    if (!player.alive) return { success: false, reason: 'Player is dead' };
+    if (player.world.match && player.world.match.phase === 'results') return { success: false, reason: 'Match is over' };
+    if (distanceBetween(player, portal) > CARGO.bankRange) return { success: false, reason: 'Too far away' };
+    if (player.cargo.size === 0) return { success: false, reason: 'Cargo hold empty' };
+    
+    return Object.assign({ success: true }, bankCargo(player, portal));
+}
+
+// A pod of cargo items anyone can pick up until it drifts off
+function spawnCargoPod(world, position, items, droppedBy, expiresAt) {
+    if (!objectTypes.has(CARGO.podType)) {
+        log.warn('cargo_lost', `📦 ${items.length} items lost - there is no ${CARGO.podType} object type`, { world: world.id, items: items.length });
+        return null;
+    }
+    
+    const pod = new WorldObject(CARGO.podType, position.x, position.y, position.z);
+    pod.contents = items;
+    pod.droppedBy = droppedBy;
+    pod.expiresAt = expiresAt;
+    world.addObject(pod);
+    recordReplay(world, 'object_add', pod.toJSON());
+    return pod;
+}
+
+// Leave the hold behind where the player was - when they die or leave the world
+function dropCargo(player, reason) {
+    const world = player.world;
+    if (!world || player.cargo.size === 0) return null;
+    
+    const items = player.cargo.takeAll();
+    sendCargo(player);
+    const pod = spawnCargoPod(world, player, items, player.name, clock.now() + CARGO.podLifetime);
+    if (!pod) return null;
+    
+    const value = items.reduce((sum, item) => sum + item.points, 0);
+    world.emit('cargo_dropped', {
+        objectId: pod.id,
+        player: player.name,
+        reason: reason,
+        items: countItems(items),
+        value: value,
+        position: { x: pod.x, y: pod.y, z: pod.z }
+    });
+    log.info('cargo_dropped', `📦 ${player.name} dropped ${items.length} items worth ${value} points (${reason})`, { world: world.id, player: player.name, items: items.length, value: value, reason: reason });
+    return pod;
+}
+
+// Take what fits from a collected pod - the rest is left behind in a fresh pod, so clients
+// that already removed this one see it come back
+function loadCargoPod(player, pod) {
+    const world = pod.world;
+    const rest = player.cargo.load(pod.contents);
+    log.info('cargo_picked_up', `📦 ${player.name} picked up ${pod.contents.length - rest.length} items dropped by ${pod.droppedBy}`, { world: world.id, player: player.name, items: pod.contents.length - rest.length, droppedBy: pod.droppedBy });
+    
+    world.removeObject(pod);
+    if (rest.length > 0) spawnCargoPod(world, pod, rest, pod.droppedBy, pod.expiresAt);
+}
+
+// ⏱️ Once a second - drifting pods and unanswered trade proposals
+function updateCargo(world) {
+    const now = clock.now();
+    world.objects.filter(obj => obj.contents && now >= obj.expiresAt).forEach(pod => {
+        world.removeObject(pod);
+        log.debug('cargo_expired', `📦 Cargo pod ${pod.id} dropped by ${pod.droppedBy} drifted off`, { world: world.id, objectId: pod.id, items: pod.contents.length });
+    });
+    world.trades.takeExpired(now).forEach(trade => closeTrade(trade, 'expired'));
+}
+
+// 🤝 Trades - one player proposes, the other accepts, and the server checks and swaps both
+// holds in one step
+const TRADE_ERRORS = {
+    player_not_found: 'No player with that name in this world',
+    invalid_items: 'Trade cargo as type:count, e.g. /trade Nova rare:1 for discovery:3',
+    not_alive: 'Both players must be alive to trade',
+    out_of_range: 'Too far apart to trade',
+    missing_items: 'Those items are not in the hold any more',
+    no_space: 'Not enough room in a hold for that trade',
+    trade_not_found: 'That trade is no longer open',
+    declined: 'Trade declined',
+    withdrawn: 'Trade withdrawn',
+    replaced: 'Trade replaced by a new proposal',
+    expired: 'Trade proposal expired',
+    died: 'Trade cancelled - a pilot died',
+    left: 'Trade cancelled - a pilot left',
+    bot: "Bots don't trade"
+};
+
+function reportTradeError(player, reason) {
+    player.socket.emit('trade_error', { reason: reason, message: TRADE_ERRORS[reason] || reason });
+}
+
+// Why this trade cannot happen right now, or null
+function getTradeFailure(from, to, offer, request) {
+    if (players[from.id] !== from || players[to.id] !== to || from.world !== to.world) return 'player_not_found';
+    if (to.isBot) return 'bot';
+    if (!from.alive || !to.alive) return 'not_alive';
+    if (distanceBetween(from, to) > CARGO.tradeRange) return 'out_of_range';
+    if (!from.cargo.has(offer) || !to.cargo.has(request)) return 'missing_items';
+    
+    const offered = totalCount(offer);
+    const requested = totalCount(request);
+    if (from.cargo.size - offered + requested > from.cargo.capacity || to.cargo.size - requested + offered > to.cargo.capacity) {
+        return 'no_space';
+    }
+    return null;
+}
+
+function getTradeState(trade) {
+    return {
+        id: trade.id,
+        from: trade.from.name,
+        to: trade.to.name,
+        offer: trade.offer,
+        request: trade.request,
+        expiresIn: Math.max(0, trade.expiresAt - clock.now())
+    };
+}
+
+// offer and request are { type: count } of cargo - one side may be empty for a gift
+function proposeTrade(player, targetName, offer, request) {
+    const world = player.world;
+    const key = String(targetName || '').toLowerCase();
+    const target = Object.values(world.players).find(other => other !== player && other.name.toLowerCase() === key);
+    // Players who blocked or muted the proposer never hear from them
+    if (!target || isIgnoringAccount(target, player.account.id)) {
+        reportTradeError(player, 'player_not_found');
+        return null;
+    }
+    
+    const offered = parseItemCounts(offer, isCargoType);
+    const requested = parseItemCounts(request, isCargoType);
+    if (!offered || !requested || totalCount(offered) + totalCount(requested) === 0) {
+        reportTradeError(player, 'invalid_items');
+        return null;
+    }
+    
+    const failure = getTradeFailure(player, target, offered, requested);
+    if (failure) {
+        reportTradeError(player, failure);
+        return null;
+    }
+    
+    const { trade, replaced } = world.trades.propose(player, target, offered, requested, clock.now() + CARGO.tradeTimeout);
+    if (replaced) closeTrade(replaced, 'replaced');
+    
+    const state = getTradeState(trade);
+    player.socket.emit('trade_proposed', state);
+    target.socket.emit('trade_proposed', state);
+    log.info('trade_proposed', `🤝 ${player.name} offered ${target.name} a trade`, { world: world.id, from: player.name, to: target.name, offer: offered, request: requested });
+    return trade;
+}
+
+// Only the player the trade was offered to can accept it. Both holds are checked again first -
+// anything may have changed since the proposal.
+function acceptTrade(player, tradeId) {
+    const world = player.world;
+    const trade = world.trades.get(tradeId);
+    if (!trade || trade.to !== player) {
+        reportTradeError(player, 'trade_not_found');
+        return false;
+    }
+    world.trades.remove(trade.id);
+    
+    const failure = getTradeFailure(trade.from, trade.to, trade.offer, trade.request);
+    if (failure) {
+        closeTrade(trade, failure);
+        return false;
+    }
+    
+    const given = trade.from.cargo.take(trade.offer);
+    const received = trade.to.cargo.take(trade.request);
+    trade.from.cargo.load(received);
+    trade.to.cargo.load(given);
+    
+    const state = getTradeState(trade);
+    [trade.from, trade.to].forEach(party => {
+        party.socket.emit('trade_completed', state);
+        sendCargo(party);
+    });
+    log.info('trade_completed', `🤝 ${trade.from.name} and ${trade.to.name} traded ${given.length} for ${received.length} items`, { world: world.id, from: trade.from.name, to: trade.to.name, offer: trade.offer, request: trade.request });
+    recordReplay(world, 'trade', { from: trade.from.name, to: trade.to.name, offer: trade.offer, request: trade.request });
+    tradesTotal.inc({ outcome: 'completed' });
+    return true;
+}
+
+// The proposer withdraws, the other player declines
+function cancelTrade(player, tradeId) {
+    const trade = player.world.trades.get(tradeId);
+    if (!trade || (trade.from !== player && trade.to !== player)) {
+        reportTradeError(player, 'trade_not_found');
+        return false;
+    }
+    player.world.trades.remove(trade.id);
+    closeTrade(trade, trade.from === player ? 'withdrawn' : 'declined');
+    return true;
+}
+
+// Every open trade of a player who dies or leaves the world
+function cancelPlayerTrades(player, reason) {
+    if (!player.world) return;
+    player.world.trades.involving(player).forEach(trade => {
+        player.world.trades.remove(trade.id);
+        closeTrade(trade, reason);
+    });
+}
+
+// Tell both sides a trade is off - it is already out of the trade book
+function closeTrade(trade, reason) {
+    const payload = { id: trade.id, reason: reason, message: TRADE_ERRORS[reason] || reason };
+    [trade.from, trade.to].forEach(party => {
+        if (party.socket && party.socket.connected) party.socket.emit('trade_cancelled', payload);
+    });
+    log.debug('trade_cancelled', `🤝 Trade ${trade.id} between ${trade.from.name} and ${trade.to.name} cancelled (${reason})`, { from: trade.from.name, to: trade.to.name, reason: reason });
+    tradesTotal.inc({ outcome: reason });
+}
+
+// "rare:1 discovery:3" -> { rare: 1, discovery: 3 } - type names in any case, null if a word is off
+function parseTradeItems(words) {
+    const counts = {};
+    for (const word of words) {
+        const [name, amount = '1'] = word.split(':');
+        const type = objectTypes.names().find(candidate => candidate.toLowerCase() === name.toLowerCase());
+        const count = Number(amount);
+        if (!type || !Number.isInteger(count)) return null;
+        counts[type] = (counts[type] || 0) + count;
+    }
+    return counts;
+}
+
+// Find the closest living player within range of a position
+function findNearestPlayer(world, x, y, z, range) {
+    return world.playerGrid.findNearest(x, y, z, range, player => player.alive);
+}
+
+// Advance every available creature by one fixed step
+function simulateCreatures(world, deltaSeconds) {
+    const now = clock.now();
+    
+    world.objects.forEach(obj => {
+        if (!obj.available || !obj.isMobile()) return;
+        
+        // Wanderers ignore players, fleeing types run from the nearest one they notice
+        const threat = obj.movement === 'flee' ? findNearestPlayer(world, obj.x, obj.y, obj.z, obj.detectionRange) : null;
+        obj.simulate(deltaSeconds, threat, now);
+    });
+}
+
+// Send compact trajectories of moving creatures to the players who can see them
+function broadcastCreatureTrajectories(world) {
+    const moving = world.objects.filter(obj => obj.available && obj.isMobile() && obj.moved);
+    if (moving.length === 0) return;
+    
+    const timestamp = clock.now();
+    if (world.replay) world.replay.recordMovingObjects(moving, timestamp);
+    
+    for (const player of Object.values(world.players)) {
+        if (player.isBot) continue;
+        const visible = [];
+        
+        world.objectGrid.forEachInRadius(player.x, player.y, player.z, CREATURE_AI.broadcastRange, obj => {
+            if (obj.isMobile() && obj.moved) {
+                visible.push(obj.toTrajectory());
+            }
+        });
+        
+        if (visible.length > 0) {
+            player.socket.emit('creature_updates', { timestamp, creatures: visible });
+        }
+    }
+    
+    // Spectators see the whole world
+    if (world.spectatorCount > 0) {
+        const trajectories = moving.map(obj => obj.toTrajectory());
+        for (const spectator of Object.values(world.spectators)) {
+            spectator.socket.emit('creature_updates', { timestamp, creatures: trajectories });
+        }
+    }
+    
+    moving.forEach(obj => { obj.moved = false; });
+}
+
+// Queue one collect_resource request as a claim - settled with any rival claims by settleContests
+function processCollectionRequest(request) {
+    const player = players[request.playerId];
+    if (!player) return;
+    
+    const world = player.world;
+    const obj = world.objectsById.get(request.objectId);
+    
+    if (!obj) {
+        log.debug('collection_failed', `❌ Collection failed: No object`, { player: player.name, objectId: request.objectId, reason: 'no_object' });
+        return;
+    }
+    
+    log.debug('collection_attempt', `🎯 ${player.name} attempting to collect ${obj.type} (ID: ${request.objectId})`, { player: player.name, type: obj.type, objectId: request.objectId });
+    
+    // 🌀 Portals are traveled through, not collected - a blocked trip is worth telling the player about
+    const portal = !!getPortalSettings(obj.type);
+    const failure = portal ? getPortalFailure(player, obj) : getCollectionFailure(player, obj);
+    const distance = distanceBetween(obj, player);
+    if (failure || distance > objectTypes.get(obj.type).collectRadius) {
+        log.debug('collection_failed', `❌ ${player.name} can't collect ${obj.type} ${obj.id}`, { player: player.name, objectId: obj.id, reason: failure ? failure.reason : 'too_far' });
+        if (portal && failure && ['cooldown', 'no_destination'].includes(failure.reason)) player.socket.emit('portal_result', failure);
+        return;
+    }
+    if (obj.capture && obj.capture.player === player) return; // Already channeling it
+    
+    // ⏪ Date the claim back to when the player made it - capped, so lag can't be used to time travel
+    const now = clock.now();
+    const receivedAt = request.receivedAt !== undefined ? request.receivedAt : now;
+    const contest = world.claims.add(obj.id, {
+        player: player,
+        receivedAt: receivedAt,
+        clientTime: receivedAt - Math.min(player.latency, CONTESTS.maxRewind),
+        distance: distance
+    }, now);
+    
+    // Whoever is capturing the object defends it against the challenge
+    const capturer = obj.capture && obj.capture.player;
+    if (capturer) {
+        world.claims.add(obj.id, { player: capturer, receivedAt: now, clientTime: now, distance: distanceBetween(obj, capturer) }, contest.openedAt);
+    }
+}
+
+// Settle every contest whose claim window has closed
+function settleContests(world) {
+    if (world.claims.size === 0) return;
+    
+    world.claims.takeDue(clock.now(), CONTESTS.claimWindow).forEach(contest => {
+        const obj = world.objectsById.get(contest.objectId);
+        if (!obj) return;
+        if (contest.claims.length > 1) contestsTotal.inc({ outcome: 'settled' });
+        if (getPortalSettings(obj.type)) sendPortalResults(settlePortalContest(world, obj, contest.claims));
+        else sendContestResults(world, obj, settleContest(world, obj, contest.claims));
+    });
+}
+
+// Tell everyone who asked to use a portal where they ended up, or why they didn't travel
+function sendPortalResults(results) {
+    results.forEach((result, player) => {
+        if (result.success || ['stolen', 'teammate', 'cooldown', 'no_destination'].includes(result.reason)) {
+            player.socket.emit('portal_result', result);
+        }
+    });
+}
+
+// Tell everyone involved in a contest how it went, with the distances that decided it
+function sendContestResults(world, obj, results) {
+    results.forEach((result, player) => {
+        if (result.success) {
+            log.debug('collection_confirmed', `✅ ${player.name} successfully collected ${obj.type} - broadcasting to ${world.name}`, { world: world.id, player: player.name, type: obj.type });
+            
+            // 📢 SOFORT an ALLE Spieler senden (einschließlich dem Sammler für Bestätigung)
+            world.emit('object_removed', {
+                objectId: obj.id,
+                objectType: obj.type,
+                collectedBy: player.name,
+                collectorId: player.id,
+                points: result.points,
+                timestamp: clock.now()
+            });
+            
+            // Radiation effects (portal cleansing) are decided here - push the new level right away
+            if (result.radiationChanged) {
+                player.socket.emit('radiation_update', {
+                    radiationLevel: result.radiationLevel,
+                    zone: player.radiationZone,
+                    reduction: result.radiationReduction
+                });
+            }
+            
+            // Competitive features
+            if (result.competitorCount > 0) {
+                player.socket.emit('collection_result', Object.assign({
+                    message: `Beat ${result.competitorCount} competitors!`
+                }, result));
+            }
+        } else if (['stolen', 'contested', 'capturing', 'teammate'].includes(result.reason)) {
+            log.debug('collection_contested', `🏴‍☠️ ${player.name}'s claim on ${obj.type} ${obj.id}: ${result.reason}`, { player: player.name, objectId: obj.id, reason: result.reason });
+            player.socket.emit('collection_result', result);
+        }
+    });
+}
+
+// Server-decided radiation death
+function handlePlayerDeath(player) {
+    player.alive = false;
+    player.diedAt = clock.now();
+    player.deaths++;
+    player.radiationLevel = player.world.settings.maxRadiation;
+
+    const finalStats = player.getFinalStats();
+
+    player.socket.emit('player_death', {
+        cause: 'radiation',
+        finalStats: finalStats,
+        timestamp: clock.now()
+    });
+
+    player.world.emit('player_died', {
+        playerId: player.id,
+        name: player.name,
+        cause: 'radiation',
+        score: finalStats.score,
+        survivalTime: finalStats.survivalTime
+    });
+
+    log.info('player_died', `☢️ ${player.name} died from radiation after ${finalStats.survivalTime}s (Score: ${finalStats.score})`, { world: player.world.id, player: player.name, survivalTime: finalStats.survivalTime, score: finalStats.score });
+    recordReplay(player.world, 'death', { player: player.name, cause: 'radiation', score: finalStats.score });
+    
+    cancelPlayerTrades(player, 'died');
+    dropCargo(player, 'died');
+    recordPlayerRun(player, true);
+}
+
+// 🪪 Add the player's current life to their account (once per life)
+function recordPlayerRun(player, died) {
+    if (player.runRecorded) return;
+    player.runRecorded = true;
+    
+    const runStats = player.getFinalStats();
+    player.sessionScore += runStats.score;
+    if (player.isBot) return; // Bots stay off the account stats and the persistent leaderboards
+    accounts.recordRun(player.account, runStats, died);
+    leaderboards.recordRun(player.account, runStats);
+    
+    if (player.socket && player.socket.connected) {
+        player.socket.emit('account_stats', accounts.getPublicProfile(player.account));
+    }
+}
+
+// Session over for good - bank the running life and log the session
+function endPlayerSession(player) {
+    if (player.alive) recordPlayerRun(player, false);
+    leaveTeam(player);
+    cancelPlayerTrades(player, 'left');
+    dropCargo(player, 'left');
+    
+    accounts.endSession(player.account, {
+        startedAt: player.joinTime,
+        endedAt: clock.now(),
+        score: player.sessionScore
+    });
+    
+    log.info('session_ended', `📕 Session ended for ${player.name} (${player.sessionScore} points this session)`, { player: player.name, sessionScore: player.sessionScore });
+}
+
+// A live or recently disconnected player owned by this account, if any
+function findAccountPlayer(accountId) {
+    if (disconnectedPlayers.has(accountId)) return disconnectedPlayers.get(accountId);
+    return Object.values(players).find(player => player.account.id === accountId) || null;
+}
+
+// Move an existing Player onto a new socket - same life, same stats, new connection
+function reattachPlayer(player, socket) {
+    clearTimeout(player.graceTimer);
+    player.graceTimer = null;
+    disconnectedPlayers.delete(player.account.id);
+    
+    // Signed in again while still connected - the old connection loses
+    const world = player.world;
+    if (players[player.id] === player) {
+        const oldSocket = player.socket;
+        delete players[player.id];
+        world.removePlayer(player);
+        oldSocket.emit('kicked', { reason: 'Signed in from another connection' });
+        oldSocket.disconnect(true);
+    }
+    
+    player.id = socket.id;
+    player.socket = socket;
+    player.ip = getClientAddress(socket);
+    player.snapshots.reset();
+    player.inputQueue = [];
+    player.lastProcessedInput = 0;
+    player.lastUpdate = clock.now();
+    player.lastMoveTime = clock.now();
+    
+    players[player.id] = player;
+    world.addPlayer(player);
+    return player;
+}
+
+// Hold a dropped player for a while so a quick reconnect resumes the same life
+function holdDisconnectedPlayer(player, gracePeriod = ACCOUNTS.reconnectGracePeriod) {
+    disconnectedPlayers.set(player.account.id, player);
+    
+    player.graceTimer = setTimeout(() => {
+        disconnectedPlayers.delete(player.account.id);
+        endPlayerSession(player);
+        
+        player.world.emit('player_left', {
+            name: player.name,
+            totalPlayers: player.world.playerCount
+        });
+        log.info('player_removed', `👋 ${player.name} did not come back - removed`, { player: player.name });
+    }, gracePeriod);
+}
+
+// 🌐 WORLD INSTANCES - creation, matchmaking and moving players between worlds
+
+function createWorld(options = {}) {
+    if (worlds.size >= WORLDS.maxWorlds) {
+        log.warn('world_limit_reached', `⚠️ World limit (${WORLDS.maxWorlds}) reached - not creating another`, { maxWorlds: WORLDS.maxWorlds });
+        return null;
+    }
+    
+    const id = `w${++worldIdCounter}`;
+    const world = new World(id, Object.assign({}, options, {
+        code: options.isPrivate ? generateRoomCode() : null
+    }));
+    world.generate();
+    worlds.set(id, world);
+    
+    log.info('world_opened', `🌐 Opened ${world.isPrivate ? `private world ${world.name} (code ${world.code})` : `public world ${world.name}`}`, { world: world.id, name: world.name, isPrivate: world.isPrivate, mode: world.mode });
+    return world;
+}
+
+function generateRoomCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < WORLDS.codeLength; i++) {
+            code += WORLDS.codeAlphabet[Math.floor(clock.random() * WORLDS.codeAlphabet.length)];
+        }
+    } while (findWorldByCode(code));
+    return code;
+}
+
+function findWorldByCode(code) {
+    const key = String(code || '').trim().toUpperCase();
+    if (!key) return null;
+    return Array.from(worlds.values()).find(world => world.code === key) || null;
+}
+
+// Matchmaker - the public world with the most people that still has room, so players meet each other
+// (bots don't count). Opens a new public world when all are full (or the least full one if at the world limit).
+function matchmake() {
+    let best = null;
+    for (const world of worlds.values()) {
+        if (world.isPrivate || world.isFull()) continue;
+        if (!best || world.humanCount > best.humanCount) best = world;
+    }
+    if (best) return best;
+    
+    const opened = createWorld({ name: `Public ${worldIdCounter + 1}` });
+    if (opened) return opened;
+    
+    return Array.from(worlds.values())
+        .filter(world => !world.isPrivate)
+        .sort((a, b) => a.humanCount - b.humanCount)[0];
+}
+
+// Pick the world for a new connection: a private code, a chosen public world, or the matchmaker
+function resolveRequestedWorld(request = {}) {
+    if (request.code) {
+        const world = findWorldByCode(request.code);
+        if (!world) return { error: 'room_not_found' };
+        if (world.isFull()) return { error: 'room_full' };
+        return { world };
+    }
+    
+    if (request.worldId) {
+        const world = worlds.get(request.worldId);
+        if (!world || world.isPrivate) return { error: 'room_not_found' };
+        if (world.isFull()) return { error: 'room_full' };
+        return { world };
+    }
+    
+    return { world: matchmake() };
+}
+
+// Move a live player to another world - their current life ends and a new one starts there
+function movePlayerToWorld(player, world) {
+    const previous = player.world;
+    if (previous === world) return;
+    
+    if (previous) {
+        recordPlayerRun(player, false);
+        leaveTeam(player);
+        cancelPlayerTrades(player, 'left');
+        dropCargo(player, 'left');
+        previous.removePlayer(player);
+        previous.emit('player_left', { name: player.name, totalPlayers: previous.playerCount });
+    }
+    
+    world.addPlayer(player);
+    player.respawn();
+    player.matchScore = 0;
+    player.inputQueue = [];
+    player.snapshots.reset();
+    
+    log.info('player_changed_world', `🌐 ${player.name} moved to ${world.name}`, { player: player.name, world: world.id });
+    
+    player.socket.emit('world_joined', {
+        world: world.getSummary(true),
+        x: player.x,
+        y: player.y,
+        z: player.z,
+        radiationLevel: player.radiationLevel,
+        match: world.getMatchState(),
+        teams: world.teams.list(),
+        generation: world.getGeneration()
+    });
+    sendWorldChatHistory(player);
+    player.socket.emit('portal_sync', getPortalSync(world));
+    world.emit('player_joined', { name: player.name, totalPlayers: world.playerCount });
+}
+
+// Lobby - every public world plus, for a player, the private world they are in
+function getLobby(player) {
+    return Array.from(worlds.values())
+        .filter(world => !world.isPrivate || (player && player.world === world))
+        .map(world => world.getSummary(player && player.world === world));
+}
+
+// Close empty worlds - never the default world, one a disconnected player may return to, nor one being watched
+function closeEmptyWorlds() {
+    const now = clock.now();
+    const held = new Set(Array.from(disconnectedPlayers.values()).map(player => player.world));
+    
+    for (const world of worlds.values()) {
+        if (world.isDefault || world.playerCount > 0 || world.spectatorCount > 0 || held.has(world)) continue;
+        if (now - world.emptySince < WORLDS.emptyWorldTimeout) continue;
+        
+        worlds.delete(world.id);
+        finishReplay(world, 'world_closed');
+        log.info('world_closed', `🌐 Closed empty world ${world.name}`, { world: world.id, name: world.name });
+    }
+}
+
+// 💬 Recent chat of the player's world, minus anyone they muted or blocked
+function sendWorldChatHistory(player) {
+    player.socket.emit('chat_history', {
+        messages: player.world.chatHistory.recent(entry => !isIgnoringAccount(player, entry.accountId)).map(entry => entry.payload)
+    });
+}
+
+// 👥 TEAMS - squads share a color, a score and (with shared credit) their collections
+
+const TEAM_ERRORS = {
+    invalid_team_name: 'Team names are 2-16 letters, numbers, spaces, _ or -',
+    team_name_taken: 'A team with that name already exists',
+    too_many_teams: 'This world has no room for another team',
+    team_not_found: 'No team with that name in this world',
+    already_in_team: 'You are already in that team',
+    team_full: 'That team is full',
+    not_in_team: 'You are not in a team'
+};
+
+function getTeamName(player) {
+    const team = player.world && player.world.teams.get(player.team);
+    return team ? team.name : null;
+}
+
+function getTeamState(player) {
+    const team = player.world.teams.get(player.team);
+    return team ? team.toJSON() : null;
+}
+
+// Tell a team's members about its roster, and the whole world about the team list
+function broadcastTeamChange(world, teams) {
+    teams.forEach(team => {
+        if (!team) return;
+        for (const member of team.members) {
+            member.color = team.color;
+            member.socket.emit('team_state', { team: team.toJSON() });
+        }
+    });
+    world.emit('team_list', { teams: world.teams.list() });
+}
+
+function reportTeamError(player, reason) {
+    player.socket.emit('team_error', { reason: reason, message: TEAM_ERRORS[reason] || reason });
+}
+
+function createTeam(player, name) {
+    const result = player.world.teams.create(player, sanitizeMessage(name, 16));
+    if (result.error) {
+        reportTeamError(player, result.error);
+        return;
+    }
+    log.info('team_created', `👥 ${player.name} created team ${result.team.name} in ${player.world.name}`, { world: player.world.id, player: player.name, team: result.team.name });
+    broadcastTeamChange(player.world, [result.team, result.previous]);
+}
+
+function joinTeam(player, name) {
+    const result = player.world.teams.join(player, player.world.teams.findByName(name));
+    if (result.error) {
+        reportTeamError(player, result.error);
+        return;
+    }
+    log.info('team_joined', `👥 ${player.name} joined team ${result.team.name}`, { world: player.world.id, player: player.name, team: result.team.name });
+    broadcastTeamChange(player.world, [result.team, result.previous]);
+}
+
+function leaveTeam(player) {
+    if (!player.team || !player.world) return false;
+    
+    const team = player.world.teams.leave(player);
+    player.color = player.baseColor;
+    if (player.socket.connected) player.socket.emit('team_state', { team: null });
+    if (team) {
+        log.info('team_left', `👥 ${player.name} left team ${team.name}`, { world: player.world.id, player: player.name, team: team.name });
+        broadcastTeamChange(player.world, [team.size > 0 ? team : null]);
+    }
+    return true;
+}
+
+// Teammates always show on the radar, however far away they are
+function broadcastTeamPositions(world) {
+    for (const team of world.teams.teams.values()) {
+        if (team.size < 2) continue;
+        
+        const positions = Array.from(team.members).map(member => ({
+            name: member.name,
+            x: Math.round(member.x),
+            y: Math.round(member.y),
+            z: Math.round(member.z),
+            alive: member.alive
+        }));
+        for (const member of team.members) {
+            member.socket.emit('team_positions', {
+                teammates: positions.filter(position => position.name !== member.name)
+            });
+        }
+    }
+}
+
+// 🤖 BOTS - server-controlled players. They join and leave like people, fly through the input
+// queue and collect through the collection queue, so every rule (anti-cheat, contests, portals,
+// cargo) treats them the same. Only the account side is skipped - nothing of theirs is saved.
+
+let botIdCounter = 0;
+
+function addBot(world, difficulty = world.bots.difficulty) {
+    const id = `bot:${++botIdCounter}`;
+    const name = pickBotName(candidate => Object.values(players).some(player => player.name === candidate));
+    const bot = new Player(id, createBotSocket(id), createBotAccount(id, name));
+    bot.isBot = true;
+    bot.brain = new BotBrain(difficulty, ANTI_CHEAT.maxSpeed);
+    
+    players[id] = bot;
+    world.addPlayer(bot);
+    world.emit('player_joined', { name: bot.name, bot: true, totalPlayers: world.playerCount });
+    log.info('bot_joined', `🤖 ${bot.name} (${bot.brain.difficulty}) joined ${world.name}`, { world: world.id, player: bot.name, difficulty: bot.brain.difficulty });
+    return bot;
+}
+
+function removeBot(bot, reason) {
+    const world = bot.world;
+    cancelPlayerTrades(bot, 'left');
+    dropCargo(bot, 'left');
+    delete players[bot.id];
+    world.removePlayer(bot);
+    
+    world.emit('player_left', { name: bot.name, bot: true, totalPlayers: world.playerCount });
+    log.info('bot_left', `🤖 ${bot.name} left ${world.name} (${reason})`, { world: world.id, player: bot.name, reason: reason });
+}
+
+// Top the world up to its minimum player count one bot at a time, and make room as people join.
+// Nobody to play with means no bots - an empty world stays empty.
+function balanceBots(world) {
+    const humans = world.humanCount;
+    const wanted = humans > 0 ? Math.max(0, Math.min(world.bots.minPlayers, world.maxPlayers) - humans) : 0;
+    const bots = Object.values(world.players).filter(player => player.isBot);
+    
+    if (bots.length > wanted) {
+        bots.slice(wanted).forEach(bot => removeBot(bot, humans > 0 ? 'making room' : 'world empty'));
+    } else if (bots.length < wanted) {
+        addBot(world);
+    }
+}
+
+// What a bot can see: objects worth collecting within its sight range, with how many other
+// players are near each, and every portal it could travel through right now
+function getBotSituation(bot) {
+    const world = bot.world;
+    const now = clock.now();
+    const objects = [];
+    
+    world.objectGrid.forEachInRadius(bot.x, bot.y, bot.z, bot.brain.profile.sightRange, (obj, distance) => {
+        if (getPortalSettings(obj.type) || getCollectionFailure(bot, obj)) return;
+        
+        let rivals = 0;
+        world.playerGrid.forEachInRadius(obj.x, obj.y, obj.z, BOTS.rivalRange, other => {
+            if (other !== bot && other.alive) rivals++;
+        });
+        objects.push({
+            id: obj.id,
+            x: obj.x,
+            y: obj.y,
+            z: obj.z,
+            distance: distance,
+            points: obj.contents ? obj.contents.reduce((sum, item) => sum + item.points, 0) : objectTypes.get(obj.type).points,
+            rivals: rivals
+        });
+    });
+    
+    const portals = now < bot.portalCooldownUntil ? [] : world.objects
+        .filter(obj => obj.available && getPortalSettings(obj.type) && world.portals.getDestination(obj.id, candidate => candidate.available))
+        .map(obj => ({ id: obj.id, x: obj.x, y: obj.y, z: obj.z, distance: distanceBetween(obj, bot) }));
+    
+    return {
+        position: { x: bot.x, y: bot.y, z: bot.z },
+        radiation: bot.radiationLevel / world.settings.maxRadiation,
+        holdFull: bot.cargo.isFull(),
+        objects: objects,
+        portals: portals
+    };
+}
+
+// The object the bot is after, while it is still worth going for - null once it is gone
+// (collected, collapsed, out of reach for a full hold) or the portal was just traveled through
+function getBotTargetObject(bot, now) {
+    const target = bot.brain.target;
+    if (!target || target.wander) return null;
+    
+    const obj = bot.world.objectsById.get(target.id);
+    if (!obj || !obj.available) return null;
+    if (target.portal) return now >= bot.portalCooldownUntil ? obj : null;
+    return getCollectionFailure(bot, obj) ? null : obj;
+}
+
+// Every tick, for every bot: respawn, think when its reaction time is up, queue one movement
+// input and claim the target once in reach
+function updateBots(world) {
+    const now = clock.now();
+    
+    for (const bot of Object.values(world.players)) {
+        if (!bot.isBot) continue;
+        const brain = bot.brain;
+        
+        if (!bot.alive) {
+            if (brain.respawnAt === null) {
+                brain.respawnAt = now + BOTS.respawnDelay;
+            } else if (now >= brain.respawnAt) {
+                brain.respawnAt = null;
+                brain.reset();
+                respawnPlayer(bot);
+            }
+            continue;
+        }
+        if (brain.respawnAt !== null) { // Brought back early by a new match round
+            brain.respawnAt = null;
+            brain.reset();
+        }
+        
+        let obj = getBotTargetObject(bot, now);
+        const lost = brain.target && !brain.target.wander && !obj;
+        if (lost || now >= brain.nextDecisionAt) {
+            brain.decide(getBotSituation(bot), now, () => clock.random());
+            obj = getBotTargetObject(bot, now);
+        }
+        if (obj) Object.assign(brain.target, { x: obj.x, y: obj.y, z: obj.z }); // Creatures flee
+        
+        const input = brain.steer(bot, now);
+        bot.inputQueue.push({ seq: bot.lastProcessedInput + bot.inputQueue.length + 1, data: input, receivedAt: now });
+        
+        if (obj && now >= brain.nextClaimAt && distanceBetween(obj, bot) <= objectTypes.get(obj.type).collectRadius * BOTS.claimReach) {
+            world.pendingCollections.push({ playerId: bot.id, objectId: obj.id, receivedAt: now });
+            brain.nextClaimAt = now + BOTS.claimInterval;
+        }
+    }
+}
+
+// 👁️ SPECTATORS - watch a world without spawning, follow a player or fly freely
+
+// A world to watch: a private one by code, a public one by id, or wherever the most players are.
+// Full worlds are fine - spectators don't take a player slot.
+function findWatchedWorld(request = {}) {
+    if (request.code) {
+        const world = findWorldByCode(request.code);
+        return world ? { world } : { error: 'room_not_found' };
+    }
+    
+    if (request.worldId) {
+        const world = worlds.get(request.worldId);
+        return world && !world.isPrivate ? { world } : { error: 'room_not_found' };
+    }
+    
+    const busiest = Array.from(worlds.values())
+        .filter(world => !world.isPrivate)
+        .sort((a, b) => b.playerCount - a.playerCount)[0];
+    return { world: busiest || matchmake() };
+}
+
+// Everything in the world, whatever the distance - players (alive or not) and available objects
+function buildSpectatorView(world) {
+    const entities = new Map();
+    
+    for (const player of Object.values(world.players)) {
+        entities.set(`p:${player.id}`, quantizePlayer(player));
+    }
+    world.objects.forEach(obj => {
+        if (obj.available) entities.set(`o:${obj.id}`, quantizeObject(obj));
+    });
+    
+    return entities;
+}
+
+// What the HUD shows about the followed player
+function getSpectatorFocus(player) {
+    return {
+        id: player.id,
+        name: player.name,
+        score: player.score,
+        matchScore: player.world.match ? player.matchScore : undefined,
+        radiationLevel: Math.round(player.radiationLevel),
+        alive: player.alive,
+        cargo: player.cargo.size,
+        team: getTeamName(player)
+    };
+}
+
+// A delta snapshot of the whole world plus the live leaderboard - same format as game_state
+function sendSpectatorSnapshot(spectator) {
+    const world = spectator.world;
+    const followed = spectator.following ? world.players[spectator.following] : null;
+    if (spectator.following && !followed) spectator.following = null; // Left the world
+    
+    const snapshot = spectator.snapshots.build(buildSpectatorView(world));
+    snapshot.tick = serverTick;
+    snapshot.totalPlayers = world.playerCount;
+    snapshot.spectators = world.spectatorCount;
+    snapshot.following = followed ? getSpectatorFocus(followed) : null;
+    snapshot.leaderboard = world.getLeaderboard();
+    
+    spectator.socket.emit('spectator_state', snapshot);
+    spectatorSnapshotsTotal.inc();
+}
+
+function broadcastSpectatorState(world) {
+    for (const spectator of Object.values(world.spectators)) {
+        sendSpectatorSnapshot(spectator);
+    }
+}
+
+// Start watching a world - for a new connection, or a player who died and stays to watch.
+// token - only when the account was just registered, like player_init
+function startSpectating(socket, account, world, token) {
+    const spectator = new Spectator(socket.id, socket, account);
+    spectators[socket.id] = spectator;
+    world.addSpectator(spectator);
+    
+    log.info('spectator_joined', `👁️ ${spectator.name} is watching ${world.name}`, { world: world.id, player: spectator.name, spectators: world.spectatorCount });
+    
+    socket.emit('spectator_init', {
+        id: spectator.id,
+        name: spectator.name,
+        token: token || undefined,
+        tickInterval: GAME_LOOP.tickInterval,
+        snapshotInterval: GAME_LOOP.tickInterval * SPECTATORS.snapshotEveryTicks,
+        account: accounts.getPublicProfile(account),
+        world: world.getSummary(true),
+        match: world.getMatchState(),
+        teams: world.teams.list(),
+        objectTypes: objectTypes.toClient(),
+        generation: world.getGeneration()
+    });
+    sendSpectatorSnapshot(spectator);
+    sendWorldChatHistory(spectator);
+    socket.emit('portal_sync', getPortalSync(world));
+    return spectator;
+}
+
+function stopSpectating(spectator) {
+    delete spectators[spectator.id];
+    spectator.world.removeSpectator(spectator);
+    log.info('spectator_left', `👁️ ${spectator.name} stopped watching ${spectator.world.name}`, { world: spectator.world.id, player: spectator.name });
+}
+
+// Watch another world - the next snapshot is a full one
+function setSpectatorWorld(spectator, world) {
+    if (spectator.world === world) return;
+    
+    spectator.world.removeSpectator(spectator);
+    world.addSpectator(spectator);
+    spectator.following = null;
+    spectator.snapshots.reset();
+    
+    spectator.socket.emit('spectator_world', {
+        world: world.getSummary(true),
+        match: world.getMatchState(),
+        teams: world.teams.list(),
+        generation: world.getGeneration()
+    });
+    sendWorldChatHistory(spectator);
+    spectator.socket.emit('portal_sync', getPortalSync(world));
+    sendSpectatorSnapshot(spectator);
+}
+
+// Follow a player of the watched world, or null to fly freely
+function followPlayer(spectator, playerId) {
+    if (playerId !== null && !spectator.world.players[playerId]) {
+        spectator.socket.emit('spectator_error', { reason: 'player_not_found' });
+        return false;
+    }
+    
+    spectator.following = playerId;
+    sendSpectatorSnapshot(spectator);
+    return true;
+}
+
+// 💀 Eliminated players can keep watching instead of respawning - their session ends here,
+// a new life needs a new connection. Returns the Spectator, or null while still alive.
+function becomeSpectator(player) {
+    if (player.alive) return null;
+    
+    const world = player.world;
+    delete players[player.id];
+    world.removePlayer(player);
+    endPlayerSession(player);
+    world.emit('player_left', {
+        name: player.name,
+        totalPlayers: world.playerCount
+    });
+    
+    return startSpectating(player.socket, player.account, world);
+}
+
+// Spectators only talk among themselves - no channels, whispers or commands
+function handleSpectatorChat(spectator, raw) {
+    if (String(raw).trim().startsWith('/')) {
+        sendChatSystem(spectator, 'Spectators can only chat with other spectators');
+        return;
+    }
+    
+    const message = prepareChatText(spectator, raw);
+    if (!message) return;
+    
+    const payload = {
+        channel: SPECTATORS.chatChannel,
+        playerId: spectator.id,
+        playerName: spectator.name,
+        message: message,
+        timestamp: clock.now()
+    };
+    
+    log.info('chat_message', `💬 [${SPECTATORS.chatChannel}] ${spectator.name}: "${message}"`, { world: spectator.world.id, channel: SPECTATORS.chatChannel, player: spectator.name, message: message });
+    deliverChat(spectator, Object.values(spectator.world.spectators), payload);
+}
+
+// Spectator connections (and players who switched to watching) - snapshot acks, the camera,
+// the watched world and spectator chat
+function registerSpectatorHandlers(socket) {
+    socket.on('snapshot_ack', (data) => {
+        const spectator = spectators[socket.id];
+        if (!spectator || !data) return;
+        spectator.snapshots.acknowledge(data.seq);
+    });
+    
+    socket.on('snapshot_resync', () => {
+        const spectator = spectators[socket.id];
+        if (!spectator) return;
+        
+        spectator.snapshots.reset();
+        sendSpectatorSnapshot(spectator);
+    });
+    
+    socket.on('spectate_follow', (data) => {
+        const spectator = spectators[socket.id];
+        if (!spectator || !data) return;
+        followPlayer(spectator, typeof data.playerId === 'string' ? data.playerId : null);
+    });
+    
+    socket.on('spectate_world', (data) => {
+        const spectator = spectators[socket.id];
+        if (!spectator || !data) return;
+        
+        const placement = findWatchedWorld({ code: data.code, worldId: data.worldId });
+        if (placement.error) {
+            socket.emit('world_error', { reason: placement.error });
+            return;
+        }
+        setSpectatorWorld(spectator, placement.world);
+    });
+    
+    socket.on('chat_message', (data) => {
+        const spectator = spectators[socket.id];
+        if (!spectator || !data || typeof data.message !== 'string' || !spectator.chatLimiter.tryConsume()) return;
+        handleSpectatorChat(spectator, data.message.substring(0, CHAT.maxLength * 2));
+    });
+    
+    socket.on('disconnect', () => {
+        const spectator = spectators[socket.id];
+        if (spectator) stopSpectating(spectator);
+    });
+}
+
+// Socket.IO connection handling
+io.on('connection', (socket) => {
+    log.debug('socket_connected', `🟢 Player connected: ${socket.id}`, { socket: socket.id });
+    
+    // ⛔ Banned addresses are turned away before they can register a name
+    if (rejectBanned(socket, null)) return;
+    
+    // 🪪 Sign in with a session token, or register the chosen display name
+    const auth = accounts.authenticate(socket.handshake.auth || {});
+    if (auth.error) {
+        log.info('sign_in_rejected', `🚫 Sign-in rejected for ${socket.id}: ${auth.error}`, { socket: socket.id, reason: auth.error });
+        socket.emit('auth_error', { reason: auth.error });
+        socket.disconnect(true);
+        return;
+    }
+    if (rejectBanned(socket, auth.account.name)) return;
+    if (auth.token) {
+        log.info('account_registered', `🆕 Registered account ${auth.account.name} (${auth.account.id})`, { player: auth.account.name, accountId: auth.account.id });
+    }
+    
+    // 📈 Count traffic - incoming events without a handler are lumped together
+    connectionsTotal.inc();
+    socket.onAny(event => {
+        socketEventsTotal.inc({ direction: 'in', event: socket.listeners(event).length > 0 ? event : 'unknown' });
+    });
+    socket.onAnyOutgoing(event => socketEventsTotal.inc({ direction: 'out', event: event }));
+    
+    // 👁️ Spectators watch without spawning - no Player, no session, none of the player events
+    if ((socket.handshake.auth || {}).spectate) {
+        const requested = socket.handshake.auth;
+        const placement = findWatchedWorld({ code: requested.room, worldId: requested.world });
+        if (placement.error) {
+            socket.emit('world_error', { reason: placement.error });
+        }
+        startSpectating(socket, auth.account, placement.world || findWatchedWorld().world, auth.token);
+        registerSpectatorHandlers(socket);
+        return;
+    }
+    
+    // Resume the live player if this account is still (or was just) in the game
+    const existing = findAccountPlayer(auth.account.id);
+    const resumed = !!existing;
+    let player;
+    
+    if (existing) {
+        player = reattachPlayer(existing, socket);
+        log.info('session_resumed', `🔁 ${player.name} resumed their session in ${player.world.name}`, { world: player.world.id, player: player.name });
+    } else {
+        // 🌐 Private room code, a world picked in the lobby, or the matchmaker
+        const requested = socket.handshake.auth || {};
+        const placement = resolveRequestedWorld({ code: requested.room, worldId: requested.world });
+        if (placement.error) {
+            socket.emit('world_error', { reason: placement.error });
+        }
+        const world = placement.world || matchmake();
+        
+        player = new Player(socket.id, socket, auth.account);
+        players[socket.id] = player;
+        world.addPlayer(player);
+        accounts.startSession(auth.account);
+        log.info('player_joined', `👤 ${player.name} joined ${world.name} at (${Math.round(player.x)}, ${Math.round(player.y)}, ${Math.round(player.z)})`, { world: world.id, player: player.name, players: Object.keys(players).length });
+    }
+    
+    log.debug('player_count', `👥 Total players: ${Object.keys(players).length}`, { players: Object.keys(players).length });
+    
+    // Send initial player data - the token is only included when it was just issued
+    socket.emit('player_init', {
+        id: player.id,
+        name: player.name,
+        x: player.x,
+        y: player.y,
+        z: player.z,
+        color: player.color,
+        tickInterval: GAME_LOOP.tickInterval,
+        token: auth.token || undefined,
+        resumed: resumed,
+        alive: player.alive,
+        account: accounts.getPublicProfile(player.account),
+        world: player.world.getSummary(true),
+        match: player.world.getMatchState(),
+        team: getTeamState(player),
+        teams: player.world.teams.list(),
+        objectTypes: objectTypes.toClient(),
+        generation: player.world.getGeneration()
+    });
+    
+    // Send initial world state - a full snapshot of everything in range
+    sendSnapshot(player);
+    sendWorldChatHistory(player);
+    socket.emit('portal_sync', getPortalSync(player.world));
+    sendProgression(player);
+    sendCargo(player);
+    
+    // Broadcast to the world that someone joined
+    if (!resumed) {
+        player.world.emit('player_joined', {
+            name: player.name,
+            totalPlayers: player.world.playerCount
+        });
+    }
+    
+    // Handle player movement and state updates
+    socket.on('player_update', (data) => {
+        const player = players[socket.id];
+        if (!player || !player.alive || !data) return;
+        
+        // ⏱️ Inputs are queued and applied in sequence order on the next tick
+        const seq = Number.isFinite(data.seq) ? data.seq : player.lastProcessedInput + player.inputQueue.length + 1;
+        player.inputQueue.push({ seq, data, receivedAt: clock.now() });
+        
+        if (player.inputQueue.length > GAME_LOOP.maxQueuedInputs) {
+            player.inputQueue.shift();
+        }
+    });
+    
+    // Client confirmed a snapshot - future deltas are built against it
+    socket.on('snapshot_ack', (data) => {
+        const player = players[socket.id];
+        if (!player || !data) return;
+        
+        player.snapshots.acknowledge(data.seq);
+    });
+    
+    // Client lost track of its state (e.g. after a reload) - send everything again
+    socket.on('snapshot_resync', () => {
+        const player = players[socket.id];
+        if (!player) return;
+        
+        player.snapshots.reset();
+        sendSnapshot(player);
+    });
+    
+    // Handle resource collection attempts with immediate broadcast
+    socket.on('collect_resource', (data) => {
+        const player = players[socket.id];
+        if (!player || !data || !checkSocketRateLimit(player, 'collect_resource')) return;
+        
+        // 🚩 Shadow-flagged players get no response - they can't tell they're ignored
+        if (player.shadowFlagged) return;
+        
+        // ⏱️ Resolved on the next tick, after every queued movement has been applied
+        player.world.pendingCollections.push({ playerId: socket.id, objectId: data.objectId, receivedAt: clock.now() });
+    });
+    
+    // ⏪ Answer to a latency probe - see probeLatency()
+    socket.on('latency_probe', (data) => {
+        const player = players[socket.id];
+        const probe = player && player.latencyProbe;
+        if (!probe || !data || data.id !== probe.id) return;
+        
+        const oneWay = (clock.now() - probe.sentAt) / 2;
+        player.latency = player.latency === 0 ? oneWay : player.latency + (oneWay - player.latency) * CONTESTS.latencySmoothing;
+        player.latencyProbe = null;
+    });
+    
+    // 🌐 Switch to a public world, join a private one by code, or open a private one
+    socket.on('join_world', (data) => {
+        const player = players[socket.id];
+        if (!player || !data) return;
+        
+        const placement = resolveRequestedWorld({ code: data.code, worldId: data.worldId });
+        if (placement.error) {
+            socket.emit('world_error', { reason: placement.error });
+            return;
+        }
+        movePlayerToWorld(player, placement.world);
+    });
+    
+    socket.on('create_room', (data) => {
+        const player = players[socket.id];
+        if (!player) return;
+        
+        const name = sanitizeMessage(data && data.name, 32) || `${player.name}'s room`;
+        const bots = data && isDifficulty(data.bots) ? { minPlayers: BOTS.roomMinPlayers, difficulty: data.bots } : undefined;
+        const world = createWorld({ name: name, isPrivate: true, mode: data && data.mode, bots: bots });
+        if (!world) {
+            socket.emit('world_error', { reason: 'server_full' });
+            return;
+        }
+        movePlayerToWorld(player, world);
+    });
+    
+    // 👥 Squads - create one, join one by name, or leave
+    socket.on('team_create', (data) => {
+        const player = players[socket.id];
+        if (!player || !data) return;
+        createTeam(player, data.name);
+    });
+    
+    socket.on('team_join', (data) => {
+        const player = players[socket.id];
+        if (!player || !data) return;
+        joinTeam(player, data.name);
+    });
+    
+    socket.on('team_leave', () => {
+        const player = players[socket.id];
+        if (!player) return;
+        if (!leaveTeam(player)) reportTeamError(player, 'not_in_team');
+    });
+    
+    // 📦 Bank the hold at a nearby portal without traveling
+    socket.on('bank_cargo', (data) => {
+        const player = players[socket.id];
+        if (!player || !data) return;
+        
+        const result = handleBankRequest(socket.id, data.portalId);
+        if (!result.success) socket.emit('cargo_error', { reason: result.reason });
+    });
+    
+    // 🤝 Trades - { to, offer, request } with { type: count } on both sides, then accept or cancel by id
+    socket.on('trade_propose', (data) => {
+        const player = players[socket.id];
+        if (!player || !data || !checkSocketRateLimit(player, 'trade_propose')) return;
+        proposeTrade(player, data.to, data.offer, data.request);
+    });
+    
+    socket.on('trade_accept', (data) => {
+        const player = players[socket.id];
+        if (!player || !data) return;
+        acceptTrade(player, data.tradeId);
+    });
+    
+    socket.on('trade_cancel', (data) => {
+        const player = players[socket.id];
+        if (!player || !data) return;
+        cancelTrade(player, data.tradeId);
+    });
+    
+    // 🏅 Cosmetic ship color - one unlocked by level, or null for a random one
+    socket.on('select_color', (data) => {
+        const player = players[socket.id];
+        if (!player || !data) return;
+        selectShipColor(player, typeof data.colorId === 'string' ? data.colorId : null);
+    });
+    
+    // Handle respawn requests after a radiation death
+    socket.on('player_respawn', () => {
+        const player = players[socket.id];
+        if (!player || player.alive) return;
+        
+        respawnPlayer(player);
+        log.debug('player_respawned', `♻️ ${player.name} respawned at (${Math.round(player.x)}, ${Math.round(player.y)}, ${Math.round(player.z)})`, { world: player.world.id, player: player.name });
+    });
+    
+    // 👁️ Keep watching after a radiation death instead of respawning
+    socket.on('spectate', () => {
+        const player = players[socket.id];
+        if (!player || player.alive) return;
+        
+        if (becomeSpectator(player)) registerSpectatorHandlers(socket);
+    });
+    
+    // Handle chat messages
+    socket.on('chat_message', (data) => {
+        const player = players[socket.id];
+        if (!player || !data || typeof data.message !== 'string' || !checkSocketRateLimit(player, 'chat_message')) return;
+        
+        handleChatInput(player, data.message.substring(0, CHAT.maxLength * 2), data.channel);
+    });
+    
+    // Handle disconnect
+    socket.on('disconnect', () => {
+        const player = players[socket.id];
+        log.debug('socket_disconnected', `🔴 Player disconnected: ${socket.id}`, { socket: socket.id });
+        
+        if (player) {
+            delete players[socket.id];
+            player.world.removePlayer(player);
+            
+            if (player.kicked) {
+                log.info('player_left', `👋 ${player.name} left the game`, { world: player.world.id, player: player.name });
+                endPlayerSession(player);
+                
+                // Broadcast to remaining players
+                player.world.emit('player_left', {
+                    name: player.name,
+                    totalPlayers: player.world.playerCount
+                });
+            } else {
+                log.info('player_held', `⏳ Holding ${player.name} for ${ACCOUNTS.reconnectGracePeriod / 1000}s in case they reconnect`, { player: player.name, gracePeriod: ACCOUNTS.reconnectGracePeriod });
+                holdDisconnectedPlayer(player);
+            }
+        }
+        
+        log.debug('player_count', `👥 Total players: ${Object.keys(players).length}`, { players: Object.keys(players).length });
+    });
+});
+
+// 💬 CHAT - channels, whispers and commands
+
+// Has this player muted or blocked the given account?
+function isIgnoringAccount(player, accountId) {
+    const lists = player.account.chat;
+    return lists.muted.includes(accountId) || lists.blocked.includes(accountId);
+}
+
+function findPlayerByName(name) {
+    const key = String(name).toLowerCase();
+    return Object.values(players).find(player => player.name.toLowerCase() === key) || null;
+}
+
+function sendChatSystem(player, message) {
+    player.socket.emit('chat_system', { message: message, timestamp: clock.now() });
+}
+
+function deliverChat(sender, recipients, payload) {
+    recipients.forEach(recipient => {
+        if (recipient !== sender && isIgnoringAccount(recipient, sender.account.id)) return;
+        recipient.socket.emit('chat_message', payload);
+    });
+}
+
+// Who hears a channel message - null (with a reply to the sender) if nobody can
+function getChannelRecipients(player, channel) {
+    switch (channel) {
+        case 'global':
+            // Spectators read along, but can't answer on this channel
+            return Object.values(player.world.players).concat(Object.values(player.world.spectators));
+        case 'proximity': {
+            const nearby = getNearbyPlayers(player.world, player.id, player.x, player.y, player.z, CHAT.proximityRange)
+                .map(data => players[data.id])
+                .filter(Boolean);
+            return [player].concat(nearby);
+        }
+        case 'team':
+            if (!player.team) {
+                sendChatSystem(player, 'You are not in a team');
+                return null;
+            }
+            return Object.values(player.world.players).filter(other => other.team === player.team);
+        default:
+            sendChatSystem(player, `Unknown channel: ${channel}`);
+            return null;
+    }
+}
+
+// Sanitize, flood-check and filter a message - null if it shouldn't be sent
+function prepareChatText(player, text) {
+    const now = clock.now();
+    if (now < player.chatMutedUntil) {
+        sendChatSystem(player, `You are muted for ${Math.ceil((player.chatMutedUntil - now) / 1000)}s`);
+        return null;
+    }
+    
+    const clean = sanitizeMessage(text, CHAT.maxLength);
+    if (!clean) return null;
+    
+    const flood = player.floodGuard.check(clean, now);
+    if (flood) {
+        player.chatMutedUntil = now + CHAT.floodMuteDuration;
+        sendChatSystem(player, flood === 'duplicate'
+            ? `Please don't repeat yourself - muted for ${CHAT.floodMuteDuration / 1000}s`
+            : `Slow down - muted for ${CHAT.floodMuteDuration / 1000}s`);
+        log.warn('chat_auto_muted', `🔇 ${player.name} auto-muted for chat ${flood}`, { player: player.name, flood: flood });
+        return null;
+    }
+    
+    return chatWordFilter.apply(clean);
+}
+
+function handleChatInput(player, raw, requestedChannel) {
+    const defaultChannel = ['global', 'proximity', 'team'].includes(requestedChannel) ? requestedChannel : 'global';
+    const input = parseChatInput(raw, defaultChannel);
+    
+    if (input.type === 'command') {
+        handleChatCommand(player, input.name, input.args);
+        return;
+    }
+    
+    if (input.type === 'whisper') {
+        handleWhisper(player, input.target, input.text);
+        return;
+    }
+    
+    const message = prepareChatText(player, input.text);
+    if (!message) return;
+    
+    const payload = {
+        channel: input.channel,
+        playerId: player.id,
+        playerName: player.name,
+        message: message,
+        timestamp: clock.now()
+    };
+    
+    log.info('chat_message', `💬 [${input.channel}] ${player.name}: "${message}"`, { world: player.world.id, channel: input.channel, player: player.name, message: message });
+    
+    // 🚩 Shadow-flagged players only see their own messages
+    if (player.shadowFlagged) {
+        player.socket.emit('chat_message', payload);
+        return;
+    }
+    
+    const recipients = getChannelRecipients(player, input.channel);
+    if (!recipients) return;
+    
+    deliverChat(player, recipients, payload);
+    if (input.channel === 'global') {
+        player.world.chatHistory.add({ accountId: player.account.id, payload: payload });
+        recordReplay(player.world, 'chat', { player: player.name, message: message });
+    }
+}
+
+function handleWhisper(player, targetName, text) {
+    if (!targetName || !text) {
+        sendChatSystem(player, 'Usage: /w name message');
+        return;
+    }
+    
+    const target = findPlayerByName(targetName);
+    if (!target) {
+        sendChatSystem(player, `${targetName} is not online`);
+        return;
+    }
+    if (target === player) {
+        sendChatSystem(player, 'You can\'t whisper to yourself');
+        return;
+    }
+    
+    const message = prepareChatText(player, text);
+    if (!message) return;
+    
+    const payload = {
+        channel: 'whisper',
+        playerId: player.id,
+        playerName: player.name,
+        to: target.name,
+        message: message,
+        timestamp: clock.now()
+    };
+    
+    // Blocked or shadow-flagged senders don't find out - the whisper just never arrives
+    player.socket.emit('chat_message', payload);
+    if (!player.shadowFlagged && !target.account.chat.blocked.includes(player.account.id)) {
+        deliverChat(player, [target], payload);
+    }
+}
+
+// Add or remove an account from the player's mute or block list
+function updateChatList(player, listName, targetName, add) {
+    if (!targetName) {
+        const names = player.account.chat[listName]
+            .map(accountId => (accountStore.get(accountId) || { name: accountId }).name);
+        sendChatSystem(player, names.length > 0 ? `${listName}: ${names.join(', ')}` : `Your ${listName} list is empty`);
+        return;
+    }
+    
+    const target = accountStore.findByName(targetName);
+    if (!target || target.id === player.account.id) {
+        sendChatSystem(player, `No player named ${targetName}`);
+        return;
+    }
+    
+    const list = player.account.chat[listName];
+    const index = list.indexOf(target.id);
+    if (add && index === -1) list.push(target.id);
+    if (!add && index > -1) list.splice(index, 1);
+    accountStore.save(player.account);
+    
+    const verb = listName === 'muted' ? (add ? 'Muted' : 'Unmuted') : (add ? 'Blocked' : 'Unblocked');
+    sendChatSystem(player, `${verb} ${target.name}`);
+}
+
+const CHAT_COMMANDS = {
+    help: {
+        usage: '/help',
+        run: (player) => {
+            sendChatSystem(player, 'Channels: /g global, /l nearby, /t team, /w name whisper');
+            sendChatSystem(player, `Commands: ${Object.values(CHAT_COMMANDS).map(command => command.usage).join(', ')}`);
+        }
+    },
+    who: {
+        usage: '/who',
+        run: (player) => {
+            const names = Object.values(player.world.players).map(other => other.name).sort();
+            sendChatSystem(player, `In ${player.world.name} (${names.length}): ${names.join(', ')}`);
+        }
+    },
+    room: {
+        usage: '/room',
+        run: (player) => {
+            const world = player.world;
+            sendChatSystem(player, `You are in ${world.name} (${world.playerCount}/${world.maxPlayers})` +
+                (world.code ? ` - invite code ${world.code}` : ''));
+        }
+    },
+    rooms: {
+        usage: '/rooms',
+        run: (player) => {
+            getLobby(player).forEach(world => {
+                sendChatSystem(player, `${world.name}: ${world.players}/${world.maxPlayers}${world.isPrivate ? ' (private)' : ''}`);
+            });
+        }
+    },
+    stats: {
+        usage: '/stats [name]',
+        run: (player, args) => {
+            const account = args[0] ? accountStore.findByName(args[0]) : player.account;
+            if (!account) {
+                sendChatSystem(player, `No player named ${args[0]}`);
+                return;
+            }
+            const stats = account.stats;
+            sendChatSystem(player, `${account.name}: ${stats.score} points, ${stats.discoveries} discoveries, ` +
+                `${stats.rareItems} rare, ${stats.creatures} creatures, ${stats.resourcesStolen} steals, ` +
+                `best survival ${stats.bestSurvivalTime}s, ${stats.sessions} sessions`);
+        }
+    },
+    mute: { usage: '/mute [name]', run: (player, args) => updateChatList(player, 'muted', args[0], true) },
+    unmute: { usage: '/unmute name', run: (player, args) => updateChatList(player, 'muted', args[0], false) },
+    block: { usage: '/block [name]', run: (player, args) => updateChatList(player, 'blocked', args[0], true) },
+    unblock: { usage: '/unblock name', run: (player, args) => updateChatList(player, 'blocked', args[0], false) },
+    squad: {
+        usage: '/squad create|join name, /squad leave, /squad list',
+        run: (player, args) => {
+            const action = (args[0] || 'list').toLowerCase();
+            const name = args.slice(1).join(' ');
+            
+            if (action === 'create') createTeam(player, name);
+            else if (action === 'join') joinTeam(player, name);
+            else if (action === 'leave') {
+                if (!leaveTeam(player)) sendChatSystem(player, TEAM_ERRORS.not_in_team);
+            } else {
+                const teams = player.world.teams.list();
+                if (teams.length === 0) sendChatSystem(player, 'No teams yet - /squad create name');
+                teams.forEach(team => {
+                    sendChatSystem(player, `${team.name} (${team.score} points): ${team.members.join(', ')}`);
+                });
+            }
+        }
+    },
+    trade: {
+        usage: '/trade name type:count... for type:count..., /trade accept|decline|cancel',
+        run: (player, args) => {
+            const action = (args[0] || '').toLowerCase();
+            const trades = player.world.trades.involving(player);
+            const latest = filter => trades.filter(filter).pop();
+            
+            if (action === 'accept' || action === 'decline') {
+                const offered = latest(trade => trade.to === player);
+                if (!offered) reportTradeError(player, 'trade_not_found');
+                else if (action === 'accept') acceptTrade(player, offered.id);
+                else cancelTrade(player, offered.id);
+            } else if (action === 'cancel') {
+                const own = latest(trade => trade.from === player);
+                if (!own) reportTradeError(player, 'trade_not_found');
+                else cancelTrade(player, own.id);
+            } else {
+                const split = args.findIndex(word => word.toLowerCase() === 'for');
+                const offer = parseTradeItems(args.slice(1, split === -1 ? args.length : split));
+                const request = split === -1 ? {} : parseTradeItems(args.slice(split + 1));
+                if (!args[0] || !offer || !request) reportTradeError(player, 'invalid_items');
+                else proposeTrade(player, args[0], offer, request);
+            }
+        }
+    }
+};
+
+function handleChatCommand(player, name, args) {
+    const command = CHAT_COMMANDS[name];
+    if (!command) {
+        sendChatSystem(player, `Unknown command /${name} - try /help`);
+        return;
+    }
+    command.run(player, args);
+}
+
+// Apply a player's queued inputs in sequence order
+function processPlayerInputs(player) {
+    if (player.inputQueue.length === 0) return;
+    
+    player.inputQueue.sort((a, b) => a.seq - b.seq);
+    let processed = 0;
+    
+    while (player.inputQueue.length > 0 && processed < GAME_LOOP.maxInputsPerTick) {
+        const input = player.inputQueue.shift();
+        if (input.seq <= player.lastProcessedInput) continue; // Duplicate or stale
+        
+        // 🛡️ Never trust client coordinates - validate before applying
+        const movement = validateMovement(player, input.data, input.receivedAt);
+        player.update(movement.state);
+        player.lastProcessedInput = input.seq;
+        processed++;
+        
+        if (movement.violation && player.addViolation(movement.violation) >= ANTI_CHEAT.kickThreshold) {
+            kickPlayer(player, 'Too many movement violations');
+            player.inputQueue = [];
+            return;
+        }
+        
+        if (movement.correction) {
+            player.socket.emit('position_correction', {
+                seq: input.seq,
+                x: player.x,
+                y: player.y,
+                z: player.z,
+                reason: movement.violation ? 'rejected' : 'out_of_bounds'
+            });
+        }
+    }
+}
+
+// Start a new life and tell the player where it begins
+function respawnPlayer(player) {
+    player.respawn();
+    player.inputQueue = [];
+    
+    player.socket.emit('player_respawned', {
+        id: player.id,
+        name: player.name,
+        x: player.x,
+        y: player.y,
+        z: player.z,
+        color: player.color,
+        radiationLevel: player.radiationLevel
+    });
+    recordReplay(player.world, 'respawn', { player: player.name, position: [player.x, player.y, player.z] });
+}
+
+// ☢️ The server is the only authority on exposure and death
+function updateRadiation(world, deltaMs, emitUpdates) {
+    // ⏱️ No exposure during warmup and results, faster in sudden death
+    const match = world.match;
+    if (match && !match.isScoring()) return;
+    const multiplier = match ? match.getRadiationMultiplier() : 1;
+    
+    for (const player of Object.values(world.players)) {
+        if (!player.alive) continue;
+        
+        if (player.updateRadiation(deltaMs, multiplier)) {
+            handlePlayerDeath(player);
+            continue;
+        }
+        
+        if (emitUpdates) {
+            player.socket.emit('radiation_update', {
+                radiationLevel: player.radiationLevel,
+                zone: player.radiationZone
+            });
+        }
+    }
+}
+
+// Respawn collected objects whose timers ran out
+function checkRespawns(world) {
+    let respawnCount = 0;
+    
+    world.objects.forEach(obj => {
+        if (obj.checkRespawn()) {
+            respawnCount++;
+            recordReplay(world, 'object_respawn', { objectId: obj.id });
+        }
+    });
+    
+    if (respawnCount > 0) {
+        // Respawned objects reach nearby players as entered entities in the next snapshot
+        log.debug('objects_respawned', `🔄 Respawned ${respawnCount} objects in ${world.name}`, { world: world.id, count: respawnCount });
+    }
+}
+
+// Fresh objects and layout - clients redraw the backdrop, snapshots swap the objects
+function regenerateWorld(world, seed) {
+    finishReplay(world, 'regenerated');
+    world.generate(seed || undefined);
+    world.pendingCollections = [];
+    world.claims.clear();
+    world.captures.clear();
+    world.emit('world_generated', { generation: world.getGeneration() });
+    world.emit('portal_sync', getPortalSync(world));
+}
+
+// 🎬 Matches are recorded from the first scoring phase through the results; sandbox worlds
+// whenever someone is playing. Recordings switch files when the world regenerates.
+function shouldRecordReplay(world) {
+    if (!REPLAYS.enabled) return false;
+    if (world.match) return world.match.isScoring() || (world.match.phase === 'results' && world.replay !== null);
+    return world.playerCount > 0;
+}
+
+function updateReplay(world) {
+    const now = clock.now();
+    if (world.replay && (!shouldRecordReplay(world) || world.replay.time(now) > REPLAYS.maxDuration)) {
+        finishReplay(world, world.replay.time(now) > REPLAYS.maxDuration ? 'max_duration' : 'session_over');
+    }
+    if (!world.replay && shouldRecordReplay(world)) startReplay(world, now);
+    
+    if (world.replay) world.replay.recordPlayers(Object.values(world.players), now);
+}
+
+function startReplay(world, now) {
+    try {
+        world.replay = new ReplayRecorder(REPLAYS.directory, {
+            world: { id: world.id, name: world.name, mode: world.mode, matchNumber: world.match ? world.match.matchNumber : null },
+            generation: world.getGeneration(),
+            objectTypes: objectTypes.toClient(),
+            tickInterval: GAME_LOOP.tickInterval
+        }, { now: now });
+    } catch (error) {
+        log.error('replay_failed', `🎬 Could not start a replay for ${world.name}: ${error.message}`, { world: world.id, error: error.message });
+        REPLAYS.enabled = false;
+        return;
+    }
+    
+    world.replay.recordObjects(world.objects.map(obj => obj.toJSON()), now);
+    Object.values(world.players).forEach(player => world.replay.join(player, now));
+    log.info('replay_started', `🎬 Recording ${world.name} to ${world.replay.id}`, { world: world.id, replay: world.replay.id });
+}
+
+function finishReplay(world, reason) {
+    if (!world.replay) return;
+    
+    const recorder = world.replay;
+    world.replay = null;
+    try {
+        const result = recorder.finish(reason);
+        log.info('replay_saved', `🎬 Saved replay ${result.id} (${Math.round(result.duration / 1000)}s, ${reason})`, { world: world.id, replay: result.id, duration: result.duration, reason: reason });
+        pruneReplays(REPLAYS.directory, REPLAYS.maxFiles);
+    } catch (error) {
+        log.error('replay_failed', `🎬 Could not save replay ${recorder.id}: ${error.message}`, { world: world.id, replay: recorder.id, error: error.message });
+    }
+}
 
-    const distance = Math.sqrt(
-        Math.pow(obj.x - player.x, 2) +
-        Math.pow(obj.y - player.y, 2) +
-        Math.pow(obj.z - player.z, 2)
-    );
-
-    const collectRadius = OBJECT_TYPES[obj.type].collectRadius;
+// Add an event to the world's running recording, if there is one
+function recordReplay(world, type, data) {
+    if (!world || !world.replay) return;
     
-    if (distance > collectRadius) {
-        return { success: false, reason: 'Too far away' };
+    try {
+        world.replay.record(type, data);
+    } catch (error) {
+        log.error('replay_failed', `🎬 Stopped recording ${world.name}: ${error.message}`, { world: world.id, error: error.message });
+        world.replay = null;
     }
+}
 
-    // Check for competing players
-    const competingPlayers = [];
-    for (const [id, otherPlayer] of Object.entries(players)) {
-        if (id === playerId) continue;
-        
-        const competitorDistance = Math.sqrt(
-            Math.pow(obj.x - otherPlayer.x, 2) +
-            Math.pow(obj.y - otherPlayer.y, 2) +
-            Math.pow(obj.z - otherPlayer.z, 2)
-        );
+// ⏱️ Advance the world's match clock and react to phase changes
+function updateMatch(world) {
+    const match = world.match;
+    // Only people start (or keep going) a match - bots just fill the field
+    const change = match.update(world.humanCount, clock.now());
+    
+    if (change) {
+        const everyone = Object.values(world.players);
         
-        if (competitorDistance <= WORLD_SETTINGS.stealRadius) {
-            competingPlayers.push({
-                player: otherPlayer,
-                distance: competitorDistance
+        if (change.to === 'round') {
+            // Fresh start for everybody - warmup lives are practice and never count
+            everyone.forEach(player => {
+                player.matchScore = 0;
+                respawnPlayer(player);
+            });
+            log.info('match_started', `⏱️ Match ${match.matchNumber} started in ${world.name}`, { world: world.id, matchNumber: match.matchNumber, players: world.playerCount });
+        } else if (change.to === 'suddenDeath') {
+            log.info('sudden_death', `☢️ Sudden death in ${world.name}`, { world: world.id, matchNumber: match.matchNumber });
+        } else if (change.to === 'results') {
+            // Bank every surviving life, then publish the final standings
+            everyone.forEach(player => {
+                if (player.alive) recordPlayerRun(player, false);
+            });
+            const standings = world.getMatchStandings();
+            const winner = standings.length > 0 && standings[0].score > 0 ? standings[0].name : null;
+            world.emit('match_results', {
+                matchNumber: match.matchNumber,
+                standings: standings,
+                teams: world.teams.list('matchScore'),
+                winner: winner
+            });
+            log.info('match_finished', `🏆 Match ${match.matchNumber} in ${world.name} won by ${winner || 'nobody'}`, { world: world.id, matchNumber: match.matchNumber, winner: winner });
+        } else if (change.to === 'warmup' && change.from === 'results') {
+            // New world for the next match
+            regenerateWorld(world);
+            everyone.forEach(player => {
+                player.matchScore = 0;
+                respawnPlayer(player);
             });
         }
+        
+        world.emit('match_state', match.getState(clock.now()));
+    } else if (serverTick % MATCH.stateBroadcastEveryTicks === 0 && match.endsAt !== null) {
+        world.emit('match_state', match.getState(clock.now()));
     }
+}
 
-    // If multiple players competing, closest wins but others get notified
-    if (competingPlayers.length > 0) {
-        const closestCompetitor = competingPlayers.reduce((closest, current) => 
-            current.distance < closest.distance ? current : closest
-        );
+// 📦 Reload the object types file - on change, SIGHUP or request. A broken file is reported
+// and the running types stay in place.
+function reloadObjectTypes(reason) {
+    const result = objectTypes.reload();
+    if (!result.ok) {
+        log.error('object_types_reload_failed', `❌ Object types not reloaded (${reason}): ${result.error}`, { reason: reason, error: result.error });
+        return result;
+    }
+    
+    refreshWorldSettings();
+    for (const world of worlds.values()) {
+        syncWorldObjectTypes(world);
+    }
+    
+    io.emit('object_types', { types: objectTypes.toClient() });
+    log.info('object_types_reloaded', `📦 Reloaded object types (${reason}): ${result.types.join(', ')}`, { reason: reason, types: result.types });
+    return result;
+}
 
-        if (closestCompetitor.distance < distance) {
-            // Another player is closer - they steal it!
-            const thief = closestCompetitor.player;
-            const points = OBJECT_TYPES[obj.type].points;
-            
-            // Award points to thief
-            thief.addScore(points, `stealing ${obj.type}`);
-            thief.resourcesStolen++;
-            
-            // Track theft for original player
-            player.resourcesLost++;
-            
-            // Mark object as collected
-            obj.available = false;
-            obj.collectedBy = thief.id;
-            obj.collectedAt = Date.now();
-
-            // Update player stats
-            if (obj.type === 'discovery') thief.discoveries++;
-            else if (obj.type === 'rare') thief.rareItems++;
-            else if (obj.type === 'spaceCreature') thief.creatures++;
-
-            // Broadcast the theft
-            io.emit('resource_stolen', {
-                objectId: obj.id,
-                objectType: obj.type,
-                thief: thief.name,
-                victim: player.name,
-                points: points,
-                position: { x: obj.x, y: obj.y, z: obj.z }
-            });
+// Rebuild WORLD_SETTINGS from the built-in values, the object types file and admin changes,
+// then hand the result to every world (each world's own settings still win)
+function refreshWorldSettings() {
+    Object.keys(WORLD_SETTINGS).forEach(key => { delete WORLD_SETTINGS[key]; });
+    Object.assign(WORLD_SETTINGS, BUILTIN_WORLD_SETTINGS, objectTypes.world, adminSettings);
+    
+    for (const world of worlds.values()) {
+        world.settings = Object.assign({}, WORLD_SETTINGS, world.customSettings);
+    }
+}
 
-            console.log(`🏴‍☠️ ${thief.name} stole ${obj.type} from ${player.name}! (+${points} points)`);
-            
-            return { 
-                success: false, 
-                reason: 'stolen',
-                stolenBy: thief.name,
-                thiefDistance: Math.round(closestCompetitor.distance),
-                yourDistance: Math.round(distance)
-            };
-        }
+// Drop objects whose type was removed and spawn types the world has none of yet.
+// Changed values (points, respawn, effects) apply to existing objects right away.
+function syncWorldObjectTypes(world) {
+    const removed = world.objects.filter(obj => !objectTypes.has(obj.type));
+    removed.forEach(obj => {
+        world.objectGrid.remove(obj);
+        world.objectsById.delete(obj.id);
+    });
+    world.objects = world.objects.filter(obj => objectTypes.has(obj.type));
+    
+    const present = new Set(world.objects.map(obj => obj.type));
+    const counts = {};
+    objectTypes.names().forEach(type => {
+        if (!present.has(type)) counts[type] = objectTypes.get(type).spawnCount;
+    });
+    
+    const salt = `v${objectTypes.version}`;
+    const rng = worldgen.createRng(`${world.seed}:properties:${salt}`);
+    const added = worldgen.placeObjects(world.layout, counts, objectTypes.getPlacementRules(), { salt: salt, existing: world.objects });
+    added.forEach(placement => {
+        world.addObject(new WorldObject(placement.type, placement.x, placement.y, placement.z, rng));
+    });
+    
+    // Network sizes may have changed along with the types
+    world.linkPortals();
+    world.emit('portal_sync', getPortalSync(world));
+    
+    if (removed.length > 0 || added.length > 0) {
+        log.info('object_types_synced', `📦 ${world.name}: removed ${removed.length} and added ${added.length} objects after the type reload`, { world: world.id, removed: removed.length, added: added.length });
     }
+}
 
-    // Player successfully collects the resource
-    const points = OBJECT_TYPES[obj.type].points;
-    player.addScore(points, `collecting ${obj.type}`);
+// Remove players who stopped sending updates
+function cleanupInactivePlayers() {
+    const now = clock.now();
+    const timeout = 60000; // 1 minute timeout
     
-    // Mark object as collected
-    obj.available = false;
-    obj.collectedBy = playerId;
-    obj.collectedAt = Date.now();
+    for (const [id, player] of Object.entries(players)) {
+        if (player.isBot) continue;
+        
+        // Dead players send no movement while they decide whether to respawn or watch - once
+        // SPECTATORS.deadTimeout runs out they watch for good and give up their seat
+        if (!player.alive) {
+            if (now - player.diedAt > SPECTATORS.deadTimeout && becomeSpectator(player)) {
+                log.info('player_spectating', `👁️ ${player.name} stayed dead too long - now spectating`, { world: player.world.id, player: player.name });
+                registerSpectatorHandlers(player.socket);
+            }
+            continue;
+        }
+        
+        if (now - player.lastUpdate > timeout) {
+            log.info('player_inactive', `🧹 Removing inactive player: ${player.name}`, { player: player.name });
+            delete players[id];
+            player.world.removePlayer(player);
+            endPlayerSession(player);
+        }
+    }
+}
 
-    // Update player stats
-    if (obj.type === 'discovery') player.discoveries++;
-    else if (obj.type === 'rare') player.rareItems++;
-    else if (obj.type === 'spaceCreature') player.creatures++;
+// ⏱️ One fixed simulation step of one world - inputs, collections, world, then outgoing state
+let serverTick = 0;
 
-    // Special handling for portals (radiation reduction)
-    let radiationReduction = 0;
-    if (obj.type === 'ringPortal') {
-        radiationReduction = 25 + Math.random() * 15;
-        player.radiationLevel = Math.max(0, player.radiationLevel - radiationReduction);
-        
-        // Portals are consumed when used - mark as collected
-        obj.available = false;
-        obj.collectedBy = playerId;
-        obj.collectedAt = Date.now();
+// ⏪ Measure each player's round trip - the answer arrives as a latency_probe event
+let latencyProbeCounter = 0;
+function probeLatency(world) {
+    const now = clock.now();
+    for (const player of Object.values(world.players)) {
+        if (player.isBot) continue; // Server-side - no round trip to measure
+        player.latencyProbe = { id: ++latencyProbeCounter, sentAt: now };
+        player.socket.emit('latency_probe', { id: player.latencyProbe.id });
     }
+}
 
-    // Broadcast the collection
-    io.emit('resource_collected', {
-        objectId: obj.id,
-        objectType: obj.type,
-        collector: player.name,
-        points: points,
-        radiationReduction: radiationReduction,
-        position: { x: obj.x, y: obj.y, z: obj.z },
-        competitorCount: competingPlayers.length
-    });
+function tickWorld(world) {
+    // 0. Match clock - phase changes apply before anything else this tick
+    if (world.match) updateMatch(world);
+    
+    // 1. Movement first, so collections see where everyone is this tick - bots queue theirs here too
+    const now = clock.now();
+    updateBots(world);
+    for (const player of Object.values(world.players)) {
+        processPlayerInputs(player);
+        player.positionHistory.record(now, player.x, player.y, player.z);
+    }
+    
+    // 2. Collections in arrival order become claims, contests whose window closed are settled
+    const collections = world.pendingCollections.splice(0);
+    collections.forEach(processCollectionRequest);
+    settleContests(world);
+    updateCaptures(world);
+    
+    // 3. World simulation
+    simulateCreatures(world, GAME_LOOP.tickInterval / 1000);
+    updateRadiation(world, GAME_LOOP.tickInterval, serverTick % GAME_LOOP.radiationUpdateEveryTicks === 0);
+    
+    if (serverTick % GAME_LOOP.respawnCheckEveryTicks === 0) checkRespawns(world);
+    if (serverTick % CARGO.updateEveryTicks === 0) updateCargo(world);
+    if (serverTick % PROGRESSION.updateEveryTicks === 0) updateProgression(world, serverTick % PROGRESSION.syncEveryTicks === 0);
+    if (serverTick % BOTS.balanceEveryTicks === 0) balanceBots(world);
+    
+    // 4. Outgoing state and the replay recording
+    if (serverTick % GAME_LOOP.creatureBroadcastEveryTicks === 0) broadcastCreatureTrajectories(world);
+    if (serverTick % TEAMS.radarEveryTicks === 0) broadcastTeamPositions(world);
+    if (serverTick % CONTESTS.latencyProbeEveryTicks === 0) probeLatency(world);
+    if (serverTick % GAME_LOOP.snapshotEveryTicks === 0) broadcastWorldState(world);
+    if (serverTick % SPECTATORS.snapshotEveryTicks === 0) broadcastSpectatorState(world);
+    updateReplay(world);
+}
 
-    console.log(`✅ ${player.name} collected ${obj.type} (+${points} points)${competingPlayers.length > 0 ? ` despite ${competingPlayers.length} competitors nearby!` : ''}`);
+function gameTick() {
+    const startedAt = process.hrtime.bigint();
+    serverTick++;
     
-    return { 
-        success: true, 
-        points: points,
-        radiationReduction: radiationReduction,
-        competitorCount: competingPlayers.length
-    };
+    for (const world of worlds.values()) {
+        tickWorld(world);
+    }
+    
+    if (serverTick % GAME_LOOP.cleanupEveryTicks === 0) {
+        cleanupInactivePlayers();
+        closeEmptyWorlds();
+    }
+    
+    tickDuration.observe(Number(process.hrtime.bigint() - startedAt) / 1e9);
 }
 
-// Socket.IO connection handling
-io.on('connection', (socket) => {
-    console.log(`🟢 Player connected: ${socket.id}`);
+// Fixed-timestep driver - catches up after timer stalls instead of stretching ticks.
+// Paced by wall time, since it runs on real timers whatever clock the game reads.
+let lastTickTime = Date.now();
+let tickAccumulator = 0;
+
+function runGameLoop() {
+    const now = Date.now();
+    tickAccumulator += now - lastTickTime;
+    lastTickTime = now;
     
-    // Create new player
-    const player = new Player(socket.id, socket);
-    players[socket.id] = player;
+    let ticksRun = 0;
+    while (tickAccumulator >= GAME_LOOP.tickInterval && ticksRun < GAME_LOOP.maxCatchUpTicks) {
+        gameTick();
+        tickAccumulator -= GAME_LOOP.tickInterval;
+        ticksRun++;
+    }
     
-    console.log(`👤 ${player.name} joined at (${Math.round(player.x)}, ${Math.round(player.y)}, ${Math.round(player.z)})`);
-    console.log(`👥 Total players: ${Object.keys(players).length}`);
+    // Too far behind - drop the backlog rather than spiral
+    if (ticksRun === GAME_LOOP.maxCatchUpTicks) tickAccumulator = 0;
+}
+
+// Leaderboard updates every 30 seconds - each world ranks its own players
+function broadcastLeaderboards() {
+    for (const world of worlds.values()) {
+        if (world.playerCount > 0) {
+            world.emit('leaderboard_update', { leaderboard: world.getLeaderboard(), teams: world.teams.list() });
+        }
+    }
+}
+
+// 🛠️ ADMIN - bans, kicks and the HTTP admin API
+
+// The address bans apply to - behind a proxy, the first X-Forwarded-For entry
+function getClientAddress(socket) {
+    const forwarded = socket.handshake.headers['x-forwarded-for'];
+    if (ADMIN.trustProxy && forwarded) return forwarded.split(',')[0].trim();
+    return socket.handshake.address;
+}
+
+function describeBan(ban) {
+    const until = ban.expiresAt ? ` until ${new Date(ban.expiresAt).toISOString()}` : '';
+    return `Banned${until}: ${ban.reason}`;
+}
+
+// Turn away a banned connection - checks the address, and the account name once known
+function rejectBanned(socket, name) {
+    const ban = bans.find(name, getClientAddress(socket));
+    if (!ban) return false;
     
-    // Send initial player data
-    socket.emit('player_init', {
+    log.warn('connection_banned', `⛔ Rejected ${name || socket.id} from ${getClientAddress(socket)} (${ban.type} ban)`, { player: name, ip: getClientAddress(socket), banType: ban.type });
+    socket.emit('kicked', { reason: describeBan(ban) });
+    socket.disconnect(true);
+    return true;
+}
+
+function getAdminPlayerInfo(player, connected) {
+    return {
         id: player.id,
         name: player.name,
-        x: player.x,
-        y: player.y,
-        z: player.z,
-        color: player.color
+        accountId: player.account.id,
+        ip: player.ip,
+        connected: connected,
+        bot: player.isBot,
+        world: { id: player.world.id, name: player.world.name },
+        team: getTeamName(player),
+        x: Math.round(player.x),
+        y: Math.round(player.y),
+        z: Math.round(player.z),
+        alive: player.alive,
+        radiationLevel: Math.round(player.radiationLevel),
+        score: player.score,
+        matchScore: player.matchScore,
+        discoveries: player.discoveries,
+        rareItems: player.rareItems,
+        creatures: player.creatures,
+        resourcesStolen: player.resourcesStolen,
+        resourcesLost: player.resourcesLost,
+        deaths: player.deaths,
+        violations: player.violations,
+        shadowFlagged: player.shadowFlagged,
+        connectedFor: Math.floor((clock.now() - player.joinTime) / 1000)
+    };
+}
+
+function getAdminWorldInfo(world) {
+    const objects = {};
+    world.objects.forEach(obj => {
+        const counts = objects[obj.type] || (objects[obj.type] = { total: 0, available: 0 });
+        counts.total++;
+        if (obj.available) counts.available++;
     });
     
-    // Send initial world state
-    socket.emit('world_sync', {
-        objects: worldObjects.map(obj => obj.toJSON())
+    return Object.assign(world.getSummary(true), {
+        match: world.getMatchState(),
+        settings: world.customSettings,
+        botSettings: world.bots,
+        objects: objects
     });
+}
+
+// Resolve :worldId, answering 404 when it doesn't exist
+function getAdminWorld(req, res) {
+    const world = worlds.get(req.params.worldId);
+    if (!world) res.status(404).json({ error: `No world ${req.params.worldId}` });
+    return world || null;
+}
+
+// Disconnect everyone a new ban covers - held (disconnected) players just lose their session
+function enforceBan(ban) {
+    const affected = [];
+    for (const player of Object.values(players)) {
+        const matches = ban.type === 'name' ? player.name.toLowerCase() === ban.value : player.ip === ban.value;
+        if (matches) affected.push(player);
+    }
+    affected.forEach(player => kickPlayer(player, describeBan(ban)));
     
-    // Broadcast to all players that someone joined
-    io.emit('player_joined', {
-        name: player.name,
-        totalPlayers: Object.keys(players).length
-    });
+    for (const player of Array.from(disconnectedPlayers.values())) {
+        if (ban.type === 'name' ? player.name.toLowerCase() !== ban.value : player.ip !== ban.value) continue;
+        clearTimeout(player.graceTimer);
+        disconnectedPlayers.delete(player.account.id);
+        endPlayerSession(player);
+        affected.push(player);
+    }
+    return affected.map(player => player.name);
+}
+
+const admin = express.Router();
+admin.use(requireAdminToken(ADMIN.token));
+admin.use(express.json());
+
+admin.get('/players', (req, res) => {
+    const online = Object.values(players).map(player => getAdminPlayerInfo(player, true));
+    const held = Array.from(disconnectedPlayers.values()).map(player => getAdminPlayerInfo(player, false));
+    res.json({ players: online.concat(held) });
+});
+
+admin.get('/worlds', (req, res) => {
+    res.json({ worlds: Array.from(worlds.values()).map(getAdminWorldInfo) });
+});
+
+// { name, reason }
+admin.post('/kick', (req, res) => {
+    const player = findPlayerByName(req.body.name || '');
+    if (!player) {
+        res.status(404).json({ error: `${req.body.name} is not online` });
+        return;
+    }
     
-    // Handle player movement and state updates
-    socket.on('player_update', (data) => {
-        const player = players[socket.id];
-        if (!player) return;
-        
-        player.update(data);
-        
-        // 📡 HÄUFIGERE WORLD STATE UPDATES für bessere Sync
-        // Nur alle 200ms statt bei jedem Update (weniger Server-Last aber trotzdem responsiv)
-        if (!player.lastBroadcast || Date.now() - player.lastBroadcast > 200) {
-            const nearbyPlayers = getNearbyPlayers(socket.id, player.x, player.y, player.z);
-            const nearbyObjects = getNearbyObjects(socket.id, player.x, player.y, player.z);
-            
-            // Send game state back to this player
-            socket.emit('game_state', {
-                players: nearbyPlayers,
-                objects: nearbyObjects,
-                totalPlayers: Object.keys(players).length,
-                yourStats: {
-                    score: player.score,
-                    discoveries: player.discoveries,
-                    rareItems: player.rareItems,
-                    creatures: player.creatures,
-                    radiationLevel: player.radiationLevel,
-                    resourcesStolen: player.resourcesStolen,
-                    resourcesLost: player.resourcesLost
-                }
-            });
-            
-            player.lastBroadcast = Date.now();
-        }
-    });
+    kickPlayer(player, req.body.reason || 'Kicked by an admin');
+    res.json({ kicked: player.name });
+});
+
+// { name } or { ip }, optional reason and duration (ms, missing = forever)
+admin.post('/bans', (req, res) => {
+    const type = req.body.ip ? 'ip' : 'name';
+    const result = bans.add(type, req.body[type], { reason: req.body.reason, duration: req.body.duration });
+    if (result.error) {
+        res.status(400).json({ error: result.error });
+        return;
+    }
     
-    // Handle resource collection attempts with immediate broadcast
-    socket.on('collect_resource', (data) => {
-        const player = players[socket.id];
-        const obj = worldObjects.find(o => o.id === data.objectId);
-        
-        if (!player || !obj) {
-            console.log(`❌ Collection failed: ${!player ? 'No player' : 'No object'}`);
+    const kicked = enforceBan(result.ban);
+    log.warn('admin_ban', `⛔ Admin banned ${type} ${result.ban.value}${kicked.length > 0 ? ` (kicked ${kicked.join(', ')})` : ''}`, { banType: type, value: result.ban.value, kicked: kicked });
+    res.json({ ban: result.ban, kicked: kicked });
+});
+
+admin.get('/bans', (req, res) => {
+    res.json({ bans: bans.list() });
+});
+
+admin.delete('/bans/:type/:value', (req, res) => {
+    if (!bans.remove(req.params.type, req.params.value)) {
+        res.status(404).json({ error: 'No such ban' });
+        return;
+    }
+    log.info('admin_unban', `✅ Admin lifted the ${req.params.type} ban on ${req.params.value}`, { banType: req.params.type, value: req.params.value });
+    res.json({ removed: true });
+});
+
+// { message, worldId } - without a world id every world hears it
+admin.post('/broadcast', (req, res) => {
+    const message = sanitizeMessage(req.body.message, ADMIN.maxBroadcastLength);
+    if (!message) {
+        res.status(400).json({ error: 'message is required' });
+        return;
+    }
+    
+    const payload = { message: `📢 ${message}`, announcement: true, timestamp: clock.now() };
+    if (req.body.worldId) {
+        const world = worlds.get(req.body.worldId);
+        if (!world) {
+            res.status(404).json({ error: `No world ${req.body.worldId}` });
             return;
         }
-        
-        console.log(`🎯 ${player.name} attempting to collect ${obj.type} (ID: ${data.objectId})`);
-        
-        // Immediate server-side collection processing
-        const result = handleResourceCollection(socket.id, data.objectId);
-        
-        if (result.success) {
-            console.log(`✅ ${player.name} successfully collected ${obj.type} - broadcasting to all players`);
-            
-            // 📢 SOFORT an ALLE Spieler senden (einschließlich dem Sammler für Bestätigung)
-            io.emit('object_removed', {
-                objectId: data.objectId,
-                objectType: obj.type,
-                collectedBy: player.name,
-                collectorId: socket.id,
-                points: data.points || 10,
-                timestamp: Date.now()
-            });
-            
-            // Competitive features
-            if (result.competitorCount > 0) {
-                socket.emit('collection_result', { 
-                    success: true, 
-                    competitorCount: result.competitorCount,
-                    message: `Beat ${result.competitorCount} competitors!`
-                });
-            }
-            
-        } else if (result.reason === 'stolen') {
-            console.log(`🏴‍☠️ ${player.name}'s collection was stolen by ${result.stolenBy}`);
-            socket.emit('collection_result', result);
-        }
-        
-        // 📊 Broadcast updated world state immediately after any collection
-        setTimeout(() => {
-            broadcastWorldState();
-        }, 100);
+        world.emit('chat_system', payload);
+    } else {
+        io.emit('chat_system', payload);
+    }
+    log.info('admin_broadcast', `📢 Admin broadcast${req.body.worldId ? ` to ${req.body.worldId}` : ''}: ${message}`, { world: req.body.worldId || null, message: message });
+    res.json({ sent: true });
+});
+
+// { seed } - missing picks the usual seed (fixed WORLD_SEED or a random one)
+admin.post('/worlds/:worldId/regenerate', (req, res) => {
+    const world = getAdminWorld(req, res);
+    if (!world) return;
+    
+    regenerateWorld(world, req.body.seed ? String(req.body.seed) : null);
+    log.info('admin_regenerate', `🛠️ Admin regenerated ${world.name}`, { world: world.id, seed: world.seed });
+    res.json({ world: getAdminWorldInfo(world) });
+});
+
+admin.post('/worlds/:worldId/respawn', (req, res) => {
+    const world = getAdminWorld(req, res);
+    if (!world) return;
+    
+    const collected = world.objects.filter(obj => !obj.available);
+    collected.forEach(obj => {
+        obj.respawn();
+        recordReplay(world, 'object_respawn', { objectId: obj.id });
     });
+    log.info('admin_respawn', `🛠️ Admin respawned ${collected.length} objects in ${world.name}`, { world: world.id, count: collected.length });
+    res.json({ respawned: collected.length });
+});
+
+// { type, x, y, z, count } - extra copies are scattered around the point
+admin.post('/worlds/:worldId/spawn', (req, res) => {
+    const world = getAdminWorld(req, res);
+    if (!world) return;
     
-    // Handle creature trajectory updates from clients
-    socket.on('creature_trajectory', (data) => {
-        const obj = worldObjects.find(o => o.id === data.objectId);
-        const player = players[socket.id];
-        
-        if (obj && player && obj.available) {
-            // Update creature position on server with trajectory
-            obj.x = data.startPosition.x;
-            obj.y = data.startPosition.y;
-            obj.z = data.startPosition.z;
-            obj.fleeing = data.fleeing;
-            obj.fleeDirection = data.fleeDirection;
-            obj.lastTrajectoryUpdate = data.timestamp;
-            
-            // Broadcast trajectory to other nearby players
-            const nearbyPlayers = getNearbyPlayers(socket.id, player.x, player.y, player.z, 800);
-            nearbyPlayers.forEach(nearbyPlayer => {
-                const targetPlayer = players[nearbyPlayer.id];
-                if (targetPlayer && targetPlayer.socket) {
-                    targetPlayer.socket.emit('creature_trajectory', {
-                        objectId: data.objectId,
-                        startPosition: data.startPosition,
-                        fleeDirection: data.fleeDirection,
-                        fleeSpeed: data.fleeSpeed,
-                        timestamp: data.timestamp,
-                        fleeing: data.fleeing
-                    });
-                }
-            });
-            
-            console.log(`🎯 ${obj.type} ${obj.id} trajectory updated by ${player.name} - broadcast to ${nearbyPlayers.length} players`);
+    const { type } = req.body;
+    const position = ['x', 'y', 'z'].map(axis => Number(req.body[axis]));
+    const count = Math.min(ADMIN.maxSpawnCount, Math.max(1, parseInt(req.body.count, 10) || 1));
+    
+    if (!objectTypes.has(type)) {
+        res.status(400).json({ error: `Unknown type - use one of: ${objectTypes.names().join(', ')}` });
+        return;
+    }
+    if (!position.every(Number.isFinite)) {
+        res.status(400).json({ error: 'x, y and z must be numbers' });
+        return;
+    }
+    
+    const bound = world.settings.worldSize / 2;
+    const spread = count > 1 ? world.settings.minObjectSpacing * 2 : 0;
+    const spawned = [];
+    for (let i = 0; i < count; i++) {
+        const [x, y, z] = position.map(value => value + (clock.random() - 0.5) * spread);
+        const obj = new WorldObject(type, Math.max(-bound, Math.min(bound, x)), y, Math.max(-bound, Math.min(bound, z)));
+        world.addObject(obj);
+        spawned.push(obj.toJSON());
+        recordReplay(world, 'object_add', obj.toJSON());
+    }
+    if (getPortalSettings(type)) {
+        world.linkPortals();
+        world.emit('portal_sync', getPortalSync(world));
+    }
+    log.info('admin_spawn', `🛠️ Admin spawned ${count} ${type} in ${world.name} at (${position.map(Math.round).join(', ')})`, { world: world.id, type: type, count: count });
+    res.json({ spawned: spawned });
+});
+
+// { minPlayers, difficulty } - either or both. Bots already flying switch to the new difficulty.
+admin.post('/worlds/:worldId/bots', (req, res) => {
+    const world = getAdminWorld(req, res);
+    if (!world) return;
+    
+    const { minPlayers, difficulty } = req.body;
+    if (minPlayers !== undefined && (!Number.isInteger(minPlayers) || minPlayers < 0)) {
+        res.status(400).json({ error: 'minPlayers must be a whole number, 0 or more' });
+        return;
+    }
+    if (difficulty !== undefined && !isDifficulty(difficulty)) {
+        res.status(400).json({ error: `Unknown difficulty - use one of: ${Object.keys(DIFFICULTIES).join(', ')}` });
+        return;
+    }
+    
+    if (minPlayers !== undefined) world.bots.minPlayers = minPlayers;
+    if (difficulty !== undefined) {
+        world.bots.difficulty = difficulty;
+        Object.values(world.players).filter(player => player.isBot).forEach(bot => {
+            bot.brain = new BotBrain(difficulty, ANTI_CHEAT.maxSpeed);
+        });
+    }
+    log.info('admin_bots', `🛠️ Admin set bots in ${world.name} to ${world.bots.minPlayers} players (${world.bots.difficulty})`, { world: world.id, minPlayers: world.bots.minPlayers, difficulty: world.bots.difficulty });
+    res.json({ world: getAdminWorldInfo(world) });
+});
+
+admin.get('/settings', (req, res) => {
+    res.json({ settings: WORLD_SETTINGS, overrides: adminSettings, readOnly: ADMIN.readOnlySettings });
+});
+
+// { key: value, ... } - all or nothing. Generation settings apply from the next generation.
+admin.patch('/settings', (req, res) => {
+    const changes = {};
+    const problems = [];
+    
+    Object.entries(req.body || {}).forEach(([key, raw]) => {
+        if (!(key in BUILTIN_WORLD_SETTINGS)) {
+            problems.push(`${key} is not a world setting`);
+        } else if (ADMIN.readOnlySettings.includes(key)) {
+            problems.push(`${key} can't be changed while the server runs`);
+        } else {
+            const parsed = parseSettingValue(BUILTIN_WORLD_SETTINGS[key], raw);
+            if (parsed.error) problems.push(`${key} ${parsed.error}`);
+            else changes[key] = parsed.value;
         }
     });
     
-    // Handle chat messages
-    socket.on('chat_message', (data) => {
-        const player = players[socket.id];
-        if (!player || !data.message) return;
-        
-        console.log(`💬 ${player.name}: "${data.message}"`);
-        
-        // Broadcast to all players
-        io.emit('chat_message', {
-            playerId: player.id,
-            playerName: player.name,
-            message: data.message,
-            timestamp: Date.now()
+    if (problems.length > 0 || Object.keys(changes).length === 0) {
+        res.status(400).json({ error: problems.length > 0 ? problems.join('; ') : 'No settings given' });
+        return;
+    }
+    
+    Object.assign(adminSettings, changes);
+    refreshWorldSettings();
+    log.info('admin_settings', `🛠️ Admin changed world settings: ${Object.entries(changes).map(([key, value]) => `${key}=${value}`).join(', ')}`, { changes: changes });
+    res.json({ settings: WORLD_SETTINGS, changed: changes });
+});
+
+app.use('/api/admin', admin);
+
+// 💾 WORLD SNAPSHOTS - saved periodically and on shutdown, restored on startup
+
+function saveWorldSnapshot(reason) {
+    const now = clock.now();
+    // Bots are not saved - worlds fill up with new ones after the restart
+    const everyone = Object.values(players).filter(player => !player.isBot).concat(Array.from(disconnectedPlayers.values()));
+    
+    try {
+        worldSnapshots.save({
+            worldIdCounter: worldIdCounter,
+            objectIdCounter: objectIdCounter,
+            settings: adminSettings,
+            worlds: Array.from(worlds.values()).map(world => world.toSnapshot(now)),
+            players: everyone.map(player => player.toSnapshot(now))
+        }, now);
+        log.info('snapshot_saved', `💾 Saved ${worlds.size} worlds and ${everyone.length} players (${reason})`, { reason: reason, worlds: worlds.size, players: everyone.length });
+    } catch (error) {
+        log.error('snapshot_failed', `❌ World snapshot not saved (${reason}): ${error.message}`, { reason: reason, error: error.message });
+    }
+}
+
+// Bring back the saved worlds, and hold every saved player until they reconnect.
+// Squads and chat scrollback are not kept; a match in progress starts over at warmup.
+function restoreWorldSnapshot() {
+    const loaded = worldSnapshots.load();
+    if (loaded.error) {
+        log.info('snapshot_skipped', `💾 Starting fresh - ${loaded.error}`, { reason: loaded.error });
+        return;
+    }
+    
+    const snapshot = loaded.snapshot;
+    const now = clock.now();
+    Object.assign(adminSettings, snapshot.settings);
+    refreshWorldSettings();
+    
+    snapshot.worlds.forEach(data => {
+        const world = new World(data.id, {
+            name: data.name,
+            isPrivate: data.isPrivate,
+            code: data.code,
+            isDefault: data.isDefault,
+            maxPlayers: data.maxPlayers,
+            settings: data.settings,
+            mode: data.mode,
+            bots: data.bots
         });
+        world.restore(data, now);
+        worlds.set(world.id, world);
+        syncWorldObjectTypes(world); // Types added to the config while the server was down
     });
+    worldIdCounter = Math.max(worldIdCounter, snapshot.worldIdCounter);
+    objectIdCounter = Math.max(objectIdCounter, snapshot.objectIdCounter);
     
-    // Handle disconnect
-    socket.on('disconnect', () => {
-        const player = players[socket.id];
-        console.log(`🔴 Player disconnected: ${socket.id}`);
-        
-        if (player) {
-            console.log(`👋 ${player.name} left the game`);
-            
-            // Broadcast to remaining players
-            socket.broadcast.emit('player_left', {
-                name: player.name,
-                totalPlayers: Object.keys(players).length - 1
-            });
-            
-            delete players[socket.id];
-        }
+    let restoredPlayers = 0;
+    snapshot.players.forEach(data => {
+        const account = accountStore.get(data.accountId);
+        const world = worlds.get(data.worldId);
+        if (!account || !world) return;
         
-        console.log(`👥 Total players: ${Object.keys(players).length}`);
+        const player = new Player(`restored:${account.id}`, null, account);
+        player.world = world;
+        player.restore(data, now);
+        holdDisconnectedPlayer(player, PERSISTENCE.restoreGracePeriod);
+        restoredPlayers++;
     });
-});
+    
+    log.info('snapshot_restored', `💾 Restored ${worlds.size} worlds and ${restoredPlayers} players from ${new Date(snapshot.savedAt).toISOString()} (down for ${Math.round(snapshot.downtime / 1000)}s)`, { worlds: worlds.size, players: restoredPlayers, savedAt: snapshot.savedAt, downtime: snapshot.downtime });
+}
 
-// World management loop - handle respawns and cleanup
-setInterval(() => {
-    let respawnCount = 0;
+// 🛑 Graceful restart - warn everyone, save, then drop the connections without a disconnect
+// packet so clients keep retrying and resume their players on the restored world
+let shuttingDown = false;
+
+function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
     
-    // Check for object respawns
-    worldObjects.forEach(obj => {
-        if (obj.checkRespawn()) {
-            respawnCount++;
-        }
-    });
+    log.info('shutdown_started', `🛑 ${signal} received - closing in ${PERSISTENCE.shutdownWarning / 1000}s`, { signal: signal });
+    io.emit('server_restarting', { reconnectIn: PERSISTENCE.shutdownWarning });
     
-    if (respawnCount > 0) {
-        console.log(`🔄 Respawned ${respawnCount} objects`);
-        // Broadcast world sync to all players
-        io.emit('world_sync', {
-            objects: worldObjects.map(obj => obj.toJSON())
+    setTimeout(() => {
+        if (PERSISTENCE.enabled) saveWorldSnapshot(signal);
+        for (const world of worlds.values()) finishReplay(world, 'shutdown');
+        io.close(() => {
+            log.info('server_stopped', '👋 Server stopped');
+            process.exit(0);
         });
-    }
+        setTimeout(() => process.exit(0), PERSISTENCE.shutdownTimeout).unref();
+    }, PERSISTENCE.shutdownWarning);
+}
+
+// 🚀 Startup - pick up where the last run left off (or open the default public world, which
+// stays open even when empty), start the loops and listen. Requiring this file starts nothing:
+// `node server.js` calls startServer(), tests call it with port 0 and stopServer() afterwards.
+const runningTimers = [];
+
+function startServer(options = {}) {
+    const port = options.port !== undefined ? options.port : (process.env.PORT || 3000);
     
-    // Clean up inactive players
-    const now = Date.now();
-    const timeout = 60000; // 1 minute timeout
+    if (PERSISTENCE.enabled) restoreWorldSnapshot();
+    const defaultWorld = Array.from(worlds.values()).find(world => world.isDefault) || createWorld({ name: 'Main', isDefault: true });
     
-    for (const [id, player] of Object.entries(players)) {
-        if (now - player.lastUpdate > timeout) {
-            console.log(`🧹 Removing inactive player: ${player.name}`);
-            delete players[id];
-        }
+    lastTickTime = Date.now();
+    runningTimers.push(setInterval(runGameLoop, GAME_LOOP.tickInterval));
+    runningTimers.push(setInterval(broadcastLeaderboards, 30000));
+    if (PERSISTENCE.enabled) {
+        runningTimers.push(setInterval(() => saveWorldSnapshot('periodic'), PERSISTENCE.saveInterval));
+    }
+    if (OBJECT_TYPES_SETTINGS.watch) {
+        objectTypes.watch(() => reloadObjectTypes('file changed'), OBJECT_TYPES_SETTINGS.watchInterval);
+    }
+    if (options.handleSignals !== false) {
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
+        process.on('SIGINT', () => shutdown('SIGINT'));
+        process.on('SIGHUP', () => reloadObjectTypes('SIGHUP'));
     }
-}, 5000); // Check every 5 seconds
-
-// Generate leaderboard
-function getLeaderboard() {
-    const sortedPlayers = Object.values(players)
-        .sort((a, b) => b.score - a.score)
-        .slice(0, 10)
-        .map((player, index) => ({
-            rank: index + 1,
-            name: player.name,
-            score: player.score,
-            discoveries: player.discoveries,
-            rareItems: player.rareItems,
-            creatures: player.creatures,
-            resourcesStolen: player.resourcesStolen,
-            resourcesLost: player.resourcesLost,
-            survivalTime: Math.floor((Date.now() - player.joinTime) / 1000)
-        }));
     
-    return sortedPlayers;
+    return new Promise(resolve => {
+        server.listen(port, options.host || '0.0.0.0', () => {
+            const listeningPort = server.address().port;
+            log.info('server_started', [
+                `🚀 Competitive Ethereal Exploration server running on port ${listeningPort}`,
+                `🌐 Server ready for competitive multiplayer`,
+                `🔧 World settings: ${defaultWorld.objects.length} objects per world, up to ${WORLDS.maxPlayers} players each`,
+                `🌌 World seed: ${WORLD_SETTINGS.seed ? `${WORLD_SETTINGS.seed} (fixed)` : 'random per world'}`,
+                `🏴‍☠️ Contests: ${CONTESTS.claimWindow}ms claim window, up to ${CONTESTS.maxRewind}ms rewind, ${WORLD_SETTINGS.captureTime > 0 ? `${WORLD_SETTINGS.captureTime}ms capture` : 'no capture'}`,
+                `🔄 Respawn times: ${objectTypes.names().map(type => `${type}(${objectTypes.get(type).respawnTime / 1000}s)`).join(', ')}`,
+                `⏱️ Game mode: ${MATCH.defaultMode}${MATCH.defaultMode === 'match' ? ` (${MATCH.roundDuration / 1000}s rounds, ${MATCH.minPlayers}+ players)` : ''}`,
+                `🛠️ Admin API: ${ADMIN.token ? 'enabled - console at /admin' : 'disabled (set ADMIN_TOKEN)'}`,
+                `📈 Metrics at /metrics, logging ${LOGGING.level}+ as ${LOGGING.format}`,
+                `🎬 Replays: ${REPLAYS.enabled ? `recorded to ${REPLAYS.directory}` : 'off'}`
+            ].join('\n'), {
+                port: listeningPort,
+                objectsPerWorld: defaultWorld.objects.length,
+                maxPlayers: WORLDS.maxPlayers,
+                seed: WORLD_SETTINGS.seed,
+                mode: MATCH.defaultMode,
+                admin: !!ADMIN.token
+            });
+            resolve(listeningPort);
+        });
+    });
 }
 
-// Broadcast leaderboard updates
-setInterval(() => {
-    if (Object.keys(players).length > 0) {
-        const leaderboard = getLeaderboard();
-        io.emit('leaderboard_update', { leaderboard });
-    }
-}, 30000); // Every 30 seconds
+// Stop the loops and close every connection without saving - for tests, deploys use shutdown()
+function stopServer() {
+    runningTimers.splice(0).forEach(timer => clearInterval(timer));
+    objectTypes.unwatch();
+    for (const world of worlds.values()) finishReplay(world, 'stopped');
+    
+    // Closing the sockets holds every player for a reconnect - drop those timers too
+    return new Promise(resolve => io.close(() => {
+        disconnectedPlayers.forEach(player => clearTimeout(player.graceTimer));
+        resolve();
+    }));
+}
 
-// Initialize world
-generateWorld();
+if (require.main === module) {
+    startServer();
+}
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 Competitive Ethereal Exploration server running on port ${PORT}`);
-    console.log(`🌐 Server ready for competitive multiplayer`);
-    console.log(`🔧 World settings: ${WORLD_SETTINGS.discoveries + WORLD_SETTINGS.explodingCreatures + WORLD_SETTINGS.rareEntities + WORLD_SETTINGS.spaceCreatures + WORLD_SETTINGS.ringPortals} total objects`);
-    console.log(`🏴‍☠️ Steal radius: ${WORLD_SETTINGS.stealRadius}m`);
-    console.log(`🔄 Respawn times: Discovery(30s), Rare(2m), Portal(3m)`);
-});
+// The game rules and state, for tests
+module.exports = {
+    app,
+    server,
+    io,
+    startServer,
+    stopServer,
+    setClock,
+    Player,
+    World,
+    WorldObject,
+    worlds,
+    players,
+    spectators,
+    disconnectedPlayers,
+    accounts,
+    objectTypes,
+    createWorld,
+    handleResourceCollection,
+    processCollectionRequest,
+    settleContests,
+    updateCaptures,
+    handlePortalUse,
+    handleBankRequest,
+    handlePlayerDeath,
+    cleanupInactivePlayers,
+    proposeTrade,
+    acceptTrade,
+    cancelTrade,
+    updateCargo,
+    selectShipColor,
+    updateProgression,
+    startSpectating,
+    becomeSpectator,
+    followPlayer,
+    sendSpectatorSnapshot,
+    handleChatInput,
+    handleSpectatorChat,
+    addBot,
+    removeBot,
+    balanceBots,
+    updateBots,
+    findNearestPlayer,
+    tickWorld,
+    WORLD_SETTINGS,
+    TEAMS,
+    CONTESTS,
+    PROGRESSION,
+    CARGO,
+    SPECTATORS,
+    BOTS
+};
@@ -0,0 +1,198 @@
+// Bots - the BotBrain, filling worlds up to their minimum and flying through the normal game rules
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { BotBrain, DIFFICULTIES, chooseTarget, pickBotName } = require('../lib/bots');
+const { quantizePlayer } = require('../lib/snapshots');
+const { loadServer, addTestPlayer, movePlayer, addTestObject, uniqueName: name, setUpTestWorld } = require('./helpers');
+
+const server = loadServer();
+const {
+    World, players, addBot, balanceBots, updateBots, tickWorld, handlePlayerDeath, proposeTrade,
+    objectTypes, BOTS
+} = server;
+
+const TICK = 50; // GAME_LOOP.tickInterval
+
+let clock;
+let world;
+
+function botsIn(target) {
+    return Object.values(target.players).filter(player => player.isBot);
+}
+
+// A fresh world, generated and with every object taken out - tickWorld needs the layout
+function setUpEmptyWorld(options) {
+    ({ clock, world } = setUpTestWorld(server, 'bots', options));
+    world.generate('bots');
+    world.objects.slice().forEach(obj => world.removeObject(obj));
+}
+
+function runTicks(count, until = () => false) {
+    for (let i = 0; i < count && !until(); i++) {
+        clock.advance(TICK);
+        tickWorld(world);
+    }
+}
+
+beforeEach(() => ({ clock, world } = setUpTestWorld(server, 'bots', { bots: { minPlayers: 3 } })));
+
+describe('BotBrain', () => {
+    const near = { id: 1, x: 50, y: 0, z: 0, distance: 50, points: 10, rivals: 0 };
+    const rich = { id: 2, x: 400, y: 0, z: 0, distance: 400, points: 200, rivals: 0 };
+
+    it('weighs points against distance by difficulty', () => {
+        assert.equal(chooseTarget([near, rich], DIFFICULTIES.easy, false), near);
+        assert.equal(chooseTarget([near, rich], DIFFICULTIES.hard, false), rich);
+        assert.equal(chooseTarget([near, Object.assign({}, rich, { rivals: 2 })], DIFFICULTIES.normal, true).id, rich.id);
+    });
+
+    it('heads for the nearest portal once radiation passes its threshold', () => {
+        const brain = new BotBrain('hard');
+        const situation = {
+            position: { x: 0, y: 0, z: 0 },
+            radiation: DIFFICULTIES.hard.portalAt,
+            holdFull: false,
+            objects: [near],
+            portals: [{ id: 7, x: 300, y: 0, z: 0, distance: 300 }, { id: 8, x: -100, y: 0, z: 0, distance: 100 }]
+        };
+
+        assert.equal(brain.decide(situation, 0, () => 0.5).id, 8);
+        assert.equal(brain.decide(Object.assign({}, situation, { radiation: 0.1 }), 0, () => 0.5).id, near.id);
+    });
+
+    it('speeds up within its acceleration', () => {
+        const brain = new BotBrain('normal');
+        brain.target = { x: 1000, y: 0, z: 0 };
+        brain.steer({ x: 0, y: 0, z: 0 }, 0);
+
+        const step = brain.steer({ x: 0, y: 0, z: 0 }, TICK);
+        assert.ok(Math.abs(brain.velocity.x - DIFFICULTIES.normal.acceleration * TICK / 1000) < 1e-9);
+        assert.ok(step.move.dx > 0 && step.move.dy === 0);
+    });
+
+    it('never takes a name a person could have', () => {
+        assert.equal(pickBotName(() => false), 'Bot Nova');
+        assert.equal(pickBotName(candidate => candidate !== 'Bot 2'), 'Bot 2');
+    });
+});
+
+describe('filling worlds', () => {
+    it('tops up worlds with people in them and makes room as more join', () => {
+        balanceBots(world);
+        assert.equal(botsIn(world).length, 0);
+
+        addTestPlayer(server, world, name('Early'));
+        balanceBots(world);
+        balanceBots(world);
+        balanceBots(world);
+        assert.equal(botsIn(world).length, 2);
+        assert.equal(world.humanCount, 1);
+
+        addTestPlayer(server, world, name('Late'));
+        addTestPlayer(server, world, name('Later'));
+        const leaving = botsIn(world);
+        balanceBots(world);
+        assert.equal(botsIn(world).length, 0);
+        leaving.forEach(bot => assert.equal(players[bot.id], undefined));
+
+        Object.values(world.players).forEach(player => {
+            delete players[player.id];
+            world.removePlayer(player);
+        });
+        addBot(world);
+        balanceBots(world);
+        assert.equal(world.playerCount, 0);
+    });
+
+    it('marks bots in the leaderboard and in snapshots, and never counts them as a full world', () => {
+        const human = addTestPlayer(server, world, name('Human'));
+        const bot = addBot(world, 'easy');
+        bot.score = 30;
+
+        const [top, second] = world.getLeaderboard();
+        assert.deepEqual([top.name, top.bot, second.name, second.bot], [bot.name, true, human.name, false]);
+        assert.equal(quantizePlayer(bot).b, 1);
+        assert.equal(quantizePlayer(human).b, undefined);
+
+        world.maxPlayers = 1;
+        assert.equal(world.isFull(), true);
+        world.maxPlayers = 2;
+        assert.equal(world.isFull(), false);
+    });
+
+    it('waits for enough people to start a match, however many bots fly', () => {
+        setUpEmptyWorld({ mode: 'match', bots: { minPlayers: 3 } });
+        addTestPlayer(server, world, name('Waiting'));
+        balanceBots(world);
+        balanceBots(world);
+        assert.equal(world.playerCount, 3);
+
+        tickWorld(world);
+        assert.equal(world.match.phase, 'warmup');
+        assert.equal(world.match.endsAt, null);
+
+        addTestPlayer(server, world, name('Second'));
+        tickWorld(world);
+        assert.notEqual(world.match.endsAt, null);
+    });
+
+    it('keeps bots out of private rooms unless asked, and out of trades', () => {
+        const room = new World(name('room'), { mode: 'sandbox', isPrivate: true });
+        addTestPlayer(server, room, name('Alone'));
+        balanceBots(room);
+        assert.equal(room.playerCount, 1);
+
+        const trader = addTestPlayer(server, world, name('Trader'));
+        const bot = addBot(world);
+        movePlayer(world, bot, { x: trader.x, y: trader.y, z: trader.z });
+        trader.cargo.add({ type: 'discovery', points: 10 });
+        assert.equal(proposeTrade(trader, bot.name, { discovery: 1 }, {}), null);
+        assert.equal(trader.socket.emitted.pop().data.reason, 'bot');
+    });
+});
+
+describe('flying', () => {
+    beforeEach(() => {
+        setUpEmptyWorld({ bots: { minPlayers: 2, difficulty: 'hard' } });
+        addTestPlayer(server, world, name('Watcher'), { x: -1000, y: 0, z: 0 });
+    });
+
+    it('collects through the normal collection path without tripping the anti-cheat', () => {
+        const bot = addBot(world);
+        movePlayer(world, bot, { x: 0, y: 0, z: 0 });
+        const target = addTestObject(server, world, 'exploding', { x: 300, y: 0, z: 0 });
+
+        runTicks(200, () => !target.available);
+
+        assert.equal(target.available, false);
+        assert.equal(bot.score, objectTypes.get('exploding').points);
+        assert.equal(bot.violations, 0);
+    });
+
+    it('travels through a portal when radiation runs high', () => {
+        const entry = addTestObject(server, world, 'ringPortal', { x: 200, y: 0, z: 0 });
+        addTestObject(server, world, 'ringPortal', { x: -800, y: 0, z: 800 });
+        world.linkPortals();
+        const bot = addBot(world);
+        movePlayer(world, bot, { x: 0, y: 0, z: 0 });
+        bot.radiationLevel = world.settings.maxRadiation * 0.9;
+
+        runTicks(200, () => bot.portalCooldownUntil > 0);
+
+        assert.ok(bot.portalCooldownUntil > 0);
+        assert.ok(bot.radiationLevel < world.settings.maxRadiation * 0.9);
+        assert.equal(world.portals.getUses(entry.id), 1);
+    });
+
+    it('flies again after a death without touching any account', () => {
+        const bot = addBot(world);
+        handlePlayerDeath(bot);
+        updateBots(world);
+
+        clock.advance(BOTS.respawnDelay);
+        updateBots(world);
+        assert.equal(bot.alive, true);
+        assert.equal(server.accounts.store.get(bot.account.id), null);
+    });
+});
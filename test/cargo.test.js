@@ -0,0 +1,216 @@
+// Cargo holds - stowing, banking at portals, dropped pods and trades between players
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { CargoHold, parseItemCounts } = require('../lib/cargo');
+const { loadServer, addTestPlayer, movePlayer, addTestObject, lastEmitted, uniqueName: name, setUpTestWorld } = require('./helpers');
+
+const server = loadServer();
+const {
+    handleResourceCollection, handlePortalUse, handleBankRequest, handlePlayerDeath,
+    proposeTrade, acceptTrade, cancelTrade, updateCargo, objectTypes, CARGO
+} = server;
+
+let clock;
+let world;
+
+function stow(player, type, count = 1) {
+    for (let i = 0; i < count; i++) player.cargo.add({ type: type, points: objectTypes.get(type).points });
+}
+
+function findPod() {
+    return world.objects.find(obj => obj.type === CARGO.podType);
+}
+
+beforeEach(() => ({ clock, world } = setUpTestWorld(server, 'cargo')));
+
+describe('CargoHold', () => {
+    it('takes all of a trade or nothing, oldest items first', () => {
+        const hold = new CargoHold(5);
+        hold.load([{ type: 'rare', points: 50 }, { type: 'discovery', points: 10 }, { type: 'rare', points: 75 }]);
+
+        assert.equal(hold.take({ rare: 1, discovery: 2 }), null);
+        assert.equal(hold.size, 3);
+        assert.deepEqual(hold.take({ rare: 1 }), [{ type: 'rare', points: 50 }]);
+        assert.deepEqual(hold.toClient(), { capacity: 5, count: 2, value: 85, items: { discovery: 1, rare: 1 } });
+    });
+
+    it('hands back what does not fit', () => {
+        const hold = new CargoHold(2);
+        const rest = hold.load([{ type: 'rare', points: 1 }, { type: 'rare', points: 2 }, { type: 'rare', points: 3 }]);
+
+        assert.deepEqual(rest, [{ type: 'rare', points: 3 }]);
+        assert.equal(hold.isFull(), true);
+    });
+
+    it('only accepts whole counts of cargo types from clients', () => {
+        const isCargo = type => type === 'rare';
+
+        assert.deepEqual(parseItemCounts({ rare: 2 }, isCargo), { rare: 2 });
+        assert.equal(parseItemCounts({ rare: 0 }, isCargo), null);
+        assert.equal(parseItemCounts({ rare: 1.5 }, isCargo), null);
+        assert.equal(parseItemCounts({ ringPortal: 1 }, isCargo), null);
+        assert.equal(parseItemCounts([], isCargo), null);
+    });
+});
+
+describe('stowing and banking', () => {
+    it('turns a full hold away from cargo but not from other objects', () => {
+        const player = addTestPlayer(server, world, name('Hauler'), { x: 0, y: 0, z: 0 });
+        stow(player, 'discovery', CARGO.capacity);
+
+        const refused = handleResourceCollection(player.id, addTestObject(server, world, 'rare', { x: 5, y: 0, z: 0 }).id);
+        assert.deepEqual(refused, { success: false, reason: 'Cargo hold full' });
+        assert.equal(handleResourceCollection(player.id, addTestObject(server, world, 'exploding', { x: 0, y: 5, z: 0 }).id).success, true);
+    });
+
+    it('splits cargo only with teammates who have room to stow their share', () => {
+        const collector = addTestPlayer(server, world, name('Hauler'), { x: 10, y: 0, z: 0 });
+        const loaded = addTestPlayer(server, world, name('Loaded'), { x: 5, y: 0, z: 0 });
+        const { team } = world.teams.create(collector, 'Haulers');
+        world.teams.join(loaded, team);
+        stow(loaded, 'discovery', CARGO.capacity);
+        const loadedValue = loaded.cargo.value;
+
+        handleResourceCollection(collector.id, addTestObject(server, world, 'rare', { x: 0, y: 0, z: 0 }).id);
+
+        assert.equal(collector.cargo.value, objectTypes.get('rare').points);
+        assert.equal(loaded.cargo.value, loadedValue);
+        assert.equal(loaded.score, 0);
+    });
+
+    it('banks the hold on a portal trip', () => {
+        const entry = addTestObject(server, world, 'ringPortal', { x: 400, y: 0, z: 0 });
+        addTestObject(server, world, 'ringPortal', { x: -400, y: 0, z: 0 });
+        world.linkPortals();
+        const player = addTestPlayer(server, world, name('Banker'), { x: 410, y: 0, z: 0 });
+        stow(player, 'rare', 2);
+
+        const trip = handlePortalUse(player.id, entry.id);
+
+        assert.equal(trip.banked, objectTypes.get('rare').points * 2);
+        assert.equal(player.score, trip.banked + trip.points);
+        assert.equal(player.cargo.size, 0);
+        assert.equal(lastEmitted(player, 'cargo_banked').count, 2);
+    });
+
+    it('banks near a portal on request without traveling', () => {
+        const portal = addTestObject(server, world, 'ringPortal', { x: 400, y: 0, z: 0 });
+        const player = addTestPlayer(server, world, name('Depositor'), { x: 400 + CARGO.bankRange + 1, y: 0, z: 0 });
+        stow(player, 'discovery');
+
+        assert.equal(handleBankRequest(player.id, portal.id).reason, 'Too far away');
+        movePlayer(world, player, { x: 400 + CARGO.bankRange, y: 0, z: 0 });
+        assert.equal(handleBankRequest(player.id, portal.id).points, objectTypes.get('discovery').points);
+        assert.equal(player.x, 400 + CARGO.bankRange);
+        assert.equal(handleBankRequest(player.id, portal.id).reason, 'Cargo hold empty');
+    });
+
+    it('stops banking once the match is over', () => {
+        ({ world } = setUpTestWorld(server, 'cargo', { mode: 'match' }));
+        const portal = addTestObject(server, world, 'ringPortal', { x: 400, y: 0, z: 0 });
+        const player = addTestPlayer(server, world, name('Overtime'), { x: 400, y: 0, z: 0 });
+        stow(player, 'rare');
+        world.match.phase = 'results';
+
+        assert.deepEqual(handleBankRequest(player.id, portal.id), { success: false, reason: 'Match is over' });
+        assert.equal(player.cargo.size, 1);
+        assert.equal(player.score, 0);
+    });
+});
+
+describe('dropped cargo', () => {
+    it('leaves a dead player\'s hold where they died for anyone to pick up', () => {
+        const victim = addTestPlayer(server, world, name('Unlucky'), { x: 100, y: 0, z: 0 });
+        const scavenger = addTestPlayer(server, world, name('Scavenger'), { x: 110, y: 0, z: 0 });
+        stow(victim, 'rare', 3);
+        stow(scavenger, 'discovery', CARGO.capacity - 2);
+
+        handlePlayerDeath(victim);
+        const pod = findPod();
+        assert.equal(victim.cargo.size, 0);
+        assert.deepEqual([pod.x, pod.y, pod.z], [100, 0, 0]);
+
+        assert.equal(handleResourceCollection(scavenger.id, pod.id).success, true);
+        assert.equal(scavenger.cargo.count('rare'), 2);
+        assert.equal(world.objectsById.has(pod.id), false);
+        // The item that did not fit stays behind in a new pod
+        const rest = findPod();
+        assert.notEqual(rest, pod);
+        assert.equal(rest.contents.length, 1);
+    });
+
+    it('drifts off after a while', () => {
+        const player = addTestPlayer(server, world, name('Doomed'), { x: 0, y: 0, z: 0 });
+        stow(player, 'discovery');
+        handlePlayerDeath(player);
+
+        clock.advance(CARGO.podLifetime - 1);
+        updateCargo(world);
+        assert.ok(findPod());
+        clock.advance(1);
+        updateCargo(world);
+        assert.equal(findPod(), undefined);
+    });
+});
+
+describe('trades', () => {
+    let seller;
+    let buyer;
+
+    beforeEach(() => {
+        seller = addTestPlayer(server, world, name('Seller'), { x: 0, y: 0, z: 0 });
+        buyer = addTestPlayer(server, world, name('Buyer'), { x: 50, y: 0, z: 0 });
+        stow(seller, 'rare');
+        stow(buyer, 'discovery', 3);
+    });
+
+    it('swaps the items once the other player accepts', () => {
+        const trade = proposeTrade(seller, buyer.name, { rare: 1 }, { discovery: 3 });
+        assert.equal(lastEmitted(buyer, 'trade_proposed').from, seller.name);
+
+        assert.equal(acceptTrade(buyer, trade.id), true);
+        assert.deepEqual(seller.cargo.toClient().items, { discovery: 3 });
+        assert.deepEqual(buyer.cargo.toClient().items, { rare: 1 });
+        assert.equal(lastEmitted(seller, 'trade_completed').id, trade.id);
+    });
+
+    it('checks both holds again when the trade is accepted', () => {
+        const trade = proposeTrade(seller, buyer.name, { rare: 1 }, { discovery: 3 });
+        seller.cargo.take({ rare: 1 });
+
+        assert.equal(acceptTrade(buyer, trade.id), false);
+        assert.equal(lastEmitted(buyer, 'trade_cancelled').reason, 'missing_items');
+        assert.equal(buyer.cargo.count('discovery'), 3);
+        assert.equal(world.trades.size, 0);
+    });
+
+    it('refuses players out of range and proposals the proposer cannot pay', () => {
+        assert.equal(proposeTrade(seller, buyer.name, { rare: 2 }, {}), null);
+        assert.equal(lastEmitted(seller, 'trade_error').reason, 'missing_items');
+
+        movePlayer(world, buyer, { x: CARGO.tradeRange + 1, y: 0, z: 0 });
+        assert.equal(proposeTrade(seller, buyer.name, { rare: 1 }, {}), null);
+        assert.equal(lastEmitted(seller, 'trade_error').reason, 'out_of_range');
+    });
+
+    it('lets the proposer withdraw and only the other player accept', () => {
+        const trade = proposeTrade(seller, buyer.name, { rare: 1 }, { discovery: 1 });
+
+        assert.equal(acceptTrade(seller, trade.id), false);
+        assert.equal(cancelTrade(seller, trade.id), true);
+        assert.equal(lastEmitted(buyer, 'trade_cancelled').reason, 'withdrawn');
+        assert.equal(acceptTrade(buyer, trade.id), false);
+    });
+
+    it('lapses unanswered proposals and cancels them when a pilot dies', () => {
+        proposeTrade(seller, buyer.name, { rare: 1 }, {});
+        clock.advance(CARGO.tradeTimeout);
+        updateCargo(world);
+        assert.equal(lastEmitted(buyer, 'trade_cancelled').reason, 'expired');
+
+        proposeTrade(seller, buyer.name, { rare: 1 }, {});
+        handlePlayerDeath(buyer);
+        assert.equal(lastEmitted(seller, 'trade_cancelled').reason, 'died');
+    });
+});
@@ -0,0 +1,257 @@
+// Contested collections - claim windows, lag compensation, tie-breaks and captures
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PositionHistory, rankClaims } = require('../lib/contests');
+const { loadServer, addTestPlayer, movePlayer, addTestObject, lastEmitted, uniqueName: name, setUpTestWorld } = require('./helpers');
+
+const server = loadServer();
+const { processCollectionRequest, settleContests, updateCaptures, objectTypes, CONTESTS } = server;
+
+let clock;
+let world;
+
+// collect_resource as it arrives from the socket
+function claim(player, obj, receivedAt = clock.now()) {
+    processCollectionRequest({ playerId: player.id, objectId: obj.id, receivedAt: receivedAt });
+}
+
+// Let the claim window close and settle everything in it
+function settle() {
+    clock.advance(CONTESTS.claimWindow);
+    settleContests(world);
+}
+
+function lastResult(player, event = 'collection_result') {
+    return lastEmitted(player, event);
+}
+
+beforeEach(() => ({ clock, world } = setUpTestWorld(server, 'contests')));
+
+describe('PositionHistory', () => {
+    it('interpolates between samples and leaves the present to the caller', () => {
+        const history = new PositionHistory(1000);
+        history.record(0, 0, 0, 0);
+        history.record(100, 10, 0, -20);
+
+        assert.deepEqual(history.at(50), { x: 5, y: 0, z: -10 });
+        assert.deepEqual(history.at(-500), { x: 0, y: 0, z: 0 });
+        assert.equal(history.at(100), null);
+    });
+
+    it('forgets samples older than its window', () => {
+        const history = new PositionHistory(100);
+        for (let t = 0; t <= 500; t += 50) history.record(t, t, 0, 0);
+
+        assert.ok(history.samples[0].t >= 350);
+        assert.equal(history.at(0).x, history.samples[0].x);
+    });
+});
+
+describe('rankClaims', () => {
+    const entry = (playerName, distance, clientTime) => ({ player: { name: playerName }, distance: distance, clientTime: clientTime });
+
+    it('breaks distance ties by claim time, then by name', () => {
+        const ranked = rankClaims([entry('Zed', 10, 100), entry('Amy', 10.001, 100), entry('Bob', 10, 50), entry('Cat', 9, 500)]);
+
+        assert.deepEqual(ranked.map(claim => claim.player.name), ['Cat', 'Bob', 'Amy', 'Zed']);
+    });
+});
+
+describe('settleContests', () => {
+    it('gives the object to the closest claimant and tells everyone the distances', () => {
+        const victim = addTestPlayer(server, world, name('Victim'), { x: 20, y: 0, z: 0 });
+        const thief = addTestPlayer(server, world, name('Thief'), { x: 5, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+
+        claim(victim, obj);
+        claim(thief, obj);
+        assert.equal(obj.available, true); // Nothing happens before the window closes
+        settle();
+
+        const lost = lastResult(victim);
+        assert.equal(lost.reason, 'stolen');
+        assert.equal(lost.stolenBy, thief.name);
+        assert.equal(lost.thiefDistance, 5);
+        assert.equal(lost.yourDistance, 20);
+        assert.deepEqual(lost.contest.claims.map(entry => [entry.name, entry.distance]), [[thief.name, 5], [victim.name, 20]]);
+        assert.equal(lastResult(thief).competitorCount, 1);
+        assert.equal(thief.cargo.value, objectTypes.get('discovery').points);
+        assert.equal(thief.resourcesStolen, 1);
+        assert.equal(victim.resourcesLost, 1);
+        assert.equal(obj.collectedBy, thief.id);
+    });
+
+    it('settles claims that arrive in different windows separately', () => {
+        const first = addTestPlayer(server, world, name('Early'), { x: 20, y: 0, z: 0 });
+        const late = addTestPlayer(server, world, name('Late'), { x: 5, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+
+        claim(first, obj);
+        settle();
+        claim(late, obj);
+        settle();
+
+        assert.equal(obj.collectedBy, first.id);
+        assert.equal(late.resourcesLost, 0);
+        assert.equal(lastResult(late), null);
+    });
+
+    it('rewinds claimants to the earliest claim so lag does not cost the player who got there first', () => {
+        const start = clock.now();
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+        // Sitting at the object for a while - but 200ms away from the server
+        const laggy = addTestPlayer(server, world, name('Laggy'), { x: 10, y: 0, z: 0 });
+        laggy.latency = 200;
+        // Racing in, and closer by the time both claims arrive
+        const racer = addTestPlayer(server, world, name('Racer'), { x: 5, y: 0, z: 0 });
+        [40, 25, 15, 5].forEach((x, step) => {
+            const t = start - 300 + step * 100;
+            racer.positionHistory.record(t, x, 0, 0);
+            laggy.positionHistory.record(t, 10, 0, 0);
+        });
+
+        claim(racer, obj, start);
+        claim(laggy, obj, start);
+        settle();
+
+        assert.equal(obj.collectedBy, laggy.id);
+        const lost = lastResult(racer);
+        assert.equal(lost.yourDistance, 25);
+        assert.equal(lost.thiefDistance, 10);
+        assert.deepEqual(lost.contest.claims.map(entry => entry.rewind), [CONTESTS.claimWindow, CONTESTS.claimWindow + 200]);
+    });
+
+    it('drops claimants who were out of reach at the rewound time', () => {
+        const start = clock.now();
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+        const radius = objectTypes.get('discovery').collectRadius;
+        const laggy = addTestPlayer(server, world, name('Laggy'), { x: 5, y: 0, z: 0 });
+        laggy.latency = 200;
+        // In reach when the claims arrive, but still flying in when the laggy player made theirs
+        const late = addTestPlayer(server, world, name('Late'), { x: 10, y: 0, z: 0 });
+        [radius + 30, radius, 10].forEach((x, step) => late.positionHistory.record(start - 200 + step * 100, x, 0, 0));
+
+        claim(laggy, obj, start);
+        claim(late, obj, start);
+        settle();
+
+        assert.equal(obj.collectedBy, laggy.id);
+        assert.equal(laggy.resourcesStolen, 0);
+        assert.equal(late.resourcesLost, 0);
+        assert.equal(lastResult(late), null);
+    });
+
+    it('caps the rewind for very slow connections', () => {
+        const player = addTestPlayer(server, world, name('Dialup'), { x: 10, y: 0, z: 0 });
+        player.latency = 5000;
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+
+        claim(player, obj, clock.now());
+
+        assert.equal(world.claims.contests.get(obj.id).claims[0].clientTime, clock.now() - CONTESTS.maxRewind);
+    });
+
+    it('picks the same winner for an exact tie every time', () => {
+        const amy = addTestPlayer(server, world, 'TieAmy', { x: 10, y: 0, z: 0 });
+        const zed = addTestPlayer(server, world, 'TieZed', { x: -10, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+
+        claim(zed, obj);
+        claim(amy, obj);
+        settle();
+
+        assert.equal(obj.collectedBy, amy.id);
+        assert.equal(lastResult(zed).stolenBy, 'TieAmy');
+    });
+
+    it('ignores claims from beyond the collect radius', () => {
+        const reacher = addTestPlayer(server, world, name('Reacher'), { x: 100, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+
+        claim(reacher, obj);
+
+        assert.equal(world.claims.size, 0);
+    });
+});
+
+describe('captures', () => {
+    beforeEach(() => {
+        world.settings.captureTime = 500;
+    });
+
+    it('makes the winner of a contested object channel before taking it', () => {
+        const winner = addTestPlayer(server, world, name('Channeler'), { x: 5, y: 0, z: 0 });
+        const rival = addTestPlayer(server, world, name('Rival'), { x: 20, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+
+        claim(winner, obj);
+        claim(rival, obj);
+        settle();
+
+        assert.equal(lastResult(winner).reason, 'capturing');
+        assert.equal(lastResult(rival).reason, 'contested');
+        assert.equal(obj.available, true);
+
+        clock.advance(499);
+        updateCaptures(world);
+        assert.equal(obj.available, true);
+
+        clock.advance(1);
+        updateCaptures(world);
+        assert.equal(obj.collectedBy, winner.id);
+        assert.equal(lastResult(rival).reason, 'stolen');
+        assert.equal(winner.resourcesStolen, 1);
+    });
+
+    it('collects uncontested objects at once', () => {
+        const player = addTestPlayer(server, world, name('Alone'), { x: 5, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+
+        claim(player, obj);
+        settle();
+
+        assert.equal(obj.collectedBy, player.id);
+        assert.equal(world.captures.size, 0);
+    });
+
+    it('breaks off when the capturer moves out of reach', () => {
+        const winner = addTestPlayer(server, world, name('Wanderer'), { x: 5, y: 0, z: 0 });
+        const rival = addTestPlayer(server, world, name('Patient'), { x: 20, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+        claim(winner, obj);
+        claim(rival, obj);
+        settle();
+
+        movePlayer(world, winner, { x: 200, y: 0, z: 0 });
+        updateCaptures(world);
+
+        assert.equal(obj.capture, null);
+        assert.equal(obj.available, true);
+        assert.equal(world.captures.size, 0);
+    });
+
+    it('hands the capture to a closer challenger', () => {
+        const holder = addTestPlayer(server, world, name('Holder'), { x: 15, y: 0, z: 0 });
+        const rival = addTestPlayer(server, world, name('Second'), { x: 25, y: 0, z: 0 });
+        const challenger = addTestPlayer(server, world, name('Challenger'), { x: 60, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+        claim(holder, obj);
+        claim(rival, obj);
+        settle();
+
+        movePlayer(world, challenger, { x: 3, y: 0, z: 0 });
+        claim(challenger, obj);
+        settle();
+
+        assert.equal(obj.capture.player, challenger);
+        assert.equal(lastResult(holder).reason, 'contested');
+        assert.equal(lastResult(challenger).reason, 'capturing');
+
+        clock.advance(500);
+        updateCaptures(world);
+        assert.equal(obj.collectedBy, challenger.id);
+        assert.equal(holder.resourcesLost, 1);
+        assert.equal(rival.resourcesLost, 1);
+    });
+});
@@ -0,0 +1,221 @@
+// Game rules on their own - no sockets, a ManualClock for time and a seeded RNG
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ManualClock } = require('../lib/clock');
+const { loadServer, addTestPlayer, movePlayer, addTestObject, uniqueName: name, setUpTestWorld } = require('./helpers');
+
+const server = loadServer();
+const { handleResourceCollection, findNearestPlayer, objectTypes, setClock } = server;
+
+let clock;
+let world;
+
+beforeEach(() => ({ clock, world } = setUpTestWorld(server, 'game-logic')));
+
+describe('handleResourceCollection', () => {
+    it('collects an object within its collect radius', () => {
+        const collector = addTestPlayer(server, world, name('Collector'), { x: 0, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 10, y: 0, z: 0 });
+
+        const result = handleResourceCollection(collector.id, obj.id);
+
+        assert.equal(result.success, true);
+        assert.equal(result.points, objectTypes.get('discovery').points);
+        assert.equal(collector.cargo.value, result.points);
+        assert.equal(collector.score, 0); // Not worth anything until banked
+        assert.equal(collector.discoveries, 1);
+        assert.equal(obj.available, false);
+        assert.equal(obj.collectedBy, collector.id);
+        assert.equal(obj.collectedAt, clock.now());
+    });
+
+    it('rejects objects beyond the collect radius', () => {
+        const collector = addTestPlayer(server, world, name('Reacher'), { x: 0, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: objectTypes.get('discovery').collectRadius + 1, y: 0, z: 0 });
+
+        const result = handleResourceCollection(collector.id, obj.id);
+
+        assert.deepEqual(result, { success: false, reason: 'Too far away' });
+        assert.equal(obj.available, true);
+        assert.equal(collector.score, 0);
+    });
+
+    it('rejects objects that were already collected', () => {
+        const first = addTestPlayer(server, world, name('First'), { x: 0, y: 0, z: 0 });
+        const second = addTestPlayer(server, world, name('Second'), { x: 0, y: 0, z: 500 });
+        const obj = addTestObject(server, world, 'discovery', { x: 5, y: 0, z: 0 });
+
+        assert.equal(handleResourceCollection(first.id, obj.id).success, true);
+        movePlayer(world, second, { x: 5, y: 0, z: 5 });
+        assert.deepEqual(handleResourceCollection(second.id, obj.id), { success: false, reason: 'Object not available' });
+    });
+
+    it('never hands the object to a closer player who did not claim it', () => {
+        const collector = addTestPlayer(server, world, name('Claimant'), { x: 20, y: 0, z: 0 });
+        const bystander = addTestPlayer(server, world, name('Bystander'), { x: 5, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+
+        const result = handleResourceCollection(collector.id, obj.id);
+
+        assert.equal(result.success, true);
+        assert.equal(result.competitorCount, 0);
+        assert.equal(obj.collectedBy, collector.id);
+        assert.equal(bystander.score, 0);
+        assert.equal(bystander.resourcesStolen, 0);
+    });
+
+    it('ignores dead players and players outside the steal radius', () => {
+        const collector = addTestPlayer(server, world, name('Survivor'), { x: 20, y: 0, z: 0 });
+        const ghost = addTestPlayer(server, world, name('Ghost'), { x: 1, y: 0, z: 0 });
+        ghost.alive = false;
+        addTestPlayer(server, world, name('Faraway'), { x: 0, y: 0, z: world.settings.stealRadius + 50 });
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+
+        const result = handleResourceCollection(collector.id, obj.id);
+
+        assert.equal(result.success, true);
+        assert.equal(result.competitorCount, 0);
+    });
+
+    it('splits the points with nearby teammates instead of letting them steal', () => {
+        const collector = addTestPlayer(server, world, name('Captain'), { x: 20, y: 0, z: 0 });
+        const teammate = addTestPlayer(server, world, name('Mate'), { x: 5, y: 0, z: 0 });
+        const { team } = world.teams.create(collector, 'Testers');
+        world.teams.join(teammate, team);
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+
+        const result = handleResourceCollection(collector.id, obj.id);
+        const points = objectTypes.get('discovery').points;
+
+        assert.equal(result.success, true);
+        assert.equal(teammate.cargo.value, Math.floor(points / 2)); // Banked like any other cargo
+        assert.equal(teammate.score, 0);
+        assert.equal(collector.cargo.value, points - Math.floor(points / 2));
+        assert.equal(teammate.resourcesStolen, 0);
+    });
+
+    it('rejects collections from dead players and after a match ends', () => {
+        const ghost = addTestPlayer(server, world, name('Dead'), { x: 0, y: 0, z: 0 });
+        ghost.alive = false;
+        const obj = addTestObject(server, world, 'discovery', { x: 5, y: 0, z: 0 });
+        assert.deepEqual(handleResourceCollection(ghost.id, obj.id), { success: false, reason: 'Player is dead' });
+
+        ({ clock, world } = setUpTestWorld(server, 'game-logic', { mode: 'match' }));
+        world.match.phase = 'results';
+        const player = addTestPlayer(server, world, name('Late'), { x: 0, y: 0, z: 0 });
+        const late = addTestObject(server, world, 'discovery', { x: 5, y: 0, z: 0 });
+        assert.deepEqual(handleResourceCollection(player.id, late.id), { success: false, reason: 'Match is over' });
+    });
+});
+
+describe('WorldObject.checkRespawn', () => {
+    it('respawns a collected object once its respawn time has passed', () => {
+        const collector = addTestPlayer(server, world, name('Harvester'), { x: 0, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 5, y: 0, z: 0 });
+        const respawnTime = objectTypes.get('discovery').respawnTime;
+        handleResourceCollection(collector.id, obj.id);
+
+        clock.advance(respawnTime);
+        assert.equal(obj.checkRespawn(), false);
+        assert.equal(obj.available, false);
+
+        clock.advance(1);
+        assert.equal(obj.checkRespawn(), true);
+        assert.equal(obj.available, true);
+        assert.equal(obj.collectedBy, null);
+        assert.ok(world.objectGrid.has(obj));
+    });
+
+    it('keeps portals away during sudden death', () => {
+        ({ clock, world } = setUpTestWorld(server, 'game-logic', { mode: 'match' }));
+        const collector = addTestPlayer(server, world, name('Portaler'), { x: 0, y: 0, z: 0 });
+        const portal = addTestObject(server, world, 'ringPortal', { x: 5, y: 0, z: 0 });
+        handleResourceCollection(collector.id, portal.id);
+
+        world.match.phase = 'suddenDeath';
+        clock.advance(objectTypes.get('ringPortal').respawnTime + 1);
+        assert.equal(portal.checkRespawn(), false);
+
+        world.match.phase = 'round';
+        assert.equal(portal.checkRespawn(), true);
+    });
+});
+
+describe('World.getLeaderboard', () => {
+    it('ranks the top ten players by score', () => {
+        const scored = [];
+        for (let i = 0; i < 12; i++) {
+            const player = addTestPlayer(server, world, name('Ranked'), { x: i * 10, y: 0, z: 0 });
+            player.score = i * 5;
+            scored.push(player);
+        }
+
+        const leaderboard = world.getLeaderboard();
+
+        assert.equal(leaderboard.length, 10);
+        assert.deepEqual(leaderboard.map(entry => entry.rank), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+        assert.equal(leaderboard[0].name, scored[11].name);
+        assert.equal(leaderboard[0].score, 55);
+        assert.equal(leaderboard[9].name, scored[2].name);
+    });
+
+    it('reports survival time from the game clock', () => {
+        const player = addTestPlayer(server, world, name('Timer'), { x: 0, y: 0, z: 0 });
+        clock.advance(42500);
+
+        assert.equal(world.getLeaderboard()[0].survivalTime, 42);
+        assert.equal(player.getSurvivalTime(), 42);
+    });
+});
+
+describe('proximity queries', () => {
+    it('finds the nearest living player within range', () => {
+        const near = addTestPlayer(server, world, name('Near'), { x: 30, y: 0, z: 0 });
+        const nearest = addTestPlayer(server, world, name('Nearest'), { x: 0, y: 10, z: 0 });
+        addTestPlayer(server, world, name('Far'), { x: 300, y: 0, z: 0 });
+
+        assert.equal(findNearestPlayer(world, 0, 0, 0, 100), nearest);
+
+        nearest.alive = false;
+        assert.equal(findNearestPlayer(world, 0, 0, 0, 100), near);
+        assert.equal(findNearestPlayer(world, 0, 0, 0, 20), null);
+    });
+
+    it('follows players across grid cells as they move', () => {
+        const mover = addTestPlayer(server, world, name('Mover'), { x: 0, y: 0, z: 0 });
+        movePlayer(world, mover, { x: 1000, y: 0, z: -1000 });
+
+        assert.equal(findNearestPlayer(world, 0, 0, 0, 100), null);
+        assert.equal(findNearestPlayer(world, 1000, 0, -1000, 10), mover);
+        assert.deepEqual(world.playerGrid.queryRadius(1000, 0, -1000, 10).map(entry => entry.item), [mover]);
+    });
+});
+
+describe('creature movement', () => {
+    it('keeps creatures within the world\'s own height', () => {
+        ({ clock, world } = setUpTestWorld(server, 'game-logic', { settings: { worldHeight: 200 } }));
+        const creature = addTestObject(server, world, 'spaceCreature', { x: 0, y: 95, z: 0 });
+
+        creature.simulate(1, { x: 0, y: 0, z: 0 }, clock.now()); // Flees straight up
+
+        assert.equal(creature.y, 100);
+        assert.ok(creature.velocity.y < 0);
+    });
+});
+
+describe('injected randomness', () => {
+    it('spawns players and rolls object properties the same way for the same seed', () => {
+        setClock(new ManualClock({ seed: 'repeatable' }));
+        const first = addTestPlayer(server, world, name('Twin'));
+        const firstObject = new server.WorldObject('spaceCreature', 0, 0, 0);
+
+        setClock(new ManualClock({ seed: 'repeatable' }));
+        const second = addTestPlayer(server, world, name('Twin'));
+        const secondObject = new server.WorldObject('spaceCreature', 0, 0, 0);
+
+        assert.equal(first.baseColor, second.baseColor);
+        assert.equal(firstObject.fleeSpeed, secondObject.fleeSpeed);
+        assert.equal(firstObject.tentacleCount, secondObject.tentacleCount);
+    });
+});
@@ -0,0 +1,202 @@
+// Shared test setup - a throwaway data directory, a quiet in-process server and socket.io bots
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+const { ManualClock } = require('../lib/clock');
+
+// Point every store at a temp directory and switch off the background features before
+// server.js is required - its settings are read once, at require time
+function loadServer(env = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ethereal-test-'));
+    Object.assign(process.env, {
+        ACCOUNT_STORE_PATH: path.join(dataDir, 'accounts.json'),
+        LEADERBOARD_STORE_PATH: path.join(dataDir, 'leaderboards.json'),
+        BAN_STORE_PATH: path.join(dataDir, 'bans.json'),
+        WORLD_SNAPSHOTS: 'false',
+        REPLAYS: 'false',
+        OBJECT_TYPES_WATCH: 'false',
+        GAME_MODE: 'sandbox',
+        BOT_MIN_PLAYERS: '0', // Tests add the bots they need
+        TEAM_SHARE_CREDIT: 'true',
+        LOG_LEVEL: 'error'
+    }, env);
+
+    const server = require('../server');
+    // Registered after the server's own exit handler, which flushes the stores into dataDir
+    process.on('exit', () => fs.rmSync(dataDir, { recursive: true, force: true }));
+    return server;
+}
+
+// Stand-in for a Socket.IO socket - remembers what was emitted to it
+function createFakeSocket(id) {
+    return {
+        id: id,
+        connected: true,
+        handshake: { headers: {}, address: '127.0.0.1' },
+        emitted: [],
+        emit(event, data) {
+            this.emitted.push({ event: event, data: data });
+        },
+        on() {},
+        join() {},
+        leave() {}
+    };
+}
+
+// Everything emitted to a player's (or spectator's) fake socket for one event, oldest first
+function emittedTo(client, event) {
+    return client.socket.emitted.filter(entry => entry.event === event).map(entry => entry.data);
+}
+
+function lastEmitted(client, event) {
+    const sent = emittedTo(client, event);
+    return sent.length > 0 ? sent[sent.length - 1] : null;
+}
+
+// Account names are unique across the whole store - every test player gets its own
+let nameCounter = 0;
+function uniqueName(prefix) {
+    return `${prefix}${++nameCounter}`;
+}
+
+// A fresh ManualClock installed in the server and an empty world with its own id, for a
+// beforeEach: ({ clock, world } = setUpTestWorld(server, 'seed'))
+let testWorldCounter = 0;
+function setUpTestWorld(server, seed, options = {}) {
+    const clock = new ManualClock({ seed: seed });
+    server.setClock(clock);
+    const world = new server.World(`${seed}${++testWorldCounter}`, Object.assign({ mode: 'sandbox' }, options));
+    return { clock, world };
+}
+
+// A registered player placed in the world at a given position
+let fakeSocketCounter = 0;
+function addTestPlayer(server, world, name, position = { x: 0, y: 0, z: 0 }) {
+    const socket = createFakeSocket(`test-socket-${++fakeSocketCounter}`);
+    const auth = server.accounts.authenticate({ name: name });
+    const player = new server.Player(socket.id, socket, auth.account);
+
+    server.players[player.id] = player;
+    world.addPlayer(player);
+    movePlayer(world, player, position);
+    return player;
+}
+
+function movePlayer(world, player, position) {
+    player.x = position.x;
+    player.y = position.y;
+    player.z = position.z;
+    world.playerGrid.update(player);
+}
+
+function addTestObject(server, world, type, position) {
+    const obj = new server.WorldObject(type, position.x, position.y, position.z);
+    world.addObject(obj);
+    return obj;
+}
+
+function distanceBetween(a, b) {
+    return Math.sqrt(Math.pow(a.x - b.x, 2) + Math.pow(a.y - b.y, 2) + Math.pow(a.z - b.z, 2));
+}
+
+// 🤖 A headless player - joins over a real socket and moves within the anti-cheat limits
+class Bot {
+    constructor(url, name) {
+        this.url = url;
+        this.name = name;
+        this.socket = null;
+        this.position = null;
+        this.world = null;
+        this.seq = 0;
+    }
+
+    join() {
+        this.socket = connect(this.url, { transports: ['websocket'], auth: { name: this.name }, reconnection: false });
+        this.socket.on('position_correction', data => {
+            this.position = { x: data.x, y: data.y, z: data.z };
+        });
+
+        return this.waitFor('player_init').then(data => {
+            this.id = data.id;
+            this.position = { x: data.x, y: data.y, z: data.z };
+            this.world = data.world;
+            return data;
+        });
+    }
+
+    // Resolves with the next `event` that passes the filter, rejects after `timeout` ms
+    waitFor(event, filter = () => true, timeout = 3000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.socket.off(event, listener);
+                reject(new Error(`${this.name} did not receive ${event} within ${timeout}ms`));
+            }, timeout);
+            const listener = data => {
+                if (!filter(data)) return;
+                clearTimeout(timer);
+                this.socket.off(event, listener);
+                resolve(data);
+            };
+            this.socket.on(event, listener);
+        });
+    }
+
+    // Fly to a point in steps of `step` units every 50ms - well inside the speed limit
+    async moveTo(target, step = 15) {
+        while (distanceBetween(this.position, target) > 0.01) {
+            const distance = distanceBetween(this.position, target);
+            const fraction = Math.min(1, step / distance);
+            this.position = {
+                x: this.position.x + (target.x - this.position.x) * fraction,
+                y: this.position.y + (target.y - this.position.y) * fraction,
+                z: this.position.z + (target.z - this.position.z) * fraction
+            };
+            this.socket.emit('player_update', Object.assign({ seq: ++this.seq, rotationX: 0, rotationY: 0 }, this.position));
+            await delay(50);
+        }
+        await delay(100); // Let the server apply the last input on its next tick
+    }
+
+    collect(objectId) {
+        this.socket.emit('collect_resource', { objectId: objectId });
+    }
+
+    chat(message) {
+        this.socket.emit('chat_message', { message: message });
+    }
+
+    disconnect() {
+        if (this.socket) this.socket.disconnect();
+    }
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves once `check()` is true, polling every 20ms
+async function waitUntil(check, timeout = 3000) {
+    const startedAt = Date.now();
+    while (!check()) {
+        if (Date.now() - startedAt > timeout) throw new Error('Condition not met in time');
+        await delay(20);
+    }
+}
+
+module.exports = {
+    loadServer,
+    createFakeSocket,
+    addTestPlayer,
+    movePlayer,
+    addTestObject,
+    distanceBetween,
+    emittedTo,
+    lastEmitted,
+    uniqueName,
+    setUpTestWorld,
+    Bot,
+    delay,
+    waitUntil
+};
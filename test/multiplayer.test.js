@@ -0,0 +1,127 @@
+// The whole server on an ephemeral port, driven by socket.io-client bots
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadServer, addTestObject, Bot, waitUntil } = require('./helpers');
+
+const server = loadServer();
+
+let url;
+let world;
+const bots = [];
+
+function createBot(name) {
+    const bot = new Bot(url, name);
+    bots.push(bot);
+    return bot;
+}
+
+// An object halfway between two bots, so neither has far to fly
+function midpoint(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, z: (a.z + b.z) / 2 };
+}
+
+before(async () => {
+    const port = await server.startServer({ port: 0, host: '127.0.0.1', handleSignals: false });
+    url = `http://127.0.0.1:${port}`;
+    world = Array.from(server.worlds.values()).find(candidate => candidate.isDefault);
+});
+
+after(async () => {
+    bots.forEach(bot => bot.disconnect());
+    await server.stopServer();
+});
+
+describe('multiplayer session', () => {
+    let alice;
+    let bob;
+
+    it('joins bots into the default world', async () => {
+        alice = createBot('Alice');
+        bob = createBot('Bob');
+
+        const aliceInit = await alice.join();
+        const joined = alice.waitFor('player_joined', data => data.name === 'Bob');
+        const bobInit = await bob.join();
+        await joined;
+
+        assert.equal(aliceInit.world.id, world.id);
+        assert.equal(bobInit.world.id, world.id);
+        assert.equal(world.playerCount, 2);
+    });
+
+    it('moves players to where their inputs take them', async () => {
+        const target = { x: alice.position.x + 40, y: alice.position.y, z: alice.position.z - 30 };
+        await alice.moveTo(target);
+
+        const player = server.players[alice.id];
+        assert.ok(Math.abs(player.x - target.x) < 0.01);
+        assert.ok(Math.abs(player.z - target.z) < 0.01);
+        assert.equal(player.violations, 0);
+    });
+
+    it('collects an object and tells everyone in the world', async () => {
+        const spot = midpoint(alice.position, bob.position);
+        await Promise.all([
+            alice.moveTo({ x: spot.x + 10, y: spot.y, z: spot.z }),
+            bob.moveTo({ x: spot.x + 300, y: spot.y, z: spot.z }) // Out of the steal radius
+        ]);
+        const obj = addTestObject(server, world, 'discovery', spot);
+
+        const removedForBob = bob.waitFor('object_removed', data => data.objectId === obj.id);
+        const removedForAlice = alice.waitFor('object_removed', data => data.objectId === obj.id);
+        alice.collect(obj.id);
+
+        const removed = await removedForBob;
+        await removedForAlice;
+        assert.equal(removed.collectedBy, 'Alice');
+        assert.equal(removed.points, server.objectTypes.get('discovery').points);
+        assert.equal(obj.available, false);
+        assert.equal(server.players[alice.id].discoveries, 1);
+    });
+
+    it('gives a contested object to the closer of two bots claiming it', async () => {
+        const spot = midpoint(alice.position, bob.position);
+        await Promise.all([
+            alice.moveTo({ x: spot.x + 20, y: spot.y, z: spot.z }),
+            bob.moveTo({ x: spot.x - 5, y: spot.y, z: spot.z })
+        ]);
+        const obj = addTestObject(server, world, 'discovery', spot);
+        const bobCargo = server.players[bob.id].cargo.value;
+
+        const result = alice.waitFor('collection_result', data => data.reason === 'stolen');
+        const stolen = bob.waitFor('resource_stolen', data => data.objectId === obj.id);
+        alice.collect(obj.id);
+        bob.collect(obj.id);
+
+        const outcome = await result;
+        const broadcast = await stolen;
+        assert.equal(outcome.stolenBy, 'Bob');
+        assert.equal(outcome.thiefDistance, 5);
+        assert.equal(outcome.yourDistance, 20);
+        assert.equal(broadcast.thief, 'Bob');
+        assert.equal(broadcast.victim, 'Alice');
+        assert.deepEqual(outcome.contest.claims.map(claim => claim.name), ['Bob', 'Alice']);
+        assert.equal(server.players[bob.id].cargo.value, bobCargo + broadcast.points);
+        assert.equal(server.players[alice.id].resourcesLost, 1);
+    });
+
+    it('delivers global chat to the other bot', async () => {
+        const received = bob.waitFor('chat_message', data => data.playerName === 'Alice');
+        alice.chat('good steal');
+
+        const message = await received;
+        assert.equal(message.channel, 'global');
+        assert.equal(message.message, 'good steal');
+    });
+
+    it('holds a disconnected player for a quick reconnect', async () => {
+        const account = server.players[alice.id].account;
+        alice.disconnect();
+
+        await waitUntil(() => world.playerCount === 1);
+        assert.equal(server.players[alice.id], undefined);
+        assert.equal(Object.values(world.players)[0].name, 'Bob');
+        assert.ok(server.disconnectedPlayers.has(account.id));
+    });
+});
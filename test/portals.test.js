@@ -0,0 +1,186 @@
+// Portal networks and portal trips - no sockets, a ManualClock for cooldowns
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PortalNetwork } = require('../lib/portals');
+const {
+    loadServer, addTestPlayer, movePlayer, addTestObject, distanceBetween, lastEmitted, uniqueName: name, setUpTestWorld
+} = require('./helpers');
+
+const server = loadServer();
+const { handlePortalUse, processCollectionRequest, settleContests, objectTypes, CONTESTS } = server;
+
+let clock;
+let world;
+
+// Just the given portals in the world, linked
+function addPortals(positions) {
+    const portals = positions.map(position => addTestObject(server, world, 'ringPortal', position));
+    world.linkPortals();
+    return portals;
+}
+
+// collect_resource as it arrives from the socket, then the claim window closes
+function requestTrips(travelers, portal) {
+    travelers.forEach(traveler => processCollectionRequest({ playerId: traveler.id, objectId: portal.id, receivedAt: clock.now() }));
+    clock.advance(CONTESTS.claimWindow);
+    settleContests(world);
+}
+
+beforeEach(() => ({ clock, world } = setUpTestWorld(server, 'portals')));
+
+describe('PortalNetwork', () => {
+    const settings = { ringPortal: { networkSize: 2, capacity: 3 } };
+    const getSettings = type => settings[type] || null;
+    const portal = (id, x, z) => ({ id: id, type: 'ringPortal', x: x, y: 0, z: z });
+
+    it('pairs portals across the world center', () => {
+        const east = portal(1, 100, 0);
+        const north = portal(2, 0, 100);
+        const west = portal(3, -100, 1);
+        const south = portal(4, 0, -100);
+        const network = new PortalNetwork().build([east, north, west, south, { id: 5, type: 'discovery', x: 0, z: 0 }], getSettings);
+
+        assert.equal(network.networks.length, 2);
+        assert.equal(network.getDestination(1), west);
+        assert.equal(network.getDestination(3), east);
+        assert.equal(network.getDestination(2), south);
+        assert.equal(network.has(5), false);
+    });
+
+    it('skips closed members and gives up when none are open', () => {
+        const portals = [portal(1, 100, 0), portal(2, -100, 0), portal(3, 0, 100)];
+        const network = new PortalNetwork().build(portals, () => ({ networkSize: 3, capacity: 3 }));
+        const origin = portals[0];
+        const next = network.getDestination(origin.id);
+        const after = network.getDestination(next.id);
+
+        assert.notEqual(next, origin);
+        assert.equal(network.getDestination(origin.id, candidate => candidate !== next), after);
+        assert.equal(network.getDestination(origin.id, () => false), null);
+    });
+
+    it('counts trips and reports the uses left to clients', () => {
+        const network = new PortalNetwork().build([portal(1, 100, 0), portal(2, -100, 0)], getSettings);
+        network.recordUse(1);
+        network.recordUse(1);
+
+        const synced = network.toClient(getSettings).portals.find(link => link.id === 1);
+        assert.deepEqual(synced.linkedTo, [2]);
+        assert.equal(synced.usesLeft, 1);
+
+        network.resetUses(1);
+        assert.equal(network.getUses(1), 0);
+    });
+});
+
+describe('handlePortalUse', () => {
+    const settings = () => objectTypes.get('ringPortal').portal;
+
+    it('teleports the player out of the linked portal', () => {
+        const [entry, exit] = addPortals([{ x: 400, y: 0, z: 0 }, { x: -400, y: 20, z: 0 }]);
+        const traveler = addTestPlayer(server, world, name('Traveler'), { x: 410, y: 0, z: 0 });
+
+        const result = handlePortalUse(traveler.id, entry.id);
+
+        assert.equal(result.success, true);
+        assert.equal(result.destinationId, exit.id);
+        assert.ok(Math.abs(distanceBetween(traveler, exit) - settings().exitDistance) < 0.001);
+        assert.equal(traveler.score, objectTypes.get('ringPortal').points);
+        assert.equal(traveler.portalCooldownUntil, clock.now() + settings().cooldown);
+        assert.equal(world.playerGrid.findNearest(exit.x, exit.y, exit.z, 100), traveler);
+        assert.equal(entry.available, true);
+    });
+
+    it('holds travelers back until their cooldown ends', () => {
+        const [entry, exit] = addPortals([{ x: 400, y: 0, z: 0 }, { x: -400, y: 0, z: 0 }]);
+        const traveler = addTestPlayer(server, world, name('Hopper'), { x: 400, y: 0, z: 5 });
+        handlePortalUse(traveler.id, entry.id);
+        movePlayer(world, traveler, { x: exit.x + 5, y: exit.y, z: exit.z });
+
+        const blocked = handlePortalUse(traveler.id, exit.id);
+        assert.equal(blocked.reason, 'cooldown');
+        assert.equal(blocked.retryIn, settings().cooldown);
+
+        clock.advance(settings().cooldown);
+        assert.equal(handlePortalUse(traveler.id, exit.id).destinationId, entry.id);
+    });
+
+    it('leaves players who never asked to travel where they are', () => {
+        const [entry, exit] = addPortals([{ x: 400, y: 0, z: 0 }, { x: -400, y: 0, z: 0 }]);
+        const traveler = addTestPlayer(server, world, name('Asker'), { x: 420, y: 0, z: 0 });
+        const idler = addTestPlayer(server, world, name('Idler'), { x: 405, y: 0, z: 0 });
+
+        const result = handlePortalUse(traveler.id, entry.id);
+
+        assert.equal(result.success, true);
+        assert.ok(distanceBetween(traveler, exit) <= settings().exitDistance + 0.001);
+        assert.deepEqual([idler.x, idler.y, idler.z], [405, 0, 0]);
+        assert.equal(idler.portalCooldownUntil, 0);
+        assert.equal(lastEmitted(idler, 'portal_result'), null);
+        assert.equal(traveler.resourcesStolen + idler.resourcesLost, 0);
+    });
+
+    it('sends the closest of the players asking at once through', () => {
+        const [entry, exit] = addPortals([{ x: 400, y: 0, z: 0 }, { x: -400, y: 0, z: 0 }]);
+        const victim = addTestPlayer(server, world, name('Slow'), { x: 420, y: 0, z: 0 });
+        const thief = addTestPlayer(server, world, name('Quick'), { x: 405, y: 0, z: 0 });
+
+        requestTrips([victim, thief], entry);
+
+        const lost = lastEmitted(victim, 'portal_result');
+        assert.equal(lost.reason, 'stolen');
+        assert.equal(lost.stolenBy, thief.name);
+        assert.deepEqual([lost.thiefDistance, lost.yourDistance], [5, 20]);
+        assert.equal(victim.x, 420);
+        assert.equal(lastEmitted(thief, 'portal_result').destinationId, exit.id);
+        assert.ok(distanceBetween(thief, exit) <= settings().exitDistance + 0.001);
+        assert.equal(thief.resourcesStolen, 1);
+        assert.equal(victim.resourcesLost, 1);
+        assert.equal(world.portals.getUses(entry.id), 1);
+    });
+
+    it('lets a teammate go first without counting it as a steal', () => {
+        const [entry] = addPortals([{ x: 400, y: 0, z: 0 }, { x: -400, y: 0, z: 0 }]);
+        const first = addTestPlayer(server, world, name('First'), { x: 405, y: 0, z: 0 });
+        const second = addTestPlayer(server, world, name('Second'), { x: 420, y: 0, z: 0 });
+        const { team } = world.teams.create(first, 'Hoppers');
+        world.teams.join(second, team);
+
+        requestTrips([second, first], entry);
+
+        assert.deepEqual(lastEmitted(second, 'portal_result'), { success: false, reason: 'teammate', portalId: entry.id, usedBy: first.name });
+        assert.equal(lastEmitted(first, 'portal_result').success, true);
+        assert.equal(first.resourcesStolen + second.resourcesLost, 0);
+    });
+
+    it('collapses a worn-out portal until it respawns', () => {
+        const [entry] = addPortals([{ x: 400, y: 0, z: 0 }, { x: -400, y: 0, z: 0 }]);
+        const capacity = settings().capacity;
+
+        for (let trip = 1; trip <= capacity; trip++) {
+            const traveler = addTestPlayer(server, world, name('Tourist'), { x: 400, y: 0, z: 10 });
+            assert.equal(handlePortalUse(traveler.id, entry.id).usesLeft, capacity - trip);
+        }
+
+        assert.equal(entry.available, false);
+        assert.equal(world.objectGrid.has(entry), false);
+
+        const broadcast = [];
+        world.emit = (event, data) => broadcast.push({ event: event, data: data });
+        clock.advance(objectTypes.get('ringPortal').respawnTime + 1);
+        assert.equal(entry.checkRespawn(), true);
+        assert.equal(world.portals.getUses(entry.id), 0);
+        const sync = broadcast.find(sent => sent.event === 'portal_sync');
+        assert.equal(sync.data.portals.find(link => link.id === entry.id).usesLeft, capacity);
+    });
+
+    it('has nowhere to send players when the partner is gone', () => {
+        const [entry, exit] = addPortals([{ x: 400, y: 0, z: 0 }, { x: -400, y: 0, z: 0 }]);
+        exit.available = false;
+        const traveler = addTestPlayer(server, world, name('Stranded'), { x: 400, y: 0, z: 0 });
+
+        assert.equal(handlePortalUse(traveler.id, entry.id).reason, 'no_destination');
+        assert.equal(traveler.x, 400);
+    });
+});
@@ -0,0 +1,123 @@
+// Achievements, daily quests, levels and ship colors - Progress on its own, then the game events
+// that feed it
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Progress, ACHIEVEMENTS, SHIP_COLORS, xpForLevel, levelForXp, getDailyQuests, getDayKey } = require('../lib/progression');
+const { loadServer, addTestPlayer, addTestObject, emittedTo: emitted, uniqueName: name, setUpTestWorld } = require('./helpers');
+
+const server = loadServer();
+const { handleResourceCollection, selectShipColor, updateProgression, PROGRESSION } = server;
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOON = Date.parse('2026-03-14T12:00:00Z');
+
+let clock;
+let world;
+
+beforeEach(() => ({ clock, world } = setUpTestWorld(server, 'progression')));
+
+describe('Progress', () => {
+    it('counts life achievements from the last respawn only', () => {
+        const progress = new Progress({}, NOON);
+        const rareRun = ACHIEVEMENTS.find(achievement => achievement.id === 'rare_run');
+
+        for (let i = 0; i < rareRun.target - 1; i++) progress.record('collect:rare', 1, NOON);
+        progress.startLife();
+        for (let i = 0; i < rareRun.target - 1; i++) assert.deepEqual(progress.record('collect:rare', 1, NOON), []);
+
+        const unlocks = progress.record('collect:rare', 1, NOON);
+        assert.equal(unlocks[0].kind, 'achievement');
+        assert.equal(unlocks[0].id, 'rare_run');
+        assert.equal(progress.data.counters['collect:rare'], rareRun.target * 2 - 1);
+        assert.equal(progress.record('collect:rare', 1, NOON).some(unlock => unlock.id === 'rare_run'), false);
+    });
+
+    it('levels up once per threshold and unlocks ship colors on the way', () => {
+        const progress = new Progress({}, NOON);
+        const unlocks = progress.addXp(xpForLevel(3));
+
+        assert.deepEqual(unlocks.map(unlock => unlock.level), [2, 3]);
+        assert.deepEqual(unlocks[0].colors, ['Ember']);
+        assert.equal(levelForXp(xpForLevel(3) - 1), 2);
+        assert.equal(progress.level, 3);
+    });
+
+    it('gives everyone the same quests for a day and starts them over the next', () => {
+        const day = getDayKey(NOON);
+        const quests = getDailyQuests(day);
+        assert.equal(new Set(quests.map(quest => quest.id)).size, quests.length);
+        assert.deepEqual(getDailyQuests(day), quests);
+
+        const progress = new Progress({}, NOON);
+        const quest = quests[0];
+        const unlocks = progress.record(quest.counter, quest.target, NOON);
+        assert.ok(unlocks.some(unlock => unlock.kind === 'quest' && unlock.id === quest.id));
+        assert.equal(progress.toClient(NOON).quests.find(entry => entry.id === quest.id).completed, true);
+
+        const tomorrow = progress.toClient(NOON + DAY);
+        assert.equal(tomorrow.quests.every(entry => !entry.completed && entry.progress === 0), true);
+        assert.equal(tomorrow.questsResetAt, Date.parse('2026-03-16T00:00:00Z'));
+    });
+
+    it('only lets players pick colors their level has unlocked', () => {
+        const account = {};
+        const progress = new Progress(account, NOON);
+        const ember = SHIP_COLORS.find(color => color.id === 'ember');
+
+        assert.equal(progress.selectColor('ember').error, 'locked');
+        assert.equal(progress.selectColor('plaid').error, 'unknown_color');
+        progress.addXp(xpForLevel(ember.level));
+        assert.equal(progress.selectColor('ember').color, ember.color);
+        assert.equal(new Progress(account, NOON).getShipColor(), ember.color); // Kept on the account
+    });
+});
+
+describe('progression events', () => {
+    it('announces the first collection and keeps it on the account', () => {
+        const player = addTestPlayer(server, world, name('Rookie'), { x: 5, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: 0, y: 0, z: 0 });
+
+        handleResourceCollection(player.id, obj.id);
+
+        const unlocked = emitted(player, 'progression_unlocked');
+        assert.equal(unlocked[0].id, 'first_contact');
+        assert.equal(player.account.progress.achievements.first_contact, clock.now());
+        assert.equal(player.account.progress.counters['collect:discovery'], 1);
+        const state = emitted(player, 'progression').pop();
+        assert.equal(state.achievements.find(achievement => achievement.id === 'first_contact').unlockedAt, clock.now());
+    });
+
+    it('counts survival and high radiation time once a second', () => {
+        const player = addTestPlayer(server, world, name('Glowing'), { x: 0, y: 0, z: 0 });
+        const dead = addTestPlayer(server, world, name('Ghost'), { x: 50, y: 0, z: 0 });
+        dead.alive = false;
+        player.radiationLevel = world.settings.maxRadiation * PROGRESSION.highRadiation;
+
+        updateProgression(world, false);
+        updateProgression(world, false);
+        player.radiationLevel = 0;
+        updateProgression(world, true);
+
+        assert.equal(player.progress.life.survivalSeconds, 3);
+        assert.equal(player.progress.life.highRadiationSeconds, 2);
+        assert.equal(dead.progress.life.survivalSeconds, undefined);
+        assert.equal(emitted(player, 'progression').length, 1); // Time only syncs on sync ticks
+        assert.equal(player.progressDirty, false);
+    });
+
+    it('paints the ship in the selected color unless a team color is showing', () => {
+        const player = addTestPlayer(server, world, name('Painter'), { x: 0, y: 0, z: 0 });
+        const aurora = SHIP_COLORS.find(color => color.id === 'aurora');
+
+        assert.equal(selectShipColor(player, 'aurora'), false);
+        assert.equal(emitted(player, 'progression_error')[0].reason, 'locked');
+
+        player.progress.addXp(xpForLevel(aurora.level));
+        assert.equal(selectShipColor(player, 'aurora'), true);
+        assert.equal(player.color, aurora.color);
+
+        selectShipColor(player, null);
+        assert.equal(player.color, player.randomColor);
+    });
+});
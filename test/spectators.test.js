@@ -0,0 +1,137 @@
+// Spectators - watching a world without spawning, the spectator_state stream and spectator chat
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    loadServer, createFakeSocket, addTestPlayer, addTestObject, emittedTo: emitted, uniqueName: name, setUpTestWorld
+} = require('./helpers');
+
+const server = loadServer();
+const {
+    accounts, spectators, startSpectating, becomeSpectator, followPlayer, sendSpectatorSnapshot,
+    handleChatInput, handleSpectatorChat, handlePlayerDeath, cleanupInactivePlayers, SPECTATORS
+} = server;
+
+let clock;
+let world;
+
+function addSpectator(prefix) {
+    const spectatorName = name(prefix);
+    const socket = createFakeSocket(`spectator-socket-${spectatorName}`);
+    return startSpectating(socket, accounts.authenticate({ name: spectatorName }).account, world);
+}
+
+beforeEach(() => ({ clock, world } = setUpTestWorld(server, 'spectators')));
+
+describe('watching', () => {
+    it('keeps spectators out of the player count, the leaderboard and everyone\'s snapshots', () => {
+        const player = addTestPlayer(server, world, name('Racer'), { x: 0, y: 0, z: 0 });
+        const spectator = addSpectator('Watcher');
+
+        assert.equal(world.playerCount, 1);
+        assert.equal(world.spectatorCount, 1);
+        assert.deepEqual(world.getLeaderboard().map(entry => entry.name), [player.name]);
+        assert.equal(emitted(spectator, 'spectator_init')[0].world.spectators, 1);
+        assert.equal(emitted(spectator, 'game_state').length, 0);
+        assert.equal(spectators[spectator.id], spectator);
+    });
+
+    it('streams the whole world with the live leaderboard, as deltas', () => {
+        const near = addTestPlayer(server, world, name('Near'), { x: 0, y: 0, z: 0 });
+        const far = addTestPlayer(server, world, name('Far'), { x: world.settings.interestRange * 3, y: 0, z: 0 });
+        const obj = addTestObject(server, world, 'discovery', { x: -world.settings.interestRange * 3, y: 0, z: 0 });
+        const spectator = addSpectator('Streamer');
+
+        const first = emitted(spectator, 'spectator_state')[0];
+        const keys = first.entered.map(record => record.k);
+        assert.equal(first.full, true);
+        assert.ok(keys.includes(`p:${near.id}`) && keys.includes(`p:${far.id}`) && keys.includes(`o:${obj.id}`));
+        assert.equal(first.totalPlayers, 2);
+        assert.equal(first.leaderboard.length, 2);
+
+        spectator.snapshots.acknowledge(first.seq);
+        far.score = 40;
+        sendSpectatorSnapshot(spectator);
+        const next = emitted(spectator, 'spectator_state').pop();
+        assert.equal(next.full, false);
+        assert.deepEqual(next.changed, [{ k: `p:${far.id}`, s: 40 }]);
+        assert.equal(next.leaderboard[0].name, far.name);
+    });
+
+    it('follows a player of the watched world until they leave', () => {
+        const player = addTestPlayer(server, world, name('Star'), { x: 0, y: 0, z: 0 });
+        const spectator = addSpectator('Fan');
+
+        assert.equal(followPlayer(spectator, 'nobody'), false);
+        assert.equal(emitted(spectator, 'spectator_error')[0].reason, 'player_not_found');
+
+        assert.equal(followPlayer(spectator, player.id), true);
+        assert.equal(emitted(spectator, 'spectator_state').pop().following.name, player.name);
+
+        world.removePlayer(player);
+        sendSpectatorSnapshot(spectator);
+        assert.equal(emitted(spectator, 'spectator_state').pop().following, null);
+        assert.equal(spectator.following, null);
+    });
+});
+
+describe('eliminated players', () => {
+    it('can keep watching after a radiation death, but not while alive', () => {
+        const player = addTestPlayer(server, world, name('Fallen'), { x: 0, y: 0, z: 0 });
+        assert.equal(becomeSpectator(player), null);
+
+        handlePlayerDeath(player);
+        const spectator = becomeSpectator(player);
+
+        assert.equal(spectator.socket, player.socket);
+        assert.equal(world.playerCount, 0);
+        assert.equal(server.players[player.id], undefined);
+        assert.equal(world.spectators[player.id], spectator);
+        assert.equal(emitted(spectator, 'spectator_init')[0].name, player.name);
+    });
+
+    it('get time to decide whether to watch, then are made spectators', () => {
+        const player = addTestPlayer(server, world, name('Mourner'), { x: 0, y: 0, z: 0 });
+        handlePlayerDeath(player);
+
+        clock.advance(61000);
+        cleanupInactivePlayers();
+        assert.equal(server.players[player.id], player);
+
+        clock.advance(SPECTATORS.deadTimeout - 61000 + 1);
+        cleanupInactivePlayers();
+        assert.equal(server.players[player.id], undefined);
+        assert.equal(world.playerCount, 0);
+        assert.equal(world.spectators[player.id].name, player.name);
+    });
+
+    it('can still choose to watch before that', () => {
+        const player = addTestPlayer(server, world, name('Decider'), { x: 0, y: 0, z: 0 });
+        handlePlayerDeath(player);
+
+        clock.advance(SPECTATORS.deadTimeout);
+        cleanupInactivePlayers();
+
+        const spectator = becomeSpectator(player);
+        assert.equal(world.spectators[player.id], spectator);
+    });
+});
+
+describe('spectator chat', () => {
+    it('only reaches other spectators, while they read the players\' global chat', () => {
+        const player = addTestPlayer(server, world, name('Pilot'), { x: 0, y: 0, z: 0 });
+        const commentator = addSpectator('Caster');
+        const viewer = addSpectator('Viewer');
+
+        handleSpectatorChat(commentator, 'what a steal');
+        assert.equal(emitted(viewer, 'chat_message')[0].channel, SPECTATORS.chatChannel);
+        assert.equal(emitted(player, 'chat_message').length, 0);
+
+        handleChatInput(player, 'hello world', 'global');
+        assert.equal(emitted(viewer, 'chat_message').pop().playerName, player.name);
+
+        handleSpectatorChat(viewer, '/g let me in');
+        assert.equal(emitted(player, 'chat_message').length, 1); // Only their own message
+        assert.equal(emitted(viewer, 'chat_system').length, 1);
+    });
+});